@@ -0,0 +1,118 @@
+// Sync server for live collaboration (the messages are described in src/collaboration.js)
+// A small WebSocket hub: every session joins a room (a lineup edited together), every lineup a session sends
+// becomes the room's latest lineup and is passed on to the other sessions, and everyone in the room is told who is in it.
+// Every accepted lineup gets the next revision number of the room. A session sends the revision its change is based on,
+// and a change based on an older revision (someone else changed the lineup first) is rejected instead of overwriting theirs.
+// Rooms only live in memory and are forgotten when their last session leaves.
+// Run it with `npm run sync-server` (PORT sets the port, 8787 by default) and join from the app's Live Collaboration dialog.
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+const DEFAULT_PORT = 8787;
+const MAX_MESSAGE_BYTES = 5 * 1024 * 1024; // A lineup with a large roster is well below this
+
+// Sends a message to one session (unless its connection is closing)
+const send = (socket, type, payload) => {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type, ...payload }));
+};
+
+// Returns the users in a room
+const getUsers = (room) => [...room.sessions.values()];
+
+// Returns true if a value is an object (not null or an array)
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Returns true if a lineup can be applied by the sessions (the same check as isValidLineup in src/collaboration.js):
+// boats with an ID and a name, tiles with an ID, a paddler name and a position ID (or null), columns that list tile IDs
+const isValidLineup = (lineup) => isPlainObject(lineup)
+  && Array.isArray(lineup.boats) && lineup.boats.every(boat => isPlainObject(boat) && typeof boat.id === 'string' && typeof boat.name === 'string')
+  && Array.isArray(lineup.tiles) && lineup.tiles.every(tile => isPlainObject(tile) && typeof tile.id === 'string'
+    && typeof tile.paddlerName === 'string' && (typeof tile.positionId === 'string' || tile.positionId === null))
+  && isPlainObject(lineup.columns) && isPlainObject(lineup.columns.unassigned)
+  && Object.values(lineup.columns).every(column => isPlainObject(column) && Array.isArray(column.tileIds)
+    && column.tileIds.every(tileId => typeof tileId === 'string'));
+
+// Starts a sync server on the given port (0 picks a free port)
+// Returns the WebSocketServer, so it can be closed again
+const createSyncServer = ({ port = DEFAULT_PORT } = {}) => {
+  // Rooms by name: { sessions: Map(socket -> user), lineup, revision, lastUser }
+  const rooms = new Map();
+
+  // Tells everyone in a room who is in it
+  const broadcastPresence = (room) => {
+    const users = getUsers(room);
+    room.sessions.forEach((_, socket) => send(socket, 'presence', { users }));
+  };
+
+  // Removes a session from its room (and the room, once it is empty)
+  const leaveRoom = (socket, roomName) => {
+    const room = rooms.get(roomName);
+    if (!room || !room.sessions.delete(socket)) return;
+    if (room.sessions.size === 0) {
+      rooms.delete(roomName);
+      console.log(`Room '${roomName}' is empty and was closed`);
+    } else {
+      broadcastPresence(room);
+    }
+  };
+
+  const server = new WebSocketServer({ port, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('connection', (socket) => {
+    let roomName = null; // The room this session joined
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        console.error('Ignoring a message that is not JSON');
+        return;
+      }
+      if (!message || typeof message !== 'object') return;
+
+      if (message.type === 'join' && typeof message.room === 'string' && message.user && typeof message.user.id === 'string') {
+        if (roomName) leaveRoom(socket, roomName);
+        roomName = message.room.trim() || 'default';
+        if (!rooms.has(roomName)) rooms.set(roomName, { sessions: new Map(), lineup: null, revision: 0, lastUser: null });
+        const room = rooms.get(roomName);
+        room.sessions.set(socket, { id: message.user.id, name: String(message.user.name || '').slice(0, 50) });
+        console.log(`${message.user.name || message.user.id} joined '${roomName}' (${room.sessions.size} in the room)`);
+        send(socket, 'welcome', { lineup: room.lineup, revision: room.revision, users: getUsers(room) });
+        room.sessions.forEach((_, other) => {
+          if (other !== socket) send(other, 'presence', { users: getUsers(room) });
+        });
+      } else if (message.type === 'lineup' && roomName) {
+        const room = rooms.get(roomName);
+        // A broken lineup or one based on an older revision is rejected - the session gets the room's lineup instead
+        if (!isValidLineup(message.lineup) || message.baseRevision !== room.revision) {
+          console.log(`Rejected a lineup in '${roomName}' (${isValidLineup(message.lineup) ? `based on revision ${message.baseRevision}, the room is at ${room.revision}` : 'not a lineup'})`);
+          send(socket, 'rejected', { lineup: room.lineup, revision: room.revision, user: room.lastUser });
+          return;
+        }
+        const user = room.sessions.get(socket);
+        room.lineup = message.lineup;
+        room.revision += 1;
+        room.lastUser = user;
+        send(socket, 'ack', { revision: room.revision });
+        room.sessions.forEach((_, other) => {
+          if (other !== socket) send(other, 'lineup', { lineup: message.lineup, revision: room.revision, user });
+        });
+      }
+    });
+
+    socket.on('close', () => {
+      if (roomName) leaveRoom(socket, roomName);
+    });
+  });
+
+  server.on('listening', () => console.log(`Sync server listening on ws://localhost:${server.address().port}`));
+  return server;
+};
+
+module.exports = { createSyncServer };
+
+// Started with `npm run sync-server` (not when a test requires it)
+if (require.main === module) {
+  createSyncServer({ port: Number(process.env.PORT) || DEFAULT_PORT });
+}
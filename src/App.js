@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 // Import necessary hooks and components from @dnd-kit/core
 import {
   DndContext, // The main context provider for drag and drop
@@ -25,6 +25,68 @@ import { CSS } from '@dnd-kit/utilities';
 import Sidebar from './Sidebar';
 // Import the AppBar component
 import AppBar from './AppBar';
+// Import the BalancePanel component
+import BalancePanel from './BalancePanel';
+// Import the seat preference rules used for the violation warnings
+import { getPreferenceViolation, countPreferenceViolations } from './preferenceRules';
+// Import the automatic lineup generator
+import { autoAssignLineup } from './autoAssign';
+// Import the Saved Lineups dialog and the localStorage / arrangement helpers
+import SavedLineupsDialog from './SavedLineupsDialog';
+import { loadCurrentLineup, saveCurrentLineup, loadSavedLineups, storeSavedLineups, loadSettings, storeSettings, loadRacePlan, storeRacePlan } from './storage';
+import { getArrangement, applyArrangement, migrateArrangement, migrateLineup, keepLockedSeats } from './lineupUtils';
+// Import the helpers for boats and their seat position IDs
+import {
+  BENCH_COUNT_OPTIONS,
+  DEFAULT_BOATS,
+  getBenchCount,
+  generateDrummerPositionId,
+  generateSweepPositionId,
+  generateBenchPositionId,
+  parsePositionId,
+  getPositionLabel,
+  buildEmptyColumns,
+  createNextBoat,
+} from './positions';
+// Import the helpers for sharing a lineup as a link
+import { buildShareUrl, readSharedLineupFromUrl, clearSharedLineupFromUrl } from './shareLink';
+// Import the Roster CSV dialog and the CSV helpers
+import RosterCsvDialog from './RosterCsvDialog';
+import { exportRosterCsv, importRosterCsv } from './rosterCsv';
+// Import the undo/redo history hook
+import useLineupHistory from './useLineupHistory';
+// Import the network connection hook (for the Online/Offline indicator)
+import useOnlineStatus from './useOnlineStatus';
+// Import the roster management screen and the names of the app's screens
+import RosterScreen from './RosterScreen';
+// Import the Settings screen for the preference categories
+import SettingsScreen from './SettingsScreen';
+import { SECTIONS, AVAILABILITY, SEAT_KINDS, NO_PREFERENCE, DEFAULT_PREFERENCE_CATEGORIES, VIEW_MODES } from './constants';
+// Import the keyboard navigation between seats and the screen-reader description of seat changes
+import { createSeatKeyboardCoordinates, describeTileMoves } from './seatNavigation';
+// Import the helper for moving a group of selected tiles together
+import { bulkMoveTiles } from './bulkMove';
+// Import the helpers for moving a single tile into a seat (swap or bump)
+import { shouldSwapOnDrop, moveTileToSeat, moveTileToUnassigned } from './seatMove';
+// Import the helper for changing the number of benches of a boat
+import { resizeBoat } from './boatResize';
+// Import the race plan dialog and helpers
+import RacePlanDialog from './RacePlanDialog';
+import { EMPTY_RACE_PLAN, createRace, countRacesSeated, findShortRests } from './racePlan';
+// Import the paddler profile drawer and helpers
+import PaddlerProfileDrawer from './PaddlerProfileDrawer';
+import { MAX_STRENGTH, getProfileSummary, parseProfileNumber } from './paddlerProfile';
+// Import the dialog comparing two lineups side by side
+import LineupCompareDialog from './LineupCompareDialog';
+// Import the training rotation dialog and generator
+import RotationDialog from './RotationDialog';
+import { generateRotations } from './rotation';
+// Import the live collaboration dialog, hook and helpers
+import CollaborationDialog from './CollaborationDialog';
+import useCollaboration from './useCollaboration';
+import { DEFAULT_SYNC_SERVER_URL, describePresence } from './collaboration';
+// Import the search and sort helpers of the Unassigned column
+import { UNASSIGNED_SORT_OPTIONS, matchesSearch, sortTileIds, getUnassignedDropIndex } from './unassignedView';
 
 
 // Remove the old CSS import - styling is now handled by Tailwind classes
@@ -38,47 +100,80 @@ const POSITIONS = {
     BENCH: 'bench', // Prefix for bench positions (e.g., 'bench-1-left') - Renamed from ROW
 };
 
-// Define the possible preference options
-const PREFERENCE_OPTIONS = ['Null', 'Left', 'Right', 'Either', 'Sweep', 'Drummer'];
-
-
-// Helper function to generate unique IDs for bench positions - Updated to use 'bench'
-const generateBenchPositionId = (row, side) => `${POSITIONS.BENCH}-${row}-${side}`;
 
 // Initial data for the tiles
-// Creates an array of 22 tile objects with unique IDs and initial positions
+// Creates an array of 22 tile objects with unique IDs and initial positions in the first boat
 const initialTiles = Array.from({ length: 22 }, (v, k) => {
   const tileId = `tile-${k}`; // Generates a unique ID for each tile
+  const boatId = DEFAULT_BOATS[0].id; // All tiles start in the first boat
   let positionId; // Variable to store the initial position ID
 
   // Assign initial positions based on the tile index (k)
   if (k === 0) {
-      positionId = POSITIONS.DRUMMER; // Assigns the first tile to the Drummer position
+      positionId = generateDrummerPositionId(boatId); // Assigns the first tile to the Drummer position
   } else if (k === 1) {
       // Assigns the second tile to the Sweep position
-      positionId = POSITIONS.SWEEP;
+      positionId = generateSweepPositionId(boatId);
   }
   else {
       // Assigns the remaining tiles to the left/right bench positions - Updated to use generateBenchPositionId
       const adjustedIndex = k - 2; // Adjusts the index to start from 0 for row calculations
       const row = Math.floor(adjustedIndex / 2) + 1; // Calculates the row number (1-based)
       const side = adjustedIndex % 2 === 0 ? 'left' : 'right'; // Determines if it's a left or right side position
-      positionId = generateBenchPositionId(row, side); // Generates the specific bench position ID
+      positionId = generateBenchPositionId(boatId, row, side); // Generates the specific bench position ID
   }
 
   return {
     id: tileId,
     // Removed original content field as it's no longer displayed
     // content: `Tile ${k + 1}`, // Content displayed on the tile
-    preference: 'Null', // Added preference field, initially 'Null'
+    preference: NO_PREFERENCE, // Added preference field, initially 'Null'
     positionId: positionId, // Stores className="p-0.5 rounded border border-gray-300 text-xs text-gray-800 w-auto min-w-0 outline-none"className="p-0.5 rounded border border-white text-xs text-gray-800 w-auto min-w-0 outline-none"className="p-0.5 rounded border border-gray-300 text-xs text-gray-800 w-auto min-w-0className="p-0.5 rounded border border-white text-xs text-gray-800 w-auto min-w-0 outline-none"the tile's current position ID
     paddlerName: `Person ${k + 1}`, // Default paddler name
+    weight: null, // Paddler weight in kg, null until entered
   };
 });
 
+// Builds the initial structure of columns/positions for the given boats and distributes the given tiles into them
+const buildInitialColumns = (boatsArray, tilesArray) => {
+    // Define the initial structure of columns/positions (Unassigned plus every seat of every boat)
+    const initialColumns = buildEmptyColumns(boatsArray);
+
+    // Distribute the tiles into the correct positionIds within the initialColumns structure
+    tilesArray.forEach(tile => {
+        if (tile.archived) return; // Archived paddlers are not part of the lineup
+        if (initialColumns[tile.positionId]) { // Check if the tile's position ID exists as a column
+            initialColumns[tile.positionId].tileIds.push(tile.id); // Add the tile ID to the corresponding column's tileIds array
+        } else {
+            // If a tile has an invalid or unknown positionId, place it in the Unassigned column
+            initialColumns[POSITIONS.UNASSIGNED].tileIds.push(tile.id);
+        }
+    });
+
+    return initialColumns;
+};
+
+// The lineup autosaved in localStorage (if any) - restored on page load instead of the initial data
+// Lineups stored before multiple boats existed are upgraded to a single boat
+const loadedLineup = loadCurrentLineup();
+const storedLineup = loadedLineup && migrateLineup(loadedLineup);
+
+// The lineup from a share link (if the page was opened from one) - shown read-only instead of the stored lineup
+const sharedLineup = readSharedLineupFromUrl();
+
+
+// Returns true if a click landed on a form control or button (e.g. a tile's name input), which must not count as a tap-to-assign tap
+const isFormControlTarget = (target) => !!target.closest('input, select, textarea, button, label');
 
 // Component for a single draggable tile
-function SortableItem({ id, paddlerName, preference, currentPositionId, currentIndex, onPaddlerNameChange, onPreferenceChange }) {
+// isSelected marks a tile that is part of the multi-selection (Shift/Ctrl-click), onTileClick handles those clicks
+// raceLoad ({ count, total, shortRest }) shows how many races of the race plan the paddler is seated in (null without races)
+// availability marks paddlers who may not come to this session ('maybe')
+// profile ({ skill, strength, years, notes }) is summarized on the tile, onOpenProfile opens the full profile in the drawer
+// preferenceCategories are the preference categories configured on the Settings screen (for the dropdown and the warning)
+// isLocked keeps the tile in its seat: it can't be dragged until the seat is unlocked (its details can still be edited)
+// isHighlighted marks the paddler chosen in the crew view, isTapSelected the tile picked up with tap-to-assign
+function SortableItem({ id, paddlerName, preference, weight, preferenceCategories = DEFAULT_PREFERENCE_CATEGORIES, unassignedReason, currentPositionId, currentIndex, isReadOnly = false, isLocked = false, isSelected = false, isHighlighted = false, isTapSelected = false, onTileClick, raceLoad = null, availability, profile, onOpenProfile, onPaddlerNameChange, onPreferenceChange, onWeightChange }) {
   // useSortable hook provides properties and methods for making the item sortable
   const {
     attributes, // HTML attributes needed for accessibility and drag/drop
@@ -91,6 +186,7 @@ function SortableItem({ id, paddlerName, preference, currentPositionId, currentI
     over, // The item being hovered over
   } = useSortable({
       id, // The unique ID of the sortable item
+      disabled: isReadOnly || isLocked, // Tiles can't be dragged in read-only mode or out of a locked seat
       // Data associated with the item, accessible during drag events
       data: {
           type: 'tile',
@@ -102,20 +198,27 @@ function SortableItem({ id, paddlerName, preference, currentPositionId, currentI
   // baseClasses: Common styles for all tiles (padding, rounded corners, cursor, flex layout, transition, light grey border, touch-action-none)
   // Reduced padding for tighter tiles
   // Added touch-action-none to prevent default browser touch behaviors (scrolling, zooming) during drag
-  const baseClasses = `p-1 rounded-md select-none cursor-grab flex flex-col transition-all duration-200 ease-in-out border border-gray-300 touch-action-none shadow-sm border-l-4 border-blue-500`;
+  const baseClasses = `p-1 rounded-md select-none ${isReadOnly || isLocked ? 'cursor-default' : 'cursor-grab'} flex flex-col transition-all duration-200 ease-in-out border border-gray-300 touch-action-none shadow-sm border-l-4 border-blue-500`;
   
   // State-based classes
   const stateClasses = [
     // Dragging state
-    isDragging ? 'opacity-80 bg-gray-100 border-gray-400 shadow-md' : 'opacity-100 bg-white',
+    isDragging ? 'opacity-80 bg-gray-100 border-gray-400 shadow-md' : (isTapSelected ? 'opacity-100 bg-green-50' : (isSelected ? 'opacity-100 bg-blue-50' : (isHighlighted ? 'opacity-100 bg-yellow-100' : 'opacity-100 bg-white'))),
     // Hover state (when dragged over a valid drop target)
     isOver && over?.id !== id ? 'ring-2 ring-blue-400' : '',
+    // Selected state (part of a multi-selection)
+    isSelected ? 'ring-2 ring-blue-600' : '',
+    // Highlighted state (the paddler chosen in the crew view)
+    isHighlighted ? 'ring-4 ring-yellow-400' : '',
+    // Picked-up state (tap-to-assign, waiting for a seat to be tapped)
+    isTapSelected ? 'ring-4 ring-green-500 shadow-lg' : '',
   ].join(' ');
 
   // positionSpecificClasses: Styles that vary based on the tile's current position (margin, width, text alignment)
   // Adjusted width and margin for different positions
+  const positionType = parsePositionId(currentPositionId).type; // Seat type without the boat (drummer, sweep, bench or unassigned)
   const positionSpecificClasses = currentPositionId === POSITIONS.UNASSIGNED ? 'mb-1 w-full max-w-[120px] mx-auto text-left text-xs' // Styles for tiles in the Unassigned column - Smaller max-w and font
-                                : (currentPositionId === POSITIONS.DRUMMER || currentPositionId === POSITIONS.SWEEP ? 'mb-0 w-full max-w-[calc(100%-16px)] mx-auto text-center text-sm' // Styles for tiles in Drummer or Sweep (single-tile zones) - Slightly smaller font
+                                : (positionType === POSITIONS.DRUMMER || positionType === POSITIONS.SWEEP ? 'mb-0 w-full max-w-[calc(100%-16px)] mx-auto text-center text-sm' // Styles for tiles in Drummer or Sweep (single-tile zones) - Slightly smaller font
                                 : 'mb-1 text-left w-full text-sm'); // Styles for tiles in the row grid positions - Slightly smaller font
 
   // Inline style object for applying transform and transition provided by useSortable
@@ -134,21 +237,24 @@ function SortableItem({ id, paddlerName, preference, currentPositionId, currentI
   };
 
   // Determines the header text displayed on the tile based on its position ID - Updated for Bench naming
-  let headerText = currentPositionId; // Default header is the position ID
-
-  if (currentPositionId === POSITIONS.DRUMMER) {
-      headerText = 'Drummer';
-  } else if (currentPositionId === POSITIONS.SWEEP) {
-      headerText = 'Sweep';
-  } else if (currentPositionId.startsWith(POSITIONS.BENCH)) { // Check for BENCH prefix
-      // Parses row and side from the bench position ID to create a user-friendly header
-      const [, row, side] = currentPositionId.split('-');
-      headerText = `Bench ${row} - ${side.charAt(0).toUpperCase() + side.slice(1)}`; // Display "Bench X - Side"
-  } else if (currentPositionId === POSITIONS.UNASSIGNED) {
+  // Seats use a user-friendly label such as "Bench 3 Left"
+  let headerText = getPositionLabel(currentPositionId);
+
+  if (currentPositionId === POSITIONS.UNASSIGNED) {
        // For unassigned, we can display the index within the unassigned list
        headerText = `Unassigned Index: ${currentIndex}`; // Uses the currentIndex prop passed from the parent
   }
 
+  // Warning message if the paddler's preference conflicts with the seat (null if it matches)
+  const preferenceViolation = getPreferenceViolation(preference, currentPositionId, preferenceCategories);
+
+  // Preferences in the dropdown - the configured categories, plus the paddler's own if it is no longer one of them
+  const preferenceOptions = preferenceCategories.map(category => category.name);
+  if (!preferenceOptions.includes(preference)) preferenceOptions.push(preference);
+
+  // One-line summary of the paddler profile, e.g. "Advanced · Str 4/5 · 3 yrs" ('' if nothing is set)
+  const profileSummary = getProfileSummary(profile);
+
   // Extract the tile number from the id (e.g., "tile-0" -> 1, "tile-21" -> 22)
   // This value is kept for potential backend use but not displayed in the GUI
   // const tileNumber = id.split('-')[1] ? parseInt(id.split('-')[1]) + 1 : null;
@@ -162,7 +268,42 @@ function SortableItem({ id, paddlerName, preference, currentPositionId, currentI
       {...attributes} // Apply accessibility and drag attributes
       {...listeners} // Apply drag event listeners
       className={`${baseClasses} ${stateClasses} ${positionSpecificClasses} relative`} // Add relative positioning for absolute positioning of the tile number
+      aria-label={`${paddlerName}, ${getPositionLabel(currentPositionId)}${preferenceViolation ? `, ${preferenceViolation}` : ''}${isSelected ? ', selected' : ''}${isHighlighted ? ', highlighted' : ''}${isTapSelected ? ', picked up' : ''}`} // Spoken name of the tile for screen readers
+      onClick={(event) => onTileClick?.(id, event)} // Shift/Ctrl-click selects the tile for a group move, a tap picks it up in tap-to-assign mode
+      onDoubleClick={(event) => {
+          // Double-clicking the tile (not one of its inputs) opens the profile
+          if (['INPUT', 'SELECT'].includes(event.target.tagName)) return;
+          onOpenProfile?.(id);
+      }}
     >
+      {/* Warning badge shown when the paddler's preference conflicts with the seat */}
+      {preferenceViolation && (
+          <span
+              className="material-icons absolute top-0.5 right-0.5 text-orange-500"
+              style={{ fontSize: '16px' }}
+              title={preferenceViolation}
+              aria-label={`Preference warning: ${preferenceViolation}`}
+          >
+              warning
+          </span>
+      )}
+
+      {/* Button opening the full profile in the drawer (kept from starting a drag) */}
+      {onOpenProfile && (
+          <button
+              className="absolute bottom-0.5 right-0.5 p-0.5 rounded-full text-gray-400 hover:text-gray-700 hover:bg-gray-100 flex items-center"
+              onPointerDown={(event) => event.stopPropagation()}
+              onClick={(event) => {
+                  event.stopPropagation(); // Don't treat the click as a tile click (selection)
+                  onOpenProfile(id);
+              }}
+              title="Open profile"
+              aria-label={`Open profile of ${paddlerName}`}
+          >
+              <span className="material-icons" style={{ fontSize: '14px' }}>badge</span>
+          </button>
+      )}
+
       {/* Container for main content, using flex-col for vertical stacking */}
       <div className="flex flex-col flex-grow"> {/* flex-grow allows this section to take up space */}
           {/* Header text is now hidden for all tiles, but kept in the code for functionality */}
@@ -177,6 +318,7 @@ function SortableItem({ id, paddlerName, preference, currentPositionId, currentI
               type="text"
               value={paddlerName} // Controlled input value
               onChange={(e) => onPaddlerNameChange(id, e.target.value)} // Call parent handler on change
+              disabled={isReadOnly} // Inputs can't be edited in read-only mode
               // Removed flex-grow, added w-auto and min-w-0 for better flex behavior, removed focus outline
              className="p-0.5 rounded border border-white text-xs text-gray-800 w-auto min-w-0 outline-none"
             />
@@ -190,22 +332,63 @@ function SortableItem({ id, paddlerName, preference, currentPositionId, currentI
               id={`preference-${id}`} // Unique ID for the dropdown
               value={preference} // Controlled dropdown value
               onChange={(e) => onPreferenceChange(id, e.target.value)} // Call parent handler on change
+              disabled={isReadOnly} // Inputs can't be edited in read-only mode
               // Removed flex-grow, added w-auto and min-w-0 for better flex behavior, removed focus outline
              className="p-0.5 rounded border border-white text-xs text-gray-800 w-auto min-w-0 outline-none"
             >
                 {/* Map over the preference options to create dropdown options */}
-                {PREFERENCE_OPTIONS.map(option => (
+                {preferenceOptions.map(option => (
                     <option key={option} value={option}>{option}</option>
                 ))}
             </select>
           </div>
 
-          {/* Hide original content and note for unassigned tiles */}
-          {currentPositionId !== POSITIONS.UNASSIGNED && (
-              <>
-                  <div className="text-gray-800 text-xs">{/*content*/}</div> {/* Smaller content font */}
-                  <div className="text-gray-600 text-[8pt]">{/*note*/}</div> {/* Even smaller note font */}
-              </>
+          {/* Weight Input - Using flexbox for label and input on same line */}
+          <div className="mt-0.5 mb-0.5 flex items-center" onMouseDown={handleInputMouseDown}>
+            <label htmlFor={`weight-${id}`} className="block text-xs text-gray-600 mr-1 shrink-0">Weight:</label>
+            <input
+              id={`weight-${id}`} // Unique ID for the input, linked to the label
+              type="number"
+              min="0"
+              step="0.5"
+              placeholder="kg"
+              value={weight ?? ''} // Controlled input value (empty when no weight is set)
+              onChange={(e) => onWeightChange(id, e.target.value)} // Call parent handler on change
+              disabled={isReadOnly} // Inputs can't be edited in read-only mode
+             className="p-0.5 rounded border border-white text-xs text-gray-800 w-16 min-w-0 outline-none"
+            />
+          </div>
+
+          {/* Reason why Auto-assign could not place this paddler (only shown in the Unassigned column) */}
+          {currentPositionId === POSITIONS.UNASSIGNED && unassignedReason && (
+              <div className="text-orange-600 text-[8pt]" title="Auto-assign">{unassignedReason}</div>
+          )}
+
+          {/* Marker for paddlers who may not come to this session */}
+          {availability === AVAILABILITY.MAYBE && (
+              <div className="text-yellow-700 text-[8pt] flex items-center" title="Availability">
+                  <span className="material-icons mr-0.5" style={{ fontSize: '12px' }}>help</span>
+                  Maybe attending
+              </div>
+          )}
+
+          {/* Number of races in the race plan the paddler is seated in, and a warning if the rest between two of them is too short */}
+          {raceLoad && (
+              <div className="text-gray-600 text-[8pt] flex items-center" title="Races seated in the race plan">
+                  <span className="material-icons mr-0.5" style={{ fontSize: '12px' }}>flag</span>
+                  {raceLoad.count} of {raceLoad.total} races
+              </div>
+          )}
+          {raceLoad?.shortRest && (
+              <div className="text-orange-600 text-[8pt]">{raceLoad.shortRest}</div>
+          )}
+
+          {/* Profile summary (content) and notes (note) - the notes are hidden for the narrow unassigned tiles */}
+          {profileSummary && (
+              <div className="text-gray-800 text-xs pr-4">{profileSummary}</div> /* Smaller content font, room for the profile button */
+          )}
+          {currentPositionId !== POSITIONS.UNASSIGNED && profile?.notes && (
+              <div className="text-gray-600 text-[8pt] truncate pr-4" title={profile.notes}>{profile.notes}</div> /* Even smaller note font */
           )}
 
       </div>
@@ -216,10 +399,15 @@ function SortableItem({ id, paddlerName, preference, currentPositionId, currentI
 }
 
 // Component for a single droppable zone (can hold one tile)
-function DroppableZone({ children, id, label, activeDroppableId, occupiedTileId }) {
+// preferenceViolation: warning message when the seated paddler's preference conflicts with the seat (or null)
+// isLocked: the seat keeps its paddler (and refuses drops) until it is unlocked, onToggleLock locks or unlocks it (hidden when not given)
+// isHighlighted: the seat of the paddler chosen in the crew view
+// onTap: Function(id), places the tile picked up with tap-to-assign in this seat (only given while a tile is picked up)
+function DroppableZone({ children, id, label, activeDroppableId, occupiedTileId, preferenceViolation = null, isLocked = false, onToggleLock, isHighlighted = false, onTap }) {
   // useDroppable hook makes the element a droppable target
   const { setNodeRef, isOver } = useDroppable({ 
     id, // The unique ID of the droppable zone
+    disabled: isLocked, // Locked seats refuse drops
     data: {
       type: 'droppable-zone',
       accepts: ['tile'],
@@ -241,6 +429,14 @@ function DroppableZone({ children, id, label, activeDroppableId, occupiedTileId
     occupiedTileId ? 'bg-gray-200' : 'bg-gray-50',
     // Border style based on state
     occupiedTileId ? 'border-solid border-gray-200' : 'border-dashed border-gray-300',
+    // Orange border when the seated paddler's preference conflicts with the seat
+    preferenceViolation ? 'border-orange-400' : '',
+    // Amber border and background when the seat is locked
+    isLocked ? 'border-solid border-amber-500 bg-amber-50' : '',
+    // Yellow border and background for the seat of the paddler chosen in the crew view
+    isHighlighted ? 'border-solid border-yellow-500 bg-yellow-100' : '',
+    // Green dashed border on the seats a picked-up tile can be tapped into
+    onTap && !isLocked ? 'cursor-pointer border-dashed border-green-400' : '',
     // Hover state (when not dragging)
     isOver && !occupiedTileId ? 'bg-gray-100' : '',
     // When this zone is the active drop target
@@ -252,17 +448,48 @@ function DroppableZone({ children, id, label, activeDroppableId, occupiedTileId
     <div
       ref={setNodeRef}
       className={`${baseClasses} ${stateClasses} h-full`} // Combine all Tailwind classes, added h-full
+      onClick={onTap ? (event) => { if (!isFormControlTarget(event.target)) onTap(id); } : undefined} // Tap-to-assign (not when the lock button is tapped)
     >
-      {/* Show the label if the zone is empty */}
-      <div className="text-gray-600 text-xs">{label}</div>
+      {/* Show the label if the zone is empty, with a warning badge if the seat conflicts with the paddler's preference and the lock button */}
+      <div className="text-gray-600 text-xs flex items-center">
+          {label}
+          {preferenceViolation && (
+              <span className="material-icons text-orange-500 ml-1" style={{ fontSize: '14px' }} title={preferenceViolation}>warning</span>
+          )}
+          {onToggleLock ? (
+              <button
+                  onClick={() => onToggleLock(id)}
+                  onPointerDown={(e) => e.stopPropagation()} // Keep the click from starting a drag
+                  className={`ml-1 rounded-full p-0.5 transition-colors ${isLocked ? 'text-amber-600 hover:bg-amber-100' : 'text-gray-400 hover:bg-gray-200 hover:text-gray-700'}`}
+                  title={isLocked ? 'Unlock seat' : 'Lock seat (keeps the paddler through Unassign All, Auto-assign and rotations)'}
+                  aria-label={`${isLocked ? 'Unlock' : 'Lock'} ${label}`}
+                  aria-pressed={isLocked}
+              >
+                  <span className="material-icons" style={{ fontSize: '14px' }}>{isLocked ? 'lock' : 'lock_open'}</span>
+              </button>
+          ) : isLocked && (
+              <span className="material-icons text-amber-600 ml-1" style={{ fontSize: '14px' }} title="Locked seat" aria-label="Locked seat">lock</span>
+          )}
+      </div>
       {children}
     </div>
   );
 }
 
+// Sorting strategy that leaves every tile in place while dragging (used while the Unassigned column is sorted)
+const keepOrderStrategy = () => null;
+
 // Component for the Unassigned column (which is a sortable list and a droppable zone)
-function UnassignedColumn({ children, id, title, tileIds, selectedFilterPreferences = [], onFilterChange = () => {}, activeDroppableId }) {
-    const [isFilterActive, setIsFilterActive] = useState(false);
+// absentCount is the number of absent paddlers hidden from the column
+// searchText/onSearchChange and sortBy/sortDirection/onSortChange(sortBy, direction) control the name search and the sort order,
+// totalCount is the number of paddlers in the column before filtering and searching (for the "Showing N of M" count)
+// The filter, search and sort state lives in App, so it survives drags and switching screens
+// preferenceOptions are the preference categories offered by the filter
+// onTap puts the tile picked up with tap-to-assign back into the column (only given while a seated tile is picked up)
+function UnassignedColumn({ children, id, title, tileIds, preferenceOptions = [], selectedFilterPreferences = [], onFilterChange = () => {}, activeDroppableId, absentCount = 0,
+                            searchText = '', onSearchChange = () => {}, sortBy = 'manual', sortDirection = 'asc', onSortChange = () => {}, totalCount = tileIds.length, onTap }) {
+    // The filter list starts open if a filter is still applied (e.g., when coming back from the roster screen)
+    const [isFilterActive, setIsFilterActive] = useState(selectedFilterPreferences.length > 0);
     
     const toggleFilter = () => {
         const newState = !isFilterActive;
@@ -293,13 +520,25 @@ function UnassignedColumn({ children, id, title, tileIds, selectedFilterPreferen
         tileIds.length > 0 ? 'border-solid border-gray-200' : 'border-dashed border-gray-300',
         // Background color based on state
         isActiveDropTarget ? 'bg-green-50 border-green-500' : isOver ? 'bg-gray-50' : 'bg-white',
+        // Green dashed border while a seated tile is picked up with tap-to-assign
+        onTap ? 'cursor-pointer border-dashed border-green-400' : '',
     ].filter(Boolean).join(' ');
 
     return (
-        <div ref={setNodeRef} className={`${baseClasses} ${stateClasses}`}>
+        <div
+            ref={setNodeRef}
+            className={`${baseClasses} ${stateClasses}`}
+            onClick={onTap ? (event) => { if (!isFormControlTarget(event.target)) onTap(); } : undefined} // Tap-to-assign (not when the search, sort or filter is used)
+        >
             <div className="mb-2 w-full">
                 <div className="flex items-center justify-between mb-1">
-                    <h3 className="text-lg font-semibold">{title}</h3>
+                    <div>
+                        <h3 className="text-lg font-semibold">{title}</h3>
+                        {/* Absent paddlers are not shown, but mentioned so nobody wonders where they went */}
+                        {absentCount > 0 && (
+                            <div className="text-xs text-gray-500">{absentCount} absent hidden</div>
+                        )}
+                    </div>
                     <button 
                         onClick={toggleFilter}
                         className="text-gray-600 hover:text-gray-800 transition-colors p-1"
@@ -325,18 +564,55 @@ function UnassignedColumn({ children, id, title, tileIds, selectedFilterPreferen
                             aria-label="Filter options"
                         >
                             <option value="">Show All</option>
-                            <option value="Left">Left</option>
-                            <option value="Right">Right</option>
-                            <option value="Either">Either</option>
-                            <option value="Sweep">Sweep</option>
-                            <option value="Drummer">Drummer</option>
+                            {preferenceOptions.map(option => (
+                                <option key={option} value={option}>{option}</option>
+                            ))}
                         </select>
                     </div>
                 )}
+                {/* Name search */}
+                <div className="relative mb-1">
+                    <span className="material-icons absolute left-1 top-1/2 -translate-y-1/2 text-gray-400" style={{ fontSize: '16px' }}>search</span>
+                    <input
+                        type="search"
+                        value={searchText}
+                        onChange={(e) => onSearchChange(e.target.value)}
+                        placeholder="Search name"
+                        className="w-full text-xs p-1 pl-6 border rounded"
+                        aria-label="Search unassigned paddlers"
+                    />
+                </div>
+                {/* Sort order and direction */}
+                <div className="flex items-center gap-1 mb-1">
+                    <select
+                        value={sortBy}
+                        onChange={(e) => onSortChange(e.target.value, sortDirection)}
+                        className="flex-1 text-xs p-0.5 border rounded"
+                        aria-label="Sort unassigned paddlers by"
+                    >
+                        {UNASSIGNED_SORT_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>Sort: {option.label}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={() => onSortChange(sortBy, sortDirection === 'asc' ? 'desc' : 'asc')}
+                        disabled={sortBy === 'manual'}
+                        className="text-gray-600 hover:text-gray-800 transition-colors p-0.5 disabled:opacity-30 flex items-center"
+                        aria-label={sortDirection === 'asc' ? 'Sort descending' : 'Sort ascending'}
+                        title={sortDirection === 'asc' ? 'Ascending' : 'Descending'}
+                    >
+                        <span className="material-icons" style={{ fontSize: '18px' }}>
+                            {sortDirection === 'asc' ? 'arrow_upward' : 'arrow_downward'}
+                        </span>
+                    </button>
+                </div>
+                {/* Number of paddlers shown after filtering and searching */}
+                <div className="text-xs text-gray-500" aria-live="polite">Showing {tileIds.length} of {totalCount}</div>
             </div>
 
             <div className="flex-grow flex flex-col items-center h-full">
-                <SortableContext items={tileIds} strategy={verticalListSortingStrategy}>
+                {/* While sorted, the tiles don't make room for a dragged tile - drops go to the end of the list */}
+                <SortableContext items={tileIds} strategy={sortBy === 'manual' ? verticalListSortingStrategy : keepOrderStrategy}>
                     {children}
                 </SortableContext>
             </div>
@@ -459,52 +735,158 @@ function App() {
     return `${baseId}-${Math.random().toString(36).substr(2, 6)}`;
   };
 
-  // State to hold the array of all tiles
-  const [tiles, setTiles] = useState(initialTiles);
+  // Generates a tile ID that is not in usedIds yet and adds it to usedIds
+  const generateUnusedTileId = (usedIds) => {
+    let newId = generateNewTileId();
+    while (usedIds.has(newId)) newId = generateNewTileId(); // Make sure the random ID is unique
+    usedIds.add(newId);
+    return newId;
+  };
+
+  // State to hold the boats on screen ({ id, name }), each with its own drummer, sweep and bench seats
+  // A shared lineup from the URL takes precedence over the stored lineup
+  const [boats, setBoats] = useState(() => sharedLineup?.boats || storedLineup?.boats || DEFAULT_BOATS);
+  // State to hold the array of all tiles (restored from localStorage if available)
+  const [tiles, setTiles] = useState(() => sharedLineup?.tiles || storedLineup?.tiles || initialTiles);
   // State to hold the structure of columns/positions and the IDs of tiles within them
-  const [columns, setColumns] = useState({});
+  const [columns, setColumns] = useState(() => sharedLineup?.columns || storedLineup?.columns || buildInitialColumns(DEFAULT_BOATS, initialTiles));
+  // State for viewing a lineup opened from a share link (read-only)
+  const [isSharedView, setIsSharedView] = useState(() => !!sharedLineup);
   // State to manage the expanded/collapsed state of the sidebar
   const [isSidebarExpanded, setIsSidebarExpanded] = useState(false); // Initially collapsed
-  // State to hold the current section name for the AppBar
-  // eslint-disable-next-line no-unused-vars
-  const [currentSection, setCurrentSection] = useState('Boat Layout'); // Default section name - setCurrentSection is currently unused, but kept for future navigation features
+  // State to hold the current section name for the AppBar (the screen chosen in the Sidebar)
+  const [currentSection, setCurrentSection] = useState(SECTIONS.BOAT_LAYOUT); // Default section name
   // State to hold the selected filter preferences for the unassigned column (array for multi-select)
   const [selectedFilterPreferences, setSelectedFilterPreferences] = useState([]); // Initialize with an empty array
+  // State for the name search and sort order of the Unassigned column
+  const [unassignedSearch, setUnassignedSearch] = useState('');
+  const [unassignedSort, setUnassignedSort] = useState({ sortBy: 'manual', direction: 'asc' });
+  // State to hold the reasons why Auto-assign left paddlers in Unassigned (tile ID -> reason)
+  const [unassignedReasons, setUnassignedReasons] = useState({});
+
+
+  // State to hold the named lineups saved in localStorage
+  const [savedLineups, setSavedLineups] = useState(loadSavedLineups);
+  // State to manage whether the Saved Lineups dialog is open
+  const [isSavedLineupsOpen, setIsSavedLineupsOpen] = useState(false);
+  // State to manage whether the Roster CSV dialog is open
+  const [isRosterCsvOpen, setIsRosterCsvOpen] = useState(false);
+  // State to hold the app settings (stored in localStorage)
+  // - swapOnDrop: dropping onto an occupied seat swaps the two paddlers (otherwise the occupant is bumped to Unassigned)
+  const [settings, setSettings] = useState(() => ({ swapOnDrop: true, ...loadSettings() }));
+  // Preference categories and the seats each may occupy (configured on the Settings screen)
+  const preferenceCategories = settings.preferenceCategories ?? DEFAULT_PREFERENCE_CATEGORIES;
+  const preferenceOptions = preferenceCategories.map(category => category.name);
+  // Seats locked to their paddler - Unassign All, Auto-assign and rotations leave them alone, and they refuse drops
+  const lockedSeatIds = settings.lockedSeatIds ?? [];
+  // Crew view (chosen in the Sidebar Account menu): the lineup is read-only and the seat of the chosen paddler (crewPaddlerId) is highlighted
+  const isCrewView = settings.viewMode === VIEW_MODES.CREW;
+  // Read-only mode: nothing can be dragged or edited while viewing a shared lineup or in the crew view
+  const isReadOnly = isSharedView || isCrewView;
+  // State to hold the race plan ({ races, activeRaceId, minRestMinutes }, stored in localStorage)
+  // While a race is active, the lineup on screen is that race's lineup and every change is written back to it
+  const [racePlan, setRacePlan] = useState(() => ({ ...EMPTY_RACE_PLAN, ...loadRacePlan() }));
+  // State to manage whether the Race Plan dialog is open
+  const [isRacePlanOpen, setIsRacePlanOpen] = useState(false);
+  // State to manage whether the Compare Lineups dialog is open
+  const [isCompareOpen, setIsCompareOpen] = useState(false);
+  // State to manage whether the Training Rotation dialog is open
+  const [isRotationOpen, setIsRotationOpen] = useState(false);
+  // State for the generated training rotation: { steps, currentStep } where each step is an arrangement
+  // (step 0 is the lineup the rotation was generated from), or null when there is none
+  const [rotation, setRotation] = useState(null);
+  // State to manage whether the Live Collaboration dialog is open, and whether this session is in a collaboration room
+  const [isCollaborationOpen, setIsCollaborationOpen] = useState(false);
+  const [isCollaborating, setIsCollaborating] = useState(false);
+  // State to hold the notices shown in the corner until dismissed ({ id, text }), e.g. when absent paddlers leave their seat
+  const [notices, setNotices] = useState([]);
+
+  // State for the ID of the paddler whose profile is open in the drawer (null when closed)
+  const [profileTileId, setProfileTileId] = useState(null);
+
+  // Shows a notice
+  const addNotice = (text) => {
+      setNotices(prevNotices => [...prevNotices, { id: `notice-${Date.now().toString(36)}-${prevNotices.length}`, text }]);
+  };
 
+  // Restores a lineup recorded by the undo/redo history
+  const restoreLineup = useCallback((lineup) => {
+      setBoats(lineup.boats);
+      setTiles(lineup.tiles);
+      setColumns(lineup.columns);
+  }, []);
+
+  // Undo/redo history over all lineup changes (drags, Unassign All, Auto-assign, name and preference edits, ...)
+  const { undo, redo, canUndo, canRedo, groupNextChange, resetHistory } = useLineupHistory({ boats, tiles, columns }, restoreLineup);
+
+  // Whether there is a network connection - the app keeps working offline (see service-worker.js)
+  const isOnline = useOnlineStatus();
+
+  // Live collaboration: the name, sync server and room are stored with the settings
+  // While collaborating, every lineup change is sent to the room and the changes of the others are applied (and can be undone like any change)
+  // A change made at the same time as someone else's is replaced by theirs, with a notice
+  const collaborationOptions = { userName: '', serverUrl: DEFAULT_SYNC_SERVER_URL, room: '', ...settings.collaboration };
+  const { status: collaborationStatus, users: collaborators, selfId } = useCollaboration(
+      { isEnabled: isCollaborating, ...collaborationOptions },
+      { boats, tiles, columns },
+      restoreLineup,
+      (otherUserName) => addNotice(`${otherUserName || 'Someone else'} changed the lineup at the same time, so your last change was replaced by theirs.`)
+  );
 
-  // Effect hook to populate the columns state based on the initialTiles data
-  // Runs only once on component mount (empty dependency array [])
-  useState(() => {
-      // Define the initial structure of columns/positions
-      const initialColumns = {
-          [POSITIONS.UNASSIGNED]: { id: POSITIONS.UNASSIGNED, title: 'Unassigned', tileIds: [] },
-          [POSITIONS.DRUMMER]: { id: POSITIONS.DRUMMER, title: 'Drummer', tileIds: [] },
-          [POSITIONS.SWEEP]: { id: POSITIONS.SWEEP, title: 'Sweep', tileIds: [] },
-          // Dynamically generate entries for each bench position (e.g., 'bench-1-left', 'bench-1-right') - Updated to use generateBenchPositionId
-          ...Array.from({ length: 10 }).reduce((acc, _, rowIndex) => {
-              acc[generateBenchPositionId(rowIndex + 1, 'left')] = { id: generateBenchPositionId(rowIndex + 1, 'left'), title: `Bench ${rowIndex + 1} Left`, tileIds: [] }; // Updated title
-              acc[generateBenchPositionId(rowIndex + 1, 'right')] = { id: generateBenchPositionId(rowIndex + 1, 'right'), title: `Bench ${rowIndex + 1} Right`, tileIds: [] }; // Updated title
-              return acc;
-          }, {}),
+  // Effect hook for the undo/redo keyboard shortcuts (Ctrl+Z / Ctrl+Shift+Z, or Cmd on macOS)
+  // Skipped while typing in a form field, so the field's own undo still works there
+  useEffect(() => {
+      const handleKeyDown = (event) => {
+          if (isReadOnly || !(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+          const target = event.target;
+          if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+          event.preventDefault();
+          if (event.shiftKey) redo();
+          else undo();
       };
-
-      // Distribute initial tiles into the correct positionIds within the initialColumns structure
-      initialTiles.forEach(tile => {
-          if (initialColumns[tile.positionId]) { // Check if the tile's initial position ID exists as a column
-              initialColumns[tile.positionId].tileIds.push(tile.id); // Add the tile ID to the corresponding column's tileIds array
-          } else {
-              // If a tile has an invalid or unknown positionId, place it in the Unassigned column
-              initialColumns[POSITIONS.UNASSIGNED].tileIds.push(tile.id);
-          }
-      });
-
-      setColumns(initialColumns); // Set the initial columns state
-  }, [tiles]); // Run effect when tiles change
+      window.addEventListener('keydown', handleKeyDown);
+      return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, isReadOnly]);
+
+  // Effect hook to autosave the current lineup whenever the boats, tiles or columns change
+  // A shared lineup viewed in read-only mode is not saved, so it doesn't overwrite the coach's own lineup
+  useEffect(() => {
+      if (isSharedView) return;
+      saveCurrentLineup({ boats, tiles, columns });
+  }, [boats, tiles, columns, isSharedView]);
+
+  // Effect hook to store the settings whenever they change
+  useEffect(() => {
+      storeSettings(settings);
+  }, [settings]);
+
+  // Effect hook to store the race plan whenever it changes
+  useEffect(() => {
+      storeRacePlan(racePlan);
+  }, [racePlan]);
+
+  // Effect hook to write every change of the lineup on screen back to the active race (not while viewing a shared lineup)
+  useEffect(() => {
+      if (isSharedView) return;
+      setRacePlan(prevPlan => prevPlan.activeRaceId ? {
+          ...prevPlan,
+          races: prevPlan.races.map(race => race.id === prevPlan.activeRaceId ? { ...race, boats, arrangement: getArrangement(columns) } : race),
+      } : prevPlan);
+  }, [boats, columns, isSharedView]);
+
+  // Effect hook to store the named lineups whenever they change
+  useEffect(() => {
+      storeSavedLineups(savedLineups);
+  }, [savedLineups]);
 
 
   // State to track the ID of the item currently being dragged (for the DragOverlay)
   const [activeId, setActiveId] = useState(null);
 
+  // Options for the KeyboardSensor - the arrow keys move a picked-up tile from seat to seat
+  // (drummer, benches, sweep and Unassigned), recreated when the boats change
+  const keyboardSensorOptions = useMemo(() => ({ coordinateGetter: createSeatKeyboardCoordinates(boats) }), [boats]);
+
   // Configure sensors for activating drag (PointerSensor for mouse/touch, KeyboardSensor for keyboard)
   const sensors = useSensors(
     useSensor(PointerSensor, {
@@ -512,9 +894,26 @@ function App() {
         distance: 8, // Drag starts after the pointer moves 8px (increased from 5 for better touch handling)
       },
     }),
-    useSensor(KeyboardSensor, {}) // Enables keyboard dragging
+    useSensor(KeyboardSensor, keyboardSensorOptions) // Enables keyboard dragging
   );
 
+  // Ref tracking whether the Alt key is held, which switches an occupied-seat drop between swap and bump
+  const isBumpModifierPressedRef = useRef(false);
+
+  // Effect hook to track the Alt key (also reset when the window loses focus, e.g. after Alt+Tab)
+  useEffect(() => {
+      const handleKey = (event) => { isBumpModifierPressedRef.current = event.altKey; };
+      const handleBlur = () => { isBumpModifierPressedRef.current = false; };
+      window.addEventListener('keydown', handleKey);
+      window.addEventListener('keyup', handleKey);
+      window.addEventListener('blur', handleBlur);
+      return () => {
+          window.removeEventListener('keydown', handleKey);
+          window.removeEventListener('keyup', handleKey);
+          window.removeEventListener('blur', handleBlur);
+      };
+  }, []);
+
   // State to track which droppable is being hovered over
   const [activeDroppableId, setActiveDroppableId] = useState(null);
 
@@ -537,6 +936,7 @@ function App() {
     }
 
     // If name is not taken, update the tiles state
+    groupNextChange(`name-${tileId}`); // Typing a name letter by letter is a single undo step
     setTiles(prevTiles =>
       prevTiles.map(tile =>
         // If the tile ID matches, update its paddlerName; otherwise, return the tile unchanged
@@ -554,6 +954,21 @@ function App() {
       );
   };
 
+  // Handler for changes to the Weight input field
+  const handleWeightChange = (tileId, newWeight) => {
+      // Store an empty input as null, otherwise store the value as a number
+      const parsedWeight = newWeight === '' ? null : Number(newWeight);
+      if (parsedWeight !== null && (!Number.isFinite(parsedWeight) || parsedWeight < 0)) {
+          return; // Ignore invalid or negative weights
+      }
+      groupNextChange(`weight-${tileId}`); // Typing a weight digit by digit is a single undo step
+      setTiles(prevTiles =>
+          prevTiles.map(tile =>
+              tile.id === tileId ? { ...tile, weight: parsedWeight } : tile
+          )
+      );
+  };
+
   // Grid configuration for snap-to-grid
   const GRID_SIZE = 50; // Size of each grid cell in pixels
 
@@ -564,9 +979,97 @@ function App() {
     return { x: snappedX, y: snappedY };
   };
 
+  // State for the screen-reader announcement of the last seat changes (read out by an aria-live region)
+  const [moveAnnouncement, setMoveAnnouncement] = useState('');
+
+  // Announces the seat changes between the current tiles and the next tiles,
+  // e.g. "Person 4 moved to Bench 3 Left, Person 9 moved to Unassigned"
+  const announceMoves = (nextTiles) => {
+      setMoveAnnouncement(describeTileMoves(tiles, nextTiles, boats));
+  };
+
+  // Returns the name of a seat, with the boat name when there is more than one boat
+  const getSeatName = (positionId) => {
+      const boat = boats.length > 1 && boats.find(b => b.id === parsePositionId(positionId).boatId);
+      return boat ? `${boat.name} ${getPositionLabel(positionId)}` : getPositionLabel(positionId);
+  };
+
+  // Returns a spoken name for a drop target: the seat label, or the seat of the tile being hovered over
+  const getDropTargetLabel = (over) => {
+      const overTile = over.data.current?.type === 'tile' ? getTileById(over.id) : null;
+      return getSeatName(overTile ? overTile.positionId : over.id);
+  };
+
+  // Screen-reader announcements while dragging (the result of a drop is announced by announceMoves)
+  const dragAnnouncements = {
+      onDragStart: ({ active }) => `Picked up ${getTileById(active.id)?.paddlerName}.`,
+      onDragOver: ({ active, over }) => over
+          ? `${getTileById(active.id)?.paddlerName} is over ${getDropTargetLabel(over)}.`
+          : `${getTileById(active.id)?.paddlerName} is no longer over a seat.`,
+      onDragEnd: ({ active, over }) => over ? undefined : `${getTileById(active.id)?.paddlerName} was dropped outside a seat. Nothing changed.`,
+      onDragCancel: ({ active }) => `Moving ${getTileById(active.id)?.paddlerName} was cancelled. Nothing changed.`,
+  };
+
+  // Instructions read to screen-reader users when a tile gets focus
+  const screenReaderInstructions = {
+      draggable: 'To pick up a paddler, press space or enter. Use the arrow keys to move between the drummer, the benches, the sweep and the Unassigned list. Press space or enter again to drop, or escape to cancel.',
+  };
+
+  // State to hold the IDs of the tiles selected with Shift/Ctrl-click, in the order they were selected
+  const [selectedTileIds, setSelectedTileIds] = useState([]);
+  // State to hold the tile picked up with tap-to-assign (tap a tile, then tap a seat or the Unassigned column), or null
+  const [tapSelectedTileId, setTapSelectedTileId] = useState(null);
+  // The seat (or Unassigned) the tile was picked up from
+  const tapPickedPositionRef = useRef(null);
+  // Tap-to-assign mode (toggled in the Sidebar) - on by default on touch screens, where dragging fights with scrolling
+  const isTapToAssign = settings.tapToAssign ?? !!window.matchMedia?.('(pointer: coarse)').matches;
+
+  // Handler for clicks on a tile
+  // Shift/Ctrl/Cmd-click adds the tile to (or removes it from) the selection, a plain click on the tile clears the selection
+  // In tap-to-assign mode a plain tap picks the tile up (or places the picked-up tile, see handleTileTap)
+  const handleTileClick = (tileId, event) => {
+      if (isReadOnly) return;
+      if (event.shiftKey || event.ctrlKey || event.metaKey) {
+          event.preventDefault();
+          setSelectedTileIds(prevIds => prevIds.includes(tileId) ? prevIds.filter(id => id !== tileId) : [...prevIds, tileId]);
+      } else if (isTapToAssign && !isFormControlTarget(event.target)) {
+          event.stopPropagation(); // The tap is handled here, not by the seat or the Unassigned column around the tile
+          setSelectedTileIds([]);
+          handleTileTap(tileId);
+      } else if (selectedTileIds.length > 0 && !['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) {
+          setSelectedTileIds([]);
+      }
+  };
+
+  // Effect hook to clear the selection with the Escape key
+  useEffect(() => {
+      const handleKeyDown = (event) => {
+          if (event.key === 'Escape') {
+              setSelectedTileIds([]);
+              setTapSelectedTileId(null); // Also puts down a tile picked up with tap-to-assign
+          }
+      };
+      window.addEventListener('keydown', handleKeyDown);
+      return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Returns the tiles moved by dragging the given tile: the whole selection (dragged tile first) if the tile is selected,
+  // otherwise just the tile itself. Selected tiles that are no longer in the lineup (archived, deleted or absent) or sit in a locked seat are left out.
+  const getDragGroupTileIds = (tileId) => {
+      if (!selectedTileIds.includes(tileId)) return [tileId];
+      const lineupTileIds = selectedTileIds.filter(id => id !== tileId && getTileById(id) && !getTileById(id).archived
+          && getTileById(id).availability !== AVAILABILITY.ABSENT && !lockedSeatIds.includes(getTileById(id).positionId));
+      return [tileId, ...lineupTileIds];
+  };
+
   // Handler for when a drag operation starts
   const onDragStart = (event) => {
     setActiveId(event.active.id);
+    setTapSelectedTileId(null); // Dragging puts down a tile picked up with tap-to-assign
+    // Dragging a tile outside the selection moves just that tile
+    if (!selectedTileIds.includes(event.active.id)) {
+      setSelectedTileIds([]);
+    }
   };
 
   // Handler for when a drag operation ends
@@ -576,6 +1079,11 @@ function App() {
     setActiveId(null);
     setActiveDroppableId(null);
 
+    // Any Auto-assign reason for the dragged tile is outdated once it is moved by hand
+    if (unassignedReasons[active.id]) {
+      setUnassignedReasons(({ [active.id]: _removed, ...remainingReasons }) => remainingReasons);
+    }
+
     // Apply snap-to-grid to the final position
     if (delta) {
       const { x, y } = snapToGrid(delta.x, delta.y);
@@ -654,6 +1162,29 @@ function App() {
          return;
     }
 
+    // Locked seats keep their paddler until they are unlocked
+    if (lockedSeatIds.includes(destinationColumnId) || lockedSeatIds.includes(sourcePositionId)) {
+        console.log(`Drop refused: seat '${lockedSeatIds.includes(destinationColumnId) ? destinationColumnId : sourcePositionId}' is locked.`);
+        return;
+    }
+
+    // ** Logic for moving a group of selected tiles together **
+    // The group fills consecutive empty seats starting at the drop target (or goes to the end of Unassigned)
+    const groupTileIds = getDragGroupTileIds(active.id);
+    if (groupTileIds.length > 1) {
+        const { columns: nextColumns, assignments, unplacedTileIds } = bulkMoveTiles(columns, groupTileIds, destinationColumnId, boats, lockedSeatIds);
+        const nextTiles = tiles.map(tile => assignments[tile.id] ? { ...tile, positionId: assignments[tile.id] } : tile);
+        console.log(`Moved a group of ${groupTileIds.length} tiles to '${destinationColumnId}'. ${unplacedTileIds.length} did not fit.`);
+
+        setColumns(nextColumns);
+        setTiles(nextTiles);
+        setSelectedTileIds([]);
+        // Tell screen-reader users where the paddlers went (and how many did not fit)
+        const movesText = describeTileMoves(tiles, nextTiles, boats);
+        setMoveAnnouncement(unplacedTileIds.length > 0 ? `${movesText}. ${unplacedTileIds.length} paddlers did not fit.` : movesText);
+        return;
+    }
+
     const destinationColumn = columns[destinationColumnId]; // Get the destination column object
     const destinationTileIds = Array.from(destinationColumn.tileIds); // Get the current tile IDs in the destination column
 
@@ -662,99 +1193,24 @@ function App() {
     // These zones should only hold one tile at a time (except Unassigned)
     const isSingleTileDestination = destinationColumnId !== POSITIONS.UNASSIGNED;
 
-    if (isSingleTileDestination) {
-      if (isSingleTileDestination) {
-        // Check if the destination zone is already occupied
-        if (destinationTileIds.length > 0) {
-            console.log(`Destination ${destinationColumnId} is occupied. Moving original tile to Unassigned.`);
-    
-            const originalTileId = destinationTileIds[0]; // Get the ID of the tile currently in the destination
-    
-            // Calculate the next state for columns and tiles
-            const nextColumns = { ...columns };
-            const nextTiles = [...tiles];
-    
-            // Remove dragged tile from source column (if it's not already being moved from Unassigned)
-            if (sourcePositionId !== POSITIONS.UNASSIGNED) {
-                nextColumns[sourcePositionId] = {
-                    ...columns[sourcePositionId],
-                    tileIds: columns[sourcePositionId].tileIds.filter(id => id !== active.id),
-                };
-            } else {
-                // If moving from Unassigned, remove from the Unassigned column
-                nextColumns[POSITIONS.UNASSIGNED] = {
-                    ...columns[POSITIONS.UNASSIGNED],
-                    tileIds: columns[POSITIONS.UNASSIGNED].tileIds.filter(id => id !== active.id),
-                };
-            }
-    
-            // Add original tile to unassigned column (at the end)
-            nextColumns[POSITIONS.UNASSIGNED] = {
-                ...columns[POSITIONS.UNASSIGNED],
-                tileIds: [...columns[POSITIONS.UNASSIGNED].tileIds.filter(id => id !== active.id), originalTileId],
-            };
-    
-            // Place dragged tile in destination column
-            nextColumns[destinationColumnId] = {
-                ...columns[destinationColumnId],
-                tileIds: [active.id],
-            };
-    
-            // Update the position for the dragged tile
-            const draggedTile = nextTiles.find(tile => tile.id === active.id);
-            if (draggedTile) {
-                draggedTile.positionId = destinationColumnId;
-            }
-    
-            // Update the positionId for the original tile that was moved to Unassigned
-            const originalTile = nextTiles.find(tile => tile.id === originalTileId);
-            if (originalTile) {
-                originalTile.positionId = POSITIONS.UNASSIGNED;
-            }
-    
-            // Update state with the new columns and tiles data
-            setColumns(nextColumns);
-            setTiles(nextTiles);
-        } else {
-            // Destination is a single-tile zone and is empty
-            console.log(`Destination ${destinationColumnId} is empty. Placing dragged tile.`);
-    
-            // Calculate the next state for columns and tiles
-            const nextColumns = { ...columns };
-            const nextTiles = [...tiles];
-    
-            // Remove dragged tile from source column (whether it's from Unassigned or another position)
-            if (sourcePositionId === POSITIONS.UNASSIGNED) {
-                nextColumns[POSITIONS.UNASSIGNED] = {
-                    ...columns[POSITIONS.UNASSIGNED],
-                    tileIds: columns[POSITIONS.UNASSIGNED].tileIds.filter(id => id !== active.id),
-                };
-            } else if (sourcePositionId) {
-                nextColumns[sourcePositionId] = {
-                    ...columns[sourcePositionId],
-                    tileIds: columns[sourcePositionId].tileIds.filter(id => id !== active.id),
-                };
-            }
-    
-            // Place dragged tile in destination column
-            nextColumns[destinationColumnId] = {
-                ...columns[destinationColumnId],
-                tileIds: [active.id],
-            };
-    
-            // Update the positionId for the dragged tile
-            const draggedTile = nextTiles.find(tile => tile.id === active.id);
-            if (draggedTile) {
-                draggedTile.positionId = destinationColumnId;
-            }
-    
-            // Update state with the new columns and tiles data
-            setColumns(nextColumns);
-            setTiles(nextTiles);
-        }
+    // Dropping a tile back onto its own seat changes nothing
+    if (isSingleTileDestination && destinationColumnId === sourcePositionId) {
+      console.log("Dropped onto its own seat");
+      return;
     }
 
-
+    if (isSingleTileDestination) {
+        // By default the occupant of the seat swaps into the dragged tile's original seat; holding Alt (or turning off
+        // "Swap on Drop" in the Sidebar) bumps the occupant to Unassigned instead
+        const swap = shouldSwapOnDrop(settings.swapOnDrop, isBumpModifierPressedRef.current);
+        const moved = moveTileToSeat(columns, tiles, active.id, destinationColumnId, { swap, lockedSeatIds });
+        if (!moved) return;
+        console.log(`Moved '${active.id}' to '${destinationColumnId}'${destinationTileIds.length > 0 ? (swap ? ', swapping the occupant' : ', bumping the occupant to Unassigned') : ''}.`);
+
+        // Update state with the new columns and tiles data
+        setColumns(moved.columns);
+        setTiles(moved.tiles);
+        announceMoves(moved.tiles); // Tell screen-reader users where the paddlers went
     } else {
         // ** Logic for dropping into the Unassigned column (which is a sortable list) **
         // This block handles drags that started from the Unassigned column OR were redirected to Unassigned
@@ -763,30 +1219,24 @@ function App() {
         // Get the current tile IDs for the unassigned column
         const currentUnassignedTileIds = Array.from(columns[POSITIONS.UNASSIGNED]?.tileIds || []);
 
-        // Determine the drop index within the unassigned list
-        let dropIndexInUnassigned = currentUnassignedTileIds.length; // Default to end if dropped on container
-
-        if (droppedOverTileInUnassigned) {
-             // Dropped over a specific tile within the unassigned list
-             dropIndexInUnassigned = currentUnassignedTileIds.indexOf(droppedOverTileInUnassigned.id);
-             // Adjust index if moving within unassigned and dropping below original position
-             if (sourcePositionId === POSITIONS.UNASSIGNED && currentUnassignedTileIds.indexOf(active.id) !== -1 && dropIndexInUnassigned > currentUnassignedTileIds.indexOf(active.id)) {
-                 dropIndexInUnassigned--;
-             }
-        } else if (over.id === POSITIONS.UNASSIGNED) { // Explicitly check if dropped on the Unassigned container
-             // Dropped directly onto the Unassigned column container
-             dropIndexInUnassigned = currentUnassignedTileIds.length; // Add to the end
-        } else {
+        if (!droppedOverTileInUnassigned && over.id !== POSITIONS.UNASSIGNED) {
             // This case should ideally not be reached with the updated logic,
             // but as a fallback, log an error and return.
             console.error("Could not determine valid drop index in Unassigned column.");
             return;
         }
 
+        // Determine the drop index within the unassigned list (the end while the list is shown sorted)
+        const dropIndexInUnassigned = getUnassignedDropIndex(currentUnassignedTileIds, active.id, droppedOverTileInUnassigned?.id ?? null, unassignedSort.sortBy);
+        if (dropIndexInUnassigned === null) {
+            console.log("Unassigned is sorted, its order is only changed by dragging with the Manual sort.");
+            return;
+        }
+
 
          // Calculate the next state for columns and tiles
          const nextColumns = { ...columns };
-         const nextTiles = [...tiles]; // Create a copy of tiles
+         const nextTiles = tiles.map(tile => ({ ...tile })); // Create a copy of tiles (copying each tile so the previous state kept for undo is not mutated)
 
          // Remove dragged tile from source column (if it's not already unassigned)
          // This check is important for when a tile is moved from another column TO unassigned
@@ -875,6 +1325,7 @@ function App() {
            // Update state with the new columns and tiles data
            setColumns(updatedColumns);
            setTiles(uniqueTiles);
+           announceMoves(uniqueTiles); // Tell screen-reader users where the paddlers went
     }
   };
 
@@ -885,25 +1336,84 @@ function App() {
     setActiveId(null); // Clear active dragged item if drag is cancelled
    };
 
+   // Handler for tapping a tile in tap-to-assign mode
+   // Picks the tile up, or places the picked-up tile onto the tapped tile's seat (or into Unassigned when a tile there is tapped).
+   // Tapping the picked-up tile again puts it down, tapping a tile in Unassigned while an unassigned tile is picked up picks that one instead.
+   const handleTileTap = (tileId) => {
+        const tile = getTileById(tileId);
+        if (!tile) return;
+        if (tapSelectedTileId === tileId) {
+            setTapSelectedTileId(null);
+            return;
+        }
+        const tapSelectedTile = getTileById(tapSelectedTileId);
+        if (tapSelectedTile && (tile.positionId !== POSITIONS.UNASSIGNED || tapSelectedTile.positionId !== POSITIONS.UNASSIGNED)) {
+            placeTapSelectedTile(tile.positionId);
+            return;
+        }
+        if (lockedSeatIds.includes(tile.positionId)) {
+            addNotice(`${getSeatName(tile.positionId)} is locked. Unlock it to move ${tile.paddlerName}.`);
+            return;
+        }
+        tapPickedPositionRef.current = tile.positionId;
+        setTapSelectedTileId(tileId);
+        setMoveAnnouncement(`Picked up ${tile.paddlerName}. Tap a seat or the Unassigned column to place them.`);
+   };
+
+   // Places the picked-up tile in a seat or at the end of the Unassigned column
+   // Follows the same rules as dragging (see seatMove.js): the occupant of a seat is swapped or bumped, locked seats refuse the tile
+   const placeTapSelectedTile = (destinationId) => {
+        const tile = getTileById(tapSelectedTileId);
+        if (!tile) {
+            setTapSelectedTileId(null);
+            return;
+        }
+        if (lockedSeatIds.includes(destinationId)) {
+            addNotice(`${getSeatName(destinationId)} is locked.`); // The tile stays picked up, so another seat can be tapped
+            return;
+        }
+        setTapSelectedTileId(null);
+        const moved = destinationId === POSITIONS.UNASSIGNED
+            ? moveTileToUnassigned(columns, tiles, tile.id, { lockedSeatIds })
+            : moveTileToSeat(columns, tiles, tile.id, destinationId, { swap: shouldSwapOnDrop(settings.swapOnDrop), lockedSeatIds });
+        if (!moved) return;
+        console.log(`Tap-to-assign moved '${tile.id}' to '${destinationId}'.`);
+
+        // Any Auto-assign reason for the tile is outdated once it is moved by hand
+        if (unassignedReasons[tile.id]) {
+            setUnassignedReasons(({ [tile.id]: _removed, ...remainingReasons }) => remainingReasons);
+        }
+        setColumns(moved.columns);
+        setTiles(moved.tiles);
+        announceMoves(moved.tiles); // Tell screen-reader users where the paddlers went
+   };
+
+   // Effect hook to put down the picked-up tile when it is gone or no longer where it was picked up
+   // (moved by an undo or a collaborator, archived or deleted)
+   const tapSelectedPositionId = getTileById(tapSelectedTileId)?.positionId;
+   useEffect(() => {
+        if (tapSelectedTileId && tapSelectedPositionId !== tapPickedPositionRef.current) setTapSelectedTileId(null);
+   }, [tapSelectedTileId, tapSelectedPositionId]);
+
    // Handler for the "Unassign All" button click
    const handleUnassignAll = () => {
         console.log("Unassign All button clicked.");
 
         // Create copies of the current state
         const nextColumns = { ...columns };
-        const nextTiles = [...tiles];
+        const nextTiles = tiles.map(tile => ({ ...tile })); // Copy each tile so the previous state (kept for undo) is not mutated
 
         // Get the current tile IDs in the Unassigned column
         const currentUnassignedTileIds = Array.from(nextColumns[POSITIONS.UNASSIGNED]?.tileIds || []);
 
-        // Iterate through all columns (except Unassigned) and move their tiles to Unassigned
+        // Iterate through all columns (except Unassigned and locked seats) and move their tiles to Unassigned
         for (const columnId in nextColumns) {
-            if (columnId !== POSITIONS.UNASSIGNED) {
+            if (columnId !== POSITIONS.UNASSIGNED && !lockedSeatIds.includes(columnId)) {
                 const column = nextColumns[columnId];
                 // Move all tile IDs from the current column to the Unassigned column
                 currentUnassignedTileIds.push(...column.tileIds);
-                // Clear the tile IDs from the current column
-                column.tileIds = [];
+                // Clear the tile IDs from the current column (replacing the column object so the previous state kept for undo is not mutated)
+                nextColumns[columnId] = { ...column, tileIds: [] };
 
                 // Update the positionId for the tiles that were moved in the nextTiles state
                 // Note: This loop was incorrectly using column.tileIds after clearing it.
@@ -935,29 +1445,559 @@ function App() {
         // Update the state with the new columns and tiles data
         setColumns(nextColumns);
         setTiles(nextTiles);
+        setUnassignedReasons({}); // Clear any Auto-assign reasons
 
         console.log("All tiles moved to Unassigned.");
     };
 
+    // Handler for the "Auto-assign" button click
+    // Fills the empty drummer, sweep and bench seats from the Unassigned column based on preferences
+    const handleAutoAssign = () => {
+        console.log("Auto-assign button clicked.");
+
+        const { columns: nextColumns, assignments, reasons } = autoAssignLineup(columns, getTileById, boats, preferenceCategories, lockedSeatIds);
+
+        // Update the positionId of every placed tile
+        const nextTiles = tiles.map(tile =>
+            assignments[tile.id] ? { ...tile, positionId: assignments[tile.id] } : tile
+        );
+
+        setColumns(nextColumns);
+        setTiles(nextTiles);
+        setUnassignedReasons(reasons); // Show why the remaining paddlers could not be placed
+
+        console.log(`Auto-assign placed ${Object.keys(assignments).length} paddlers, ${Object.keys(reasons).length} left unassigned.`);
+    };
+
+    // Handler for saving the current lineup under a name
+    // Saving under an existing name replaces that lineup (after confirmation)
+    const handleSaveLineup = (name) => {
+        const existingLineup = savedLineups.find(lineup => lineup.name === name);
+        if (existingLineup && !window.confirm(`A lineup named "${name}" already exists. Replace it?`)) {
+            return;
+        }
+
+        const lineup = {
+            id: existingLineup?.id || `lineup-${Date.now().toString(36)}`,
+            name,
+            savedAt: new Date().toISOString(),
+            boats, // The boats the lineup uses
+            arrangement: getArrangement(columns), // Drummer, sweep, bench and unassigned tile IDs
+        };
+        setSavedLineups(prevLineups => existingLineup
+            ? prevLineups.map(saved => saved.id === existingLineup.id ? lineup : saved)
+            : [...prevLineups, lineup]);
+    };
+
+    // Handler for loading a saved lineup onto the boat
+    // Locked seats keep the paddler they hold now
+    const handleLoadLineup = (lineupId) => {
+        const lineup = savedLineups.find(saved => saved.id === lineupId);
+        if (!lineup) return;
+
+        // Lineups saved before multiple boats existed only have the first boat
+        const lineupBoats = lineup.boats || DEFAULT_BOATS;
+        const arrangement = keepLockedSeats(lineup.boats ? lineup.arrangement : migrateArrangement(lineup.arrangement), columns, lockedSeatIds);
+
+        const { columns: nextColumns, tiles: nextTiles } = applyArrangement(arrangement, buildEmptyColumns(lineupBoats), tiles);
+        setBoats(lineupBoats);
+        setColumns(nextColumns);
+        setTiles(nextTiles);
+        setUnassignedReasons({}); // Auto-assign reasons don't apply to the loaded lineup
+        setIsSavedLineupsOpen(false);
+    };
+
+    // Handler for renaming a saved lineup
+    const handleRenameLineup = (lineupId, name) => {
+        setSavedLineups(prevLineups => prevLineups.map(lineup =>
+            lineup.id === lineupId ? { ...lineup, name } : lineup
+        ));
+    };
+
+    // Handler for deleting a saved lineup
+    const handleDeleteLineup = (lineupId) => {
+        const lineup = savedLineups.find(saved => saved.id === lineupId);
+        if (lineup && window.confirm(`Delete the lineup "${lineup.name}"?`)) {
+            setSavedLineups(prevLineups => prevLineups.filter(saved => saved.id !== lineupId));
+        }
+    };
+
+    // Handler for adding a race holding a copy of the current lineup - the new race becomes the active one
+    const handleAddRace = (name) => {
+        const race = createRace(name, boats, columns);
+        setRacePlan(prevPlan => ({ ...prevPlan, races: [...prevPlan.races, race], activeRaceId: race.id }));
+    };
+
+    // Handler for showing a race's lineup on the boats (the race becomes the active one)
+    // Switching races starts a new undo history, so an undo can't carry one race's lineup into another
+    // Locked seats keep the paddler they hold now
+    const handleShowRace = (raceId) => {
+        const race = racePlan.races.find(r => r.id === raceId);
+        if (!race) return;
+        const arrangement = keepLockedSeats(race.arrangement, columns, lockedSeatIds);
+        const lineup = { boats: race.boats, ...applyArrangement(arrangement, buildEmptyColumns(race.boats), tiles) };
+        resetHistory(lineup);
+        restoreLineup(lineup);
+        setUnassignedReasons({}); // Auto-assign reasons don't apply to the other race
+        setSelectedTileIds([]);
+        setRacePlan(prevPlan => ({ ...prevPlan, activeRaceId: raceId }));
+    };
+
+    // Handler for no longer editing a race - the lineup stays on screen, but changes no longer go to the race
+    const handleStopRaceEditing = () => {
+        setRacePlan(prevPlan => ({ ...prevPlan, activeRaceId: null }));
+    };
+
+    // Handler for changing a race's name or start time
+    const handleUpdateRace = (raceId, changes) => {
+        setRacePlan(prevPlan => ({
+            ...prevPlan,
+            races: prevPlan.races.map(race => race.id === raceId ? { ...race, ...changes } : race),
+        }));
+    };
+
+    // Handler for moving a race up (-1) or down (+1) in the order of the day
+    const handleMoveRace = (raceId, offset) => {
+        setRacePlan(prevPlan => {
+            const index = prevPlan.races.findIndex(race => race.id === raceId);
+            const newIndex = index + offset;
+            if (index === -1 || newIndex < 0 || newIndex >= prevPlan.races.length) return prevPlan;
+            return { ...prevPlan, races: arrayMove(prevPlan.races, index, newIndex) };
+        });
+    };
+
+    // Handler for deleting a race (the lineup on screen stays, even if it was the active race)
+    const handleDeleteRace = (raceId) => {
+        const race = racePlan.races.find(r => r.id === raceId);
+        if (!race || !window.confirm(`Delete the race "${race.name}"?`)) return;
+        setRacePlan(prevPlan => ({
+            ...prevPlan,
+            races: prevPlan.races.filter(r => r.id !== raceId),
+            activeRaceId: prevPlan.activeRaceId === raceId ? null : prevPlan.activeRaceId,
+        }));
+    };
+
+    // Handler for generating a training rotation from the lineup on screen
+    const handleGenerateRotation = (options) => {
+        const rotatedColumns = generateRotations(columns, boats, getTileById, { ...options, categories: preferenceCategories, lockedSeatIds });
+        setRotation({
+            steps: [getArrangement(columns), ...rotatedColumns.map(getArrangement)],
+            currentStep: 0,
+        });
+    };
+
+    // Handler for applying a step of the training rotation to the boats
+    const handleShowRotationStep = (index) => {
+        if (!rotation || index < 0 || index >= rotation.steps.length) return;
+        const { columns: nextColumns, tiles: nextTiles } = applyArrangement(rotation.steps[index], columns, tiles);
+        setColumns(nextColumns);
+        setTiles(nextTiles);
+        setRotation(prevRotation => ({ ...prevRotation, currentStep: index }));
+        setMoveAnnouncement(index === 0 ? 'Showing the starting lineup of the rotation' : `Showing rotation ${index} of ${rotation.steps.length - 1}`);
+    };
+
+    // Handler for exporting the roster as a CSV file download
+    const handleExportRoster = () => {
+        const csv = exportRosterCsv(tiles.filter(tile => !tile.archived)); // Archived paddlers are left out
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'roster.csv';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // Handler for importing a roster from CSV text
+    // The imported roster replaces the current one: paddlers matched by name keep their tile and seat,
+    // new paddlers are added to Unassigned and paddlers missing from the file are removed
+    // Returns the import report ({ importedCount, errors, cancelled }) for the dialog
+    const handleImportRoster = (text) => {
+        const { paddlers, errors } = importRosterCsv(text, preferenceOptions);
+        if (paddlers.length === 0) {
+            return { importedCount: 0, errors };
+        }
+        if (!window.confirm(`Replace the roster with the ${paddlers.length} paddlers from the file?`)) {
+            return { importedCount: 0, errors, cancelled: true };
+        }
+
+        // Build the new tiles, reusing the existing tile for paddlers with the same name
+        const usedIds = new Set(tiles.map(tile => tile.id));
+        const nextTiles = paddlers.map(paddler => {
+            const existingTile = tiles.find(tile => tile.paddlerName === paddler.paddlerName);
+            if (existingTile) {
+                return { ...existingTile, ...paddler };
+            }
+            return { id: generateUnusedTileId(usedIds), positionId: POSITIONS.UNASSIGNED, ...paddler };
+        });
+
+        // Remove paddlers who are no longer on the roster and add the new ones to Unassigned
+        const keptIds = new Set(nextTiles.map(tile => tile.id));
+        const nextColumns = Object.keys(columns).reduce((acc, columnId) => {
+            acc[columnId] = { ...columns[columnId], tileIds: columns[columnId].tileIds.filter(tileId => keptIds.has(tileId)) };
+            return acc;
+        }, {});
+        const newTileIds = nextTiles.filter(tile => !tiles.some(existing => existing.id === tile.id)).map(tile => tile.id);
+        nextColumns[POSITIONS.UNASSIGNED].tileIds.push(...newTileIds);
+
+        // Locked seats of paddlers missing from the file are emptied, so they are unlocked
+        const unlockedSeatIds = unlockSeats(tiles.filter(tile => !keptIds.has(tile.id)).map(tile => tile.positionId));
+        if (unlockedSeatIds.length > 0) {
+            addNotice(`Locked seats lost their paddlers in the import. ${describeUnlockedSeats(unlockedSeatIds)}`);
+        }
+
+        setColumns(nextColumns);
+        setTiles(nextTiles);
+        setUnassignedReasons({}); // Auto-assign reasons don't apply to the new roster
+
+        return { importedCount: paddlers.length, errors };
+    };
+
+    // Handler for adding a new paddler to the roster (placed at the end of the Unassigned column)
+    const handleAddPaddler = () => {
+        const newId = generateUnusedTileId(new Set(tiles.map(tile => tile.id)));
+        // Default name "Person N" with the first number not in use yet
+        const usedNames = new Set(tiles.map(tile => tile.paddlerName));
+        let number = tiles.length + 1;
+        while (usedNames.has(`Person ${number}`)) number++;
+        const newTile = { id: newId, paddlerName: `Person ${number}`, preference: NO_PREFERENCE, positionId: POSITIONS.UNASSIGNED, weight: null };
+
+        setTiles(prevTiles => [...prevTiles, newTile]);
+        setColumns(prevColumns => ({
+            ...prevColumns,
+            [POSITIONS.UNASSIGNED]: { ...prevColumns[POSITIONS.UNASSIGNED], tileIds: [...prevColumns[POSITIONS.UNASSIGNED].tileIds, newId] },
+        }));
+        console.log(`Added paddler ${newTile.paddlerName} (${newId})`);
+    };
+
+    // Removes tiles from whichever columns they are in (returns the next columns state)
+    const removeTilesFromColumns = (tileIds) => Object.keys(columns).reduce((acc, columnId) => {
+        acc[columnId] = columns[columnId].tileIds.some(id => tileIds.includes(id))
+            ? { ...columns[columnId], tileIds: columns[columnId].tileIds.filter(id => !tileIds.includes(id)) }
+            : columns[columnId];
+        return acc;
+    }, {});
+
+    // Handler for archiving a paddler - they leave the lineup but stay on the roster
+    // A locked seat they sat in is unlocked (with a notice)
+    const handleArchivePaddler = (tileId) => {
+        const tile = getTileById(tileId);
+        const unlockedSeatIds = tile ? unlockSeats([tile.positionId]) : [];
+        if (unlockedSeatIds.length > 0) addNotice(`${tile.paddlerName} was archived. ${describeUnlockedSeats(unlockedSeatIds)}`);
+        setColumns(removeTilesFromColumns([tileId]));
+        setTiles(prevTiles => prevTiles.map(tile =>
+            tile.id === tileId ? { ...tile, archived: true, positionId: null } : tile
+        ));
+    };
+
+    // Handler for restoring an archived paddler to the end of the Unassigned column
+    const handleRestorePaddler = (tileId) => {
+        setColumns(prevColumns => ({
+            ...prevColumns,
+            [POSITIONS.UNASSIGNED]: { ...prevColumns[POSITIONS.UNASSIGNED], tileIds: [...prevColumns[POSITIONS.UNASSIGNED].tileIds, tileId] },
+        }));
+        setTiles(prevTiles => prevTiles.map(tile =>
+            tile.id === tileId ? { ...tile, archived: false, positionId: POSITIONS.UNASSIGNED } : tile
+        ));
+    };
+
+    // Handler for deleting a paddler from the roster for good
+    const handleDeletePaddler = (tileId) => {
+        const tile = getTileById(tileId);
+        if (!tile || !window.confirm(`Delete ${tile.paddlerName} from the roster?`)) return;
+        const unlockedSeatIds = unlockSeats([tile.positionId]);
+        if (unlockedSeatIds.length > 0) addNotice(`${tile.paddlerName} was deleted. ${describeUnlockedSeats(unlockedSeatIds)}`);
+        setColumns(removeTilesFromColumns([tileId]));
+        setTiles(prevTiles => prevTiles.filter(t => t.id !== tileId));
+    };
+
+    // Handler for setting the preference of several paddlers at once
+    const handleBulkPreferenceChange = (tileIds, newPreference) => {
+        setTiles(prevTiles => prevTiles.map(tile =>
+            tileIds.includes(tile.id) ? { ...tile, preference: newPreference } : tile
+        ));
+    };
+
+    // Handler for changing the name, sync server or room used for live collaboration
+    const handleCollaborationOptionChange = (field, value) => {
+        setSettings(prevSettings => ({
+            ...prevSettings,
+            collaboration: { ...prevSettings.collaboration, [field]: value },
+        }));
+    };
+
+    // Handler for the Sidebar's "Tap to Assign" toggle
+    const handleToggleTapToAssign = () => {
+        setSettings(prevSettings => ({ ...prevSettings, tapToAssign: !isTapToAssign }));
+        setTapSelectedTileId(null);
+    };
+
+    // Handler for locking a seat to its paddler, or unlocking it
+    const handleToggleSeatLock = (positionId) => {
+        setSettings(prevSettings => {
+            const prevLockedSeatIds = prevSettings.lockedSeatIds ?? [];
+            return {
+                ...prevSettings,
+                lockedSeatIds: prevLockedSeatIds.includes(positionId)
+                    ? prevLockedSeatIds.filter(id => id !== positionId)
+                    : [...prevLockedSeatIds, positionId],
+            };
+        });
+    };
+
+    // Unlocks the given seats (seats that were removed, or whose paddler left the lineup)
+    // Returns the seats among them that were locked, so the handler can tell the user
+    const unlockSeats = (seatIds) => {
+        const unlockedSeatIds = lockedSeatIds.filter(seatId => seatIds.includes(seatId));
+        if (unlockedSeatIds.length > 0) {
+            setSettings(prevSettings => ({
+                ...prevSettings,
+                lockedSeatIds: (prevSettings.lockedSeatIds ?? []).filter(seatId => !seatIds.includes(seatId)),
+            }));
+        }
+        return unlockedSeatIds;
+    };
+
+    // Describes seats that were unlocked because their paddler left, e.g. "Bench 2 Left is no longer locked."
+    const describeUnlockedSeats = (seatIds) => seatIds.map(seatId => `${getSeatName(seatId)} is no longer locked.`).join(' ');
+
+    // Updates the preference categories in the settings
+    const setPreferenceCategories = (update) => {
+        setSettings(prevSettings => ({
+            ...prevSettings,
+            preferenceCategories: update(prevSettings.preferenceCategories ?? DEFAULT_PREFERENCE_CATEGORIES),
+        }));
+    };
+
+    // Handler for adding a preference category (it may sit on either side of the benches until changed)
+    const handleAddPreferenceCategory = (name) => {
+        setPreferenceCategories(categories => [...categories, { name, seats: [SEAT_KINDS.LEFT, SEAT_KINDS.RIGHT] }]);
+    };
+
+    // Handler for renaming a preference category - its paddlers keep it under the new name
+    const handleRenamePreferenceCategory = (name, newName) => {
+        setPreferenceCategories(categories => categories.map(category =>
+            category.name === name ? { ...category, name: newName } : category
+        ));
+        setTiles(prevTiles => prevTiles.map(tile => tile.preference === name ? { ...tile, preference: newName } : tile));
+        setSelectedFilterPreferences(prevFilter => prevFilter.map(preference => preference === name ? newName : preference));
+    };
+
+    // Handler for allowing or forbidding a kind of seat for a preference category
+    const handleTogglePreferenceSeat = (name, seat) => {
+        setPreferenceCategories(categories => categories.map(category => {
+            if (category.name !== name) return category;
+            const seats = category.seats.includes(seat) ? category.seats.filter(s => s !== seat) : [...category.seats, seat];
+            return { ...category, seats };
+        }));
+    };
+
+    // Handler for deleting a preference category - its paddlers get no preference
+    const handleDeletePreferenceCategory = (name) => {
+        const paddlerCount = tiles.filter(tile => tile.preference === name).length;
+        if (!window.confirm(`Delete the category "${name}"?${paddlerCount > 0 ? ` ${paddlerCount} paddler(s) will have no preference.` : ''}`)) return;
+        setPreferenceCategories(categories => categories.filter(category => category.name !== name));
+        setTiles(prevTiles => prevTiles.map(tile => tile.preference === name ? { ...tile, preference: NO_PREFERENCE } : tile));
+        setSelectedFilterPreferences(prevFilter => prevFilter.filter(preference => preference !== name));
+    };
+
+    // Handler for going back to the default preference categories
+    // Paddlers whose preference is not a default category keep it (they are treated like no preference and can be changed)
+    const handleResetPreferenceCategories = () => {
+        if (!window.confirm('Reset the preference categories to the defaults?')) return;
+        setPreferenceCategories(() => DEFAULT_PREFERENCE_CATEGORIES);
+    };
+
+    // Handler for setting the availability of one or more paddlers for this session
+    // Seated paddlers marked absent are moved out of their seat (to the end of Unassigned, where they are hidden) with a notice
+    // Locked seats they leave are unlocked, which the notice also says
+    const handleAvailabilityChange = (tileIds, availability) => {
+        const movedTiles = availability === AVAILABILITY.ABSENT
+            ? tiles.filter(tile => tileIds.includes(tile.id) && tile.positionId && tile.positionId !== POSITIONS.UNASSIGNED)
+            : [];
+
+        if (movedTiles.length > 0) {
+            const movedTileIds = movedTiles.map(tile => tile.id);
+            const nextColumns = removeTilesFromColumns(movedTileIds);
+            nextColumns[POSITIONS.UNASSIGNED] = {
+                ...nextColumns[POSITIONS.UNASSIGNED],
+                tileIds: [...nextColumns[POSITIONS.UNASSIGNED].tileIds, ...movedTileIds],
+            };
+            setColumns(nextColumns);
+            const unlockedSeatIds = unlockSeats(movedTiles.map(tile => tile.positionId));
+            addNotice([
+                ...movedTiles.map(tile => `${tile.paddlerName} is absent and was moved out of ${getSeatName(tile.positionId)}.`),
+                describeUnlockedSeats(unlockedSeatIds),
+            ].filter(Boolean).join(' '));
+        }
+
+        setTiles(prevTiles => prevTiles.map(tile => tileIds.includes(tile.id)
+            ? { ...tile, availability, positionId: movedTiles.some(moved => moved.id === tile.id) ? POSITIONS.UNASSIGNED : tile.positionId }
+            : tile
+        ));
+    };
+
+    // Handler for starting a new practice session - everyone is available again
+    const handleNewSession = () => {
+        if (!window.confirm('Start a new session? Everyone will be marked as available.')) return;
+        setTiles(prevTiles => prevTiles.map(tile => tile.availability && tile.availability !== AVAILABILITY.AVAILABLE
+            ? { ...tile, availability: AVAILABILITY.AVAILABLE }
+            : tile
+        ));
+    };
+
+    // Handler for changes to an extra (CSV) column of a paddler
+    const handleExtraChange = (tileId, column, value) => {
+        groupNextChange(`extra-${tileId}-${column}`); // Typing a value letter by letter is a single undo step
+        setTiles(prevTiles => prevTiles.map(tile =>
+            tile.id === tileId ? { ...tile, extra: { ...tile.extra, [column]: value } } : tile
+        ));
+    };
+
+    // Handler for changes to a field of the paddler profile (skill, strength, years or notes)
+    const handleProfileChange = (tileId, field, value) => {
+        let parsedValue = value;
+        if (field === 'strength' || field === 'years') {
+            parsedValue = field === 'strength' ? parseProfileNumber(value, 1, MAX_STRENGTH) : parseProfileNumber(value, 0, 99);
+            if (parsedValue === undefined) return; // Ignore invalid numbers
+        }
+        groupNextChange(`profile-${tileId}-${field}`); // Typing notes letter by letter is a single undo step
+        setTiles(prevTiles => prevTiles.map(tile =>
+            tile.id === tileId ? { ...tile, profile: { ...tile.profile, [field]: parsedValue } } : tile
+        ));
+    };
+
+    // Handler for adding a new, empty boat
+    const handleAddBoat = () => {
+        const newBoat = createNextBoat(boats);
+        // Add the new boat's seats to the columns (existing seats keep their tiles)
+        setColumns(prevColumns => ({ ...buildEmptyColumns([newBoat]), ...prevColumns }));
+        setBoats(prevBoats => [...prevBoats, newBoat]);
+    };
+
+    // Handler for changing the number of benches of a boat
+    // Paddlers sitting in removed benches are moved back to Unassigned and locks on removed benches are dropped (see boatResize.js)
+    const handleBenchCountChange = (boatId, benchCount) => {
+        const boat = boats.find(b => b.id === boatId);
+        if (!boat) return;
+        const resized = resizeBoat(boat, benchCount, columns, tiles, lockedSeatIds);
+        if (!resized) return;
+
+        unlockSeats(resized.unlockedSeatIds);
+        setColumns(resized.columns);
+        setTiles(resized.tiles);
+        setBoats(prevBoats => prevBoats.map(b => b.id === boatId ? resized.boat : b));
+    };
+
+    // Handler for removing a boat - its paddlers are moved back to Unassigned and its seat locks are dropped
+    const handleRemoveBoat = (boatId) => {
+        const boat = boats.find(b => b.id === boatId);
+        if (!boat || boats.length <= 1) return; // Always keep at least one boat
+
+        // Find the seats of the boat being removed and the tiles sitting in them
+        const boatPositionIds = Object.keys(columns).filter(columnId => parsePositionId(columnId).boatId === boatId);
+        const seatedTileIds = boatPositionIds.flatMap(columnId => columns[columnId].tileIds);
+        if (seatedTileIds.length > 0 && !window.confirm(`Remove ${boat.name}? Its ${seatedTileIds.length} paddlers will be moved to Unassigned.`)) {
+            return;
+        }
+
+        // Remove the boat's seats and append its paddlers to the Unassigned column
+        const nextColumns = { ...columns };
+        boatPositionIds.forEach(columnId => delete nextColumns[columnId]);
+        nextColumns[POSITIONS.UNASSIGNED] = {
+            ...columns[POSITIONS.UNASSIGNED],
+            tileIds: [...columns[POSITIONS.UNASSIGNED].tileIds, ...seatedTileIds],
+        };
+
+        unlockSeats(boatPositionIds);
+        setColumns(nextColumns);
+        setTiles(prevTiles => prevTiles.map(tile =>
+            seatedTileIds.includes(tile.id) ? { ...tile, positionId: POSITIONS.UNASSIGNED } : tile
+        ));
+        setBoats(prevBoats => prevBoats.filter(b => b.id !== boatId));
+    };
+
     // Handler to toggle the sidebar expanded state
     const toggleSidebar = () => {
         setIsSidebarExpanded(!isSidebarExpanded);
     };
 
-    // Handler for the Share icon click (placeholder)
+    // Handler for the Share icon click
+    // Builds a link with the current lineup encoded in it and shares it (or copies it to the clipboard)
     const handleShareClick = () => {
         console.log("Share icon clicked!");
-        // Implement your share functionality here later
-        alert("Share feature coming soon!"); // Simple alert for now
+        const shareUrl = buildShareUrl({ boats, tiles, columns });
+
+        if (navigator.share) {
+            // Use the native share sheet on phones (e.g., to send the link to the crew chat)
+            navigator.share({ title: 'Dragonboaty lineup', url: shareUrl }).catch(error => {
+                console.log("Share cancelled or failed:", error);
+            });
+        } else if (navigator.clipboard) {
+            navigator.clipboard.writeText(shareUrl)
+                .then(() => alert("Lineup link copied to the clipboard!"))
+                .catch(() => window.prompt("Copy this lineup link:", shareUrl));
+        } else {
+            window.prompt("Copy this lineup link:", shareUrl);
+        }
+    };
+
+    // Handler for leaving a shared lineup - goes back to the coach's own stored lineup
+    const handleExitSharedLineup = () => {
+        clearSharedLineupFromUrl();
+        const ownLineup = loadCurrentLineup();
+        const restoredLineup = ownLineup ? migrateLineup(ownLineup) : null;
+        const nextLineup = {
+            boats: restoredLineup?.boats || DEFAULT_BOATS,
+            tiles: restoredLineup?.tiles || initialTiles,
+            columns: restoredLineup?.columns || buildInitialColumns(DEFAULT_BOATS, initialTiles),
+        };
+        resetHistory(nextLineup); // Going back to the own lineup can't be undone
+        restoreLineup(nextLineup);
+        setIsSharedView(false);
+    };
+
+    // Handler for keeping a shared lineup - it replaces the coach's own lineup and becomes editable
+    const handleKeepSharedLineup = () => {
+        if (!window.confirm("Replace your current lineup with this shared lineup?")) return;
+        clearSharedLineupFromUrl();
+        handleStopRaceEditing(); // The shared lineup must not overwrite the race that was being edited
+        setIsSharedView(false); // The autosave effect now stores the shared lineup
+    };
+
+    // Handler for switching between the coach edit mode and the read-only crew view (Sidebar Account menu)
+    const handleViewModeChange = (viewMode) => {
+        setSettings(prevSettings => ({ ...prevSettings, viewMode }));
+        setSelectedTileIds([]); // A selection can't be moved in the crew view
+    };
+
+    // Handler for choosing the paddler whose seat is highlighted in the crew view
+    const handleCrewPaddlerChange = (tileId) => {
+        setSettings(prevSettings => ({ ...prevSettings, crewPaddlerId: tileId || null }));
     };
 
 
   // Find the active tile data for the DragOverlay
   const activeTile = activeId ? getTileById(activeId) : null;
+  // Number of tiles dragged together (more than 1 when a selected tile is dragged)
+  const dragGroupSize = activeId ? getDragGroupTileIds(activeId).length : 0;
 
-  // Filter the unassigned tile IDs based on the selected filter preferences
-  const filteredUnassignedTileIds = columns[POSITIONS.UNASSIGNED]?.tileIds.filter(tileId => {
+  // Number of absent paddlers in the Unassigned column (they are hidden)
+  const absentUnassignedCount = (columns[POSITIONS.UNASSIGNED]?.tileIds || [])
+      .filter(tileId => getTileById(tileId)?.availability === AVAILABILITY.ABSENT).length;
+
+  // Number of paddlers the Unassigned column can show (everyone but the absent ones)
+  const unassignedTotalCount = (columns[POSITIONS.UNASSIGNED]?.tileIds.length || 0) - absentUnassignedCount;
+
+  // Filter the unassigned tile IDs based on the selected filter preferences and the name search (absent paddlers are always hidden),
+  // then sort them by the chosen sort order
+  const filteredUnassignedTileIds = sortTileIds(columns[POSITIONS.UNASSIGNED]?.tileIds.filter(tileId => {
       const tile = getTileById(tileId);
+      if (tile?.availability === AVAILABILITY.ABSENT) {
+          return false;
+      }
+      if (tile && !matchesSearch(tile, unassignedSearch)) {
+          return false;
+      }
       // If no filter preferences are selected, or "Show All" is selected, show all unassigned tiles
       if (selectedFilterPreferences.length === 0 || selectedFilterPreferences.includes("")) {
           return true;
@@ -967,17 +2007,83 @@ function App() {
       return tile && tile.preference && selectedFilterPreferences.some(
           pref => tile.preference.toLowerCase() === pref.toLowerCase()
       );
-  }) || [];
+  }) || [], getTileById, unassignedSort.sortBy, unassignedSort.direction, preferenceOptions);
+
+  // Race load of every paddler, shown on the tiles while there is a race plan
+  const raceCounts = countRacesSeated(racePlan.races);
+  const shortRests = findShortRests(racePlan.races, racePlan.minRestMinutes);
+  const activeRace = racePlan.races.find(race => race.id === racePlan.activeRaceId);
+
+  // Returns the race load of a paddler ({ count, total, shortRest }) or null if there are no races
+  const getRaceLoad = (tileId) => {
+      if (racePlan.races.length === 0) return null;
+      const shortRest = shortRests.find(rest => rest.tileId === tileId);
+      const getRaceName = (raceId) => racePlan.races.find(race => race.id === raceId)?.name;
+      return {
+          count: raceCounts[tileId] || 0,
+          total: racePlan.races.length,
+          shortRest: shortRest ? `Only ${shortRest.restMinutes} min rest: ${getRaceName(shortRest.raceId)} → ${getRaceName(shortRest.nextRaceId)}` : null,
+      };
+  };
+
+  // Returns the preference warning for the paddler sitting in a seat (null if the seat is empty or matches)
+  const getSeatViolation = (positionId) => {
+      const tile = getTileById(columns[positionId]?.tileIds[0]);
+      return tile ? getPreferenceViolation(tile.preference, positionId, preferenceCategories) : null;
+  };
+
+  // Paddler chosen in the crew view, whose tile and seat are highlighted (null in coach mode)
+  const crewPaddler = isCrewView ? getTileById(settings.crewPaddlerId) ?? null : null;
+  // Paddlers offered by the crew view's paddler picker (everyone in the roster, by name)
+  const crewPaddlerOptions = isCrewView
+      ? tiles.filter(tile => !tile.archived).sort((a, b) => a.paddlerName.localeCompare(b.paddlerName))
+      : [];
+
+  // Whether a tile is picked up with tap-to-assign, so the seats and the Unassigned column take taps
+  const isTapPlacing = !!tapSelectedTileId && !isReadOnly;
+  // Handler for tapping a seat while a tile is picked up
+  const handleSeatTap = (positionId) => placeTapSelectedTile(positionId);
+
+  // Renders the SortableItem for the tile(s) sitting in a seat (drummer, sweep or bench position)
+  const renderSeatTiles = (positionId) => columns[positionId]?.tileIds.map(tileId => {
+      const tile = getTileById(tileId);
+      if (!tile) return null;
+      return (
+          <SortableItem
+              key={tileId}
+              id={tileId}
+              preference={tile.preference} // Pass preference prop
+              preferenceCategories={preferenceCategories} // Pass the configured preference categories
+              paddlerName={tile.paddlerName} // Pass paddler name
+              weight={tile.weight} // Pass paddler weight
+              currentPositionId={positionId} // Pass the current position ID
+              isReadOnly={isReadOnly} // Disable dragging and editing in read-only mode
+              isLocked={lockedSeatIds.includes(positionId)} // Keep the tile in a locked seat
+              isSelected={selectedTileIds.includes(tileId)} // Highlight the tile if it is part of the multi-selection
+              isHighlighted={crewPaddler?.id === tileId} // Highlight the paddler chosen in the crew view
+              isTapSelected={tapSelectedTileId === tileId} // Highlight the tile picked up with tap-to-assign
+              raceLoad={getRaceLoad(tileId)} // Pass the paddler's race count, if there is a race plan
+              availability={tile.availability} // Pass the paddler's availability for this session
+              profile={tile.profile} // Pass the paddler's profile for the summary
+              onOpenProfile={setProfileTileId} // Opens the profile drawer
+              onTileClick={handleTileClick} // Shift/Ctrl-click selects the tile
+              onPaddlerNameChange={handlePaddlerNameChange}
+              onPreferenceChange={handlePreferenceChange} // Pass the handler for preference changes
+              onWeightChange={handleWeightChange} // Pass the handler for weight changes
+          />
+      );
+  });
 
 
   return (
     // DndContext provides the drag and drop context to the application
     <DndContext
-      sensors={sensors}
+      sensors={isReadOnly ? [] : sensors} // No sensors in read-only mode, so nothing can be dragged
       collisionDetection={customCollisionDetection}
       onDragStart={onDragStart}
       onDragEnd={onDragEnd}
       onDragCancel={onDragCancel}
+      accessibility={{ announcements: dragAnnouncements, screenReaderInstructions }} // Spoken feedback for keyboard and screen-reader users
       onDragOver={({ over }) => {
         setActiveDroppableId(over?.id || null);
       }}
@@ -988,30 +2094,134 @@ function App() {
         enabled: true,
       }}
     >
+      {/* Screen-reader announcement of the last seat changes (visually hidden) */}
+      <div className="sr-only" aria-live="assertive" aria-atomic="true">{moveAnnouncement}</div>
+
       {/* AppBar component - Fixed at the top */}
       <AppBar
         appName="Dragonboaty" // Replace with your app name
-        sectionName={currentSection} // Pass the current section name state
+        sectionName={activeRace ? `${currentSection} - ${activeRace.name}` : currentSection} // Pass the current section name state (with the race being edited)
         onShareClick={handleShareClick} // Pass the share click handler
+        onUndoClick={undo} // Pass the undo handler
+        onRedoClick={redo} // Pass the redo handler
+        canUndo={canUndo && !isReadOnly} // Undo is only available when there is something to undo
+        canRedo={canRedo && !isReadOnly} // Redo is only available after an undo
+        isOnline={isOnline} // Show the Online/Offline indicator
+        collaborationStatus={collaborationStatus} // Show the live collaboration state
+        editorCount={collaborators.length} // Number of sessions in the collaboration room
+        presenceText={describePresence(collaborators, selfId)} // Who else is editing
       />
 
       {/* Main content area below the AppBar */}
       {/* flex min-h-screen: Ensures this area takes at least the full viewport height below the AppBar */}
       {/* mt-16: Adds top margin to push content down, matching AppBar height */}
-      <div className="flex min-h-screen mt-16"> {/* flex: enables flexbox, min-h-screen: minimum height, mt-16: margin top */}
+      {/* Banner shown while viewing a shared lineup in read-only mode */}
+      {isSharedView && (
+          <div className="mt-16 bg-yellow-100 border-b border-yellow-300 px-4 py-2 flex items-center justify-between text-sm text-gray-800">
+              <span>You are viewing a shared lineup (read-only).</span>
+              <div className="flex items-center space-x-2">
+                  <button onClick={handleKeepSharedLineup} className="px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white">Use this lineup</button>
+                  <button onClick={handleExitSharedLineup} className="px-3 py-1 rounded-md bg-white border border-gray-300 hover:bg-gray-100">Back to my lineup</button>
+              </div>
+          </div>
+      )}
+
+      {/* Banner shown in the crew view, with a picker to find a paddler's seat */}
+      {isCrewView && !isSharedView && (
+          <div className="mt-16 bg-blue-50 border-b border-blue-200 px-4 py-2 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-800">
+              <div className="flex flex-wrap items-center gap-2">
+                  <span className="material-icons text-blue-600" style={{ fontSize: '18px' }}>visibility</span>
+                  <span>Crew view (read-only).</span>
+                  <label htmlFor="crew-paddler">Find a paddler:</label>
+                  <select
+                      id="crew-paddler"
+                      value={crewPaddler?.id ?? ''}
+                      onChange={(e) => handleCrewPaddlerChange(e.target.value)}
+                      className="p-1 border rounded text-sm"
+                  >
+                      <option value="">Choose a paddler</option>
+                      {crewPaddlerOptions.map(tile => (
+                          <option key={tile.id} value={tile.id}>{tile.paddlerName}</option>
+                      ))}
+                  </select>
+                  {crewPaddler && (
+                      <span className="font-semibold">
+                          {crewPaddler.positionId === POSITIONS.UNASSIGNED
+                              ? `${crewPaddler.paddlerName} is not seated in this lineup`
+                              : `${crewPaddler.paddlerName} sits at ${getSeatName(crewPaddler.positionId)}`}
+                      </span>
+                  )}
+              </div>
+              <button onClick={() => handleViewModeChange(VIEW_MODES.COACH)} className="px-3 py-1 rounded-md bg-white border border-gray-300 hover:bg-gray-100">Back to coach mode</button>
+          </div>
+      )}
+
+      <div className={`flex min-h-screen ${isReadOnly ? '' : 'mt-16'}`}> {/* flex: enables flexbox, min-h-screen: minimum height, mt-16: margin top (the read-only banner takes the margin instead) */}
           {/* Sidebar component - Positioning is now relative to this flex container */}
           {/* Pass necessary props to the Sidebar */}
           <Sidebar
               isExpanded={isSidebarExpanded} // Pass the expanded state
               toggleSidebar={toggleSidebar} // Pass the toggle function
+              isReadOnly={isReadOnly} // Hide the editing actions in read-only mode
               handleUnassignAll={handleUnassignAll} // Pass the unassign all function
+              handleAutoAssign={handleAutoAssign} // Pass the auto-assign function
+              handleOpenSavedLineups={() => setIsSavedLineupsOpen(true)} // Open the Saved Lineups dialog
+              handleOpenRosterCsv={() => setIsRosterCsvOpen(true)} // Open the Roster CSV dialog
+              handleOpenRacePlan={() => setIsRacePlanOpen(true)} // Open the Race Plan dialog
+              handleOpenCompare={() => setIsCompareOpen(true)} // Open the Compare Lineups dialog
+              handleOpenRotation={() => setIsRotationOpen(true)} // Open the Training Rotation dialog
+              handleOpenCollaboration={() => setIsCollaborationOpen(true)} // Open the Live Collaboration dialog
+              swapOnDrop={settings.swapOnDrop} // Pass the occupied-seat drop behavior
+              viewMode={isCrewView ? VIEW_MODES.CREW : VIEW_MODES.COACH} // Pass the view mode for the Account menu
+              onViewModeChange={handleViewModeChange} // Switch between coach mode and crew view
+              tapToAssign={isTapToAssign} // Pass the tap-to-assign mode
+              handleToggleTapToAssign={handleToggleTapToAssign} // Toggle tap-to-assign
+              handleToggleSwapOnDrop={() => setSettings(prevSettings => ({ ...prevSettings, swapOnDrop: !prevSettings.swapOnDrop }))} // Toggle swap/bump on drop
+              boats={boats} // Pass the boats so each one can be removed
+              handleAddBoat={handleAddBoat} // Pass the add boat function
+              handleRemoveBoat={handleRemoveBoat} // Pass the remove boat function
+              currentSection={currentSection} // Pass the current screen to highlight its menu item
+              onNavigate={setCurrentSection} // Switch between the boat layout and the roster screen
           />
 
+          {/* Roster management screen (Sidebar "Home") - edits the same tiles state as the boat layout */}
+          {/* Otherwise the boat layout: */}
           {/* Container for the Unassigned column and the main content */}
           {/* This div now holds the Unassigned column and the rest of the layout */}
           {/* Added flex-grow to ensure it takes the remaining space */}
           {/* Reduced p-8 to p-4 and space-x-8 to space-x-4 for tighter layout */}
-          <div className="flex flex-grow p-4 space-x-4 items-start"> {/* flex: enables flexbox, flex-grow: allows it to take remaining space, p-4: padding, space-x-4: horizontal space, items-start: align items to top */}
+          {currentSection === SECTIONS.ROSTER ? (
+          <RosterScreen
+              tiles={tiles}
+              boats={boats}
+              preferenceOptions={preferenceOptions}
+              isReadOnly={isReadOnly}
+              onAddPaddler={handleAddPaddler}
+              onPaddlerNameChange={handlePaddlerNameChange}
+              onPreferenceChange={handlePreferenceChange}
+              onWeightChange={handleWeightChange}
+              onExtraChange={handleExtraChange}
+              onBulkPreferenceChange={handleBulkPreferenceChange}
+              onAvailabilityChange={handleAvailabilityChange}
+              onNewSession={handleNewSession}
+              onArchivePaddler={handleArchivePaddler}
+              onRestorePaddler={handleRestorePaddler}
+              onDeletePaddler={handleDeletePaddler}
+          />
+          ) : currentSection === SECTIONS.SETTINGS ? (
+          // Settings screen (Sidebar "Settings") - the preference categories and the seats each may occupy
+          <SettingsScreen
+              categories={preferenceCategories}
+              tiles={tiles}
+              isReadOnly={isReadOnly}
+              onAddCategory={handleAddPreferenceCategory}
+              onRenameCategory={handleRenamePreferenceCategory}
+              onToggleSeat={handleTogglePreferenceSeat}
+              onDeleteCategory={handleDeletePreferenceCategory}
+              onResetCategories={handleResetPreferenceCategories}
+          />
+          ) : (
+          <div className="flex flex-grow p-4 space-x-4 items-start overflow-x-auto"> {/* flex: enables flexbox, flex-grow: allows it to take remaining space, p-4: padding, space-x-4: horizontal space, items-start: align items to top */}
               {/* Container for the Unassigned column */}
               {/* Unassigned column uses the UnassignedColumn component */}
               <UnassignedColumn
@@ -1019,9 +2229,18 @@ function App() {
                   id={POSITIONS.UNASSIGNED} // ID for dnd-kit droppable zone
                   title="Unassigned" // Title displayed at the top of the column
                   tileIds={filteredUnassignedTileIds} // Pass the FILTERED array of tile IDs
+                  preferenceOptions={preferenceOptions} // Pass the preference categories for the filter
                   selectedFilterPreferences={selectedFilterPreferences} // Pass the selected filter preferences
                   onFilterChange={setSelectedFilterPreferences} // Connect to state setter
                   activeDroppableId={activeDroppableId} // Pass the active droppable ID for visual feedback
+                  absentCount={absentUnassignedCount} // Pass the number of hidden absent paddlers
+                  totalCount={unassignedTotalCount} // Pass the number of paddlers before filtering and searching
+                  searchText={unassignedSearch} // Pass the name search
+                  onSearchChange={setUnassignedSearch}
+                  sortBy={unassignedSort.sortBy} // Pass the sort order
+                  sortDirection={unassignedSort.direction}
+                  onSortChange={(sortBy, direction) => setUnassignedSort({ sortBy, direction })}
+                  onTap={isTapPlacing && getTileById(tapSelectedTileId)?.positionId !== POSITIONS.UNASSIGNED ? () => placeTapSelectedTile(POSITIONS.UNASSIGNED) : undefined} // Tap-to-assign back to Unassigned
               >
                   {/* Map over the FILTERED tile IDs in the Unassigned column to render SortableItems */}
                   {filteredUnassignedTileIds.map((tileId, index) => {
@@ -1034,177 +2253,324 @@ function App() {
                                id={tileId} // ID for dnd-kit sortable item
                                // Removed content prop
                                preference={tile.preference} // Pass preference prop
+                               preferenceCategories={preferenceCategories} // Pass the configured preference categories
                                paddlerName={tile.paddlerName} // Pass paddler name
+                               weight={tile.weight} // Pass paddler weight
+                               unassignedReason={unassignedReasons[tileId]} // Pass the Auto-assign reason, if any
                                currentPositionId={POSITIONS.UNASSIGNED} // Pass the current position ID
+                               isReadOnly={isReadOnly} // Disable dragging and editing in read-only mode
+                               isHighlighted={crewPaddler?.id === tileId} // Highlight the paddler chosen in the crew view
+                               isTapSelected={tapSelectedTileId === tileId} // Highlight the tile picked up with tap-to-assign
+                               isSelected={selectedTileIds.includes(tileId)} // Highlight the tile if it is part of the multi-selection
+                               raceLoad={getRaceLoad(tileId)} // Pass the paddler's race count, if there is a race plan
+                               availability={tile.availability} // Pass the paddler's availability for this session
+                               profile={tile.profile} // Pass the paddler's profile for the summary
+                               onOpenProfile={setProfileTileId} // Opens the profile drawer
+                               onTileClick={handleTileClick} // Shift/Ctrl-click selects the tile
                                currentIndex={index} // Pass index for sorting and header
                                onPaddlerNameChange={handlePaddlerNameChange} // Pass the handler for name changes
                                onPreferenceChange={handlePreferenceChange} // Pass the handler for preference changes
+                               onWeightChange={handleWeightChange} // Pass the handler for weight changes
                            />
                        );
                    })}
               </UnassignedColumn>
 
-              {/* New container to group Boat 1 elements */}
-              {/* Added border and padding for visual grouping */}
-              <div className="boat-container border border-gray-300 rounded-md p-4 flex flex-col space-y-4 flex-grow max-w-lg bg-gray-200"> {/* Added border, rounded corners, padding, and flex-col for vertical stacking */}
-                  {/* Label for Boat 1 */}
-                  <h3 className="text-lg font-semibold text-black text-center mb-2">Boat 1</h3> {/* Added text-center and mb-2 */}
-
-                  {/* Container for the drummer, main grid, and sweep - uses Tailwind flexbox for vertical stacking */}
-                  {/* Added max-w-lg to make this section narrower */}
-                  {/* Added flex-grow to ensure it takes available vertical space */}
-                  {/* Added justify-start to align contents to the top */}
-                  {/* Added h-full to make this container fill the height */}
-                  {/* Reduced space-y-8 to space-y-4 for tighter vertical spacing */}
-                  <div className="main-content-container flex flex-col space-y-4 flex-grow justify-start h-full"> {/* flex: enables flexbox, flex-col: stacks children vertically, space-y-4: vertical space between children, flex-grow: allows the container to grow, justify-start: aligns contents to the top, h-full: sets height to 100% of parent */}
-                      {/* Drummer Droppable Zone */}
-                      <DroppableZone
-                          key={POSITIONS.DRUMMER} // Unique key
-                          id={POSITIONS.DRUMMER} // ID for dnd-kit droppable zone
-                          label="Drummer" // Label displayed when empty
-                          occupiedTileId={columns[POSITIONS.DRUMMER]?.tileIds[0]} // Pass the ID of the tile currently in this single-tile zone
-                          activeDroppableId={activeDroppableId}
-                      >
-                           {/* Render the tile if it's in the Drummer position */}
-                           {columns[POSITIONS.DRUMMER]?.tileIds.map(tileId => {
-                               const tile = getTileById(tileId);
-                               if (!tile) return null;
-                               return (
-                                   // Render a SortableItem for the Drummer tile
-                                   <SortableItem
-                                       key={tileId}
-                                       id={tileId}
-                                       // Removed content prop
-                                       preference={tile.preference} // Pass preference prop
-                                       paddlerName={tile.paddlerName} // Pass paddler name
-                                       currentPositionId={POSITIONS.DRUMMER} // Pass the current position ID
-                                       onPaddlerNameChange={handlePaddlerNameChange}
-                                       onPreferenceChange={handlePreferenceChange} // Pass the handler for preference changes
-                                   />
-                               );
-                           })}
-                      </DroppableZone>
-
-                      {/* Main Grid Container for Left/Right Rows - uses Tailwind CSS Grid */}
-                      {/* Added grid-rows-10 to explicitly define row count and ensure consistent height */}
-                      {/* Added flex-grow to ensure the grid takes available vertical space */}
-                      {/* Reduced gap-4 to gap-2 for tighter grid spacing */}
-                      <div className="main-grid-container grid grid-cols-2 grid-rows-10 gap-2 flex-grow"> {/* grid: enables grid layout, grid-cols-2: two equal columns, grid-rows-10: 10 rows of equal height, gap-2: space between grid items, flex-grow: allows the grid to grow */}
-                        {/* Loop through rows (1 to 10) and render Left/Right Droppable Zones */}
-                        {Array.from({ length: 10 }).map((_, rowIndex) => {
-                            const leftPositionId = generateBenchPositionId(rowIndex + 1, 'left');
-                            const rightPositionId = generateBenchPositionId(rowIndex + 1, 'right');
-                            return (
-                            <React.Fragment key={rowIndex}> {/* Use Fragment to group the left and right zones for each row without adding extra DOM nodes */}
-                                {/* Left Bench Droppable Zone - Updated ID and Label */}
-                                <DroppableZone
-                                    key={leftPositionId} // Updated key
-                                    id={leftPositionId} // Updated ID
-                                    label={`Bench ${rowIndex + 1} Left`} // Updated Label
-                                    occupiedTileId={columns[leftPositionId]?.tileIds[0]} // Updated occupiedTileId check
-                                    activeDroppableId={activeDroppableId}
-                                >
-                                    {/* Render the tile if it's in this left bench position - Updated positionId check */}
-                                    {columns[leftPositionId]?.tileIds.map(tileId => {
-                                        const tile = getTileById(tileId);
-                                        if (!tile) return null;
-                                        return (
-                                            // Render a SortableItem for the tile in this zone - Updated currentPositionId
-                                            <SortableItem
-                                                key={tileId}
-                                                id={tileId}
-                                                // Removed content prop
-                                                preference={tile.preference} // Pass preference prop
-                                                paddlerName={tile.paddlerName} // Pass paddler name
-                                                currentPositionId={leftPositionId} // Updated currentPositionId
-                                                onPaddlerNameChange={handlePaddlerNameChange}
-                                                onPreferenceChange={handlePreferenceChange} // Pass the handler for preference changes
-                                            />
-                                        );
-                                    })}
-                                </DroppableZone>
-                                {/* Right Bench Droppable Zone - Updated ID and Label */}
-                                <DroppableZone
-                                    key={rightPositionId} // Updated key
-                                    id={rightPositionId} // Updated ID
-                                    label={`Bench ${rowIndex + 1} Right`} // Updated Label
-                                    occupiedTileId={columns[rightPositionId]?.tileIds[0]} // Updated occupiedTileId check
-                                    activeDroppableId={activeDroppableId}
-                                >
-                                    {/* Render the tile if it's in this right bench position - Updated positionId check */}
-                                    {columns[rightPositionId]?.tileIds.map(tileId => {
-                                        const tile = getTileById(tileId);
-                                        if (!tile) return null;
-                                        return (
-                                            // Render a SortableItem for the tile in this zone - Updated currentPositionId
-                                            <SortableItem
-                                                key={tileId}
-                                                id={tileId}
-                                                // Removed content prop
-                                                preference={tile.preference} // Pass preference prop
-                                                paddlerName={tile.paddlerName} // Pass paddler name
-                                                currentPositionId={rightPositionId} // Updated currentPositionId
-                                                onPaddlerNameChange={handlePaddlerNameChange}
-                                                onPreferenceChange={handlePreferenceChange} // Pass the handler for preference changes
-                                            />
-                                        );
-                                    })}
-                                </DroppableZone>
-                            </React.Fragment>
-                        );
-                        })}
+              {/* One container per boat, each with its own drummer, bench grid, sweep and balance panel */}
+              {boats.map(boat => {
+                  const drummerPositionId = generateDrummerPositionId(boat.id);
+                  const sweepPositionId = generateSweepPositionId(boat.id);
+                  const violationCount = countPreferenceViolations(columns, getTileById, boat, preferenceCategories); // Seated paddlers whose preference conflicts with their seat
+                  return (
+                  <div key={boat.id} className="flex items-start space-x-4 shrink-0">
+                  {/* Container to group the elements of this boat */}
+                  {/* Added border and padding for visual grouping */}
+                  <div className="boat-container border border-gray-300 rounded-md p-4 flex flex-col space-y-4 flex-grow w-[32rem] max-w-lg bg-gray-200"> {/* Added border, rounded corners, padding, and flex-col for vertical stacking */}
+                      {/* Label for the boat */}
+                      <h3 className="text-lg font-semibold text-black text-center mb-2">{boat.name}</h3> {/* Added text-center and mb-2 */}
+
+                      {/* Summary of the preference violations in this boat, so they can be fixed before a race */}
+                      <div className={`flex items-center justify-center text-xs ${violationCount > 0 ? 'text-orange-600' : 'text-green-700'}`}>
+                          <span className="material-icons mr-1" style={{ fontSize: '16px' }}>{violationCount > 0 ? 'warning' : 'check_circle'}</span>
+                          {violationCount === 0 ? 'All seats match preferences'
+                              : `${violationCount} preference ${violationCount === 1 ? 'violation' : 'violations'}`}
                       </div>
 
-                      {/* Sweep Droppable Zone */}
-                      <DroppableZone
-                          key={POSITIONS.SWEEP} // Unique key
-                          id={POSITIONS.SWEEP} // ID for dnd-kit droppable zone
-                          label="Sweep" // Label
-                          occupiedTileId={columns[POSITIONS.SWEEP]?.tileIds[0]} // Pass the ID of the tile currently in this single-tile zone
-                          activeDroppableId={activeDroppableId}
-                      >
-                           {/* Render the tile if it's in the Sweep position */}
-                           {columns[POSITIONS.SWEEP]?.tileIds.map(tileId => {
-                               const tile = getTileById(tileId);
-                               if (!tile) return null;
-                               return (
-                                   // Render a SortableItem for the Sweep tile
-                                   <SortableItem
-                                       key={tileId}
-                                       id={tileId}
-                                       // Removed content prop
-                                       preference={tile.preference} // Pass preference prop
-                                       paddlerName={tile.paddlerName} // Pass paddler name
-                                       currentPositionId={POSITIONS.SWEEP} // Pass the current position ID
-                                       onPaddlerNameChange={handlePaddlerNameChange}
-                                       onPreferenceChange={handlePreferenceChange} // Pass the handler for preference changes
-                                   />
-                               );
-                           })}
-                      </DroppableZone>
+                      {/* Number of benches in this boat (e.g., 5 for a small boat, 10 for a standard boat) */}
+                      <div className="flex items-center justify-center text-xs text-gray-700">
+                          <label htmlFor={`bench-count-${boat.id}`} className="mr-1">Benches:</label>
+                          <select
+                              id={`bench-count-${boat.id}`}
+                              value={getBenchCount(boat)}
+                              onChange={(e) => handleBenchCountChange(boat.id, Number(e.target.value))}
+                              disabled={isReadOnly}
+                              className="p-0.5 rounded border border-gray-300 text-xs"
+                          >
+                              {BENCH_COUNT_OPTIONS.map(count => (
+                                  <option key={count} value={count}>{count}</option>
+                              ))}
+                          </select>
+                      </div>
+
+                      {/* Container for the drummer, main grid, and sweep - uses Tailwind flexbox for vertical stacking */}
+                      {/* Added flex-grow to ensure it takes available vertical space */}
+                      {/* Added justify-start to align contents to the top */}
+                      {/* Added h-full to make this container fill the height */}
+                      {/* Reduced space-y-8 to space-y-4 for tighter vertical spacing */}
+                      <div className="main-content-container flex flex-col space-y-4 flex-grow justify-start h-full"> {/* flex: enables flexbox, flex-col: stacks children vertically, space-y-4: vertical space between children, flex-grow: allows the container to grow, justify-start: aligns contents to the top, h-full: sets height to 100% of parent */}
+                          {/* Drummer Droppable Zone */}
+                          <DroppableZone
+                              key={drummerPositionId} // Unique key
+                              id={drummerPositionId} // ID for dnd-kit droppable zone
+                              label="Drummer" // Label displayed when empty
+                              occupiedTileId={columns[drummerPositionId]?.tileIds[0]} // Pass the ID of the tile currently in this single-tile zone
+                              preferenceViolation={getSeatViolation(drummerPositionId)} // Warn if the seated paddler's preference conflicts with the seat
+                              activeDroppableId={activeDroppableId}
+                              isLocked={lockedSeatIds.includes(drummerPositionId)} // Show the locked state and refuse drops
+                              onToggleLock={isReadOnly ? undefined : handleToggleSeatLock} // Lock button (hidden in read-only mode)
+                              isHighlighted={crewPaddler?.positionId === drummerPositionId} // Highlight the seat of the paddler chosen in the crew view
+                              onTap={isTapPlacing ? handleSeatTap : undefined} // Tap-to-assign into this seat
+                          >
+                               {/* Render the tile if it's in the Drummer position */}
+                               {renderSeatTiles(drummerPositionId)}
+                          </DroppableZone>
+
+                          {/* Main Grid Container for Left/Right Rows - uses Tailwind CSS Grid */}
+                          {/* One grid row per bench (set with gridTemplateRows, as the bench count varies per boat) to ensure consistent height */}
+                          {/* Added flex-grow to ensure the grid takes available vertical space */}
+                          {/* Reduced gap-4 to gap-2 for tighter grid spacing */}
+                          <div className="main-grid-container grid grid-cols-2 gap-2 flex-grow" style={{ gridTemplateRows: `repeat(${getBenchCount(boat)}, minmax(0, 1fr))` }}> {/* grid: enables grid layout, grid-cols-2: two equal columns, gap-2: space between grid items, flex-grow: allows the grid to grow */}
+                            {/* Loop through the benches of this boat and render Left/Right Droppable Zones */}
+                            {Array.from({ length: getBenchCount(boat) }).map((_, rowIndex) => {
+                                const leftPositionId = generateBenchPositionId(boat.id, rowIndex + 1, 'left');
+                                const rightPositionId = generateBenchPositionId(boat.id, rowIndex + 1, 'right');
+                                return (
+                                <React.Fragment key={rowIndex}> {/* Use Fragment to group the left and right zones for each row without adding extra DOM nodes */}
+                                    {/* Left Bench Droppable Zone */}
+                                    <DroppableZone
+                                        key={leftPositionId}
+                                        id={leftPositionId}
+                                        label={`Bench ${rowIndex + 1} Left`}
+                                        occupiedTileId={columns[leftPositionId]?.tileIds[0]}
+                                        preferenceViolation={getSeatViolation(leftPositionId)}
+                                        activeDroppableId={activeDroppableId}
+                                        isLocked={lockedSeatIds.includes(leftPositionId)} // Show the locked state and refuse drops
+                                        onToggleLock={isReadOnly ? undefined : handleToggleSeatLock} // Lock button (hidden in read-only mode)
+                                        isHighlighted={crewPaddler?.positionId === leftPositionId} // Highlight the seat of the paddler chosen in the crew view
+                                        onTap={isTapPlacing ? handleSeatTap : undefined} // Tap-to-assign into this seat
+                                    >
+                                        {/* Render the tile if it's in this left bench position */}
+                                        {renderSeatTiles(leftPositionId)}
+                                    </DroppableZone>
+                                    {/* Right Bench Droppable Zone */}
+                                    <DroppableZone
+                                        key={rightPositionId}
+                                        id={rightPositionId}
+                                        label={`Bench ${rowIndex + 1} Right`}
+                                        occupiedTileId={columns[rightPositionId]?.tileIds[0]}
+                                        preferenceViolation={getSeatViolation(rightPositionId)}
+                                        activeDroppableId={activeDroppableId}
+                                        isLocked={lockedSeatIds.includes(rightPositionId)} // Show the locked state and refuse drops
+                                        onToggleLock={isReadOnly ? undefined : handleToggleSeatLock} // Lock button (hidden in read-only mode)
+                                        isHighlighted={crewPaddler?.positionId === rightPositionId} // Highlight the seat of the paddler chosen in the crew view
+                                        onTap={isTapPlacing ? handleSeatTap : undefined} // Tap-to-assign into this seat
+                                    >
+                                        {/* Render the tile if it's in this right bench position */}
+                                        {renderSeatTiles(rightPositionId)}
+                                    </DroppableZone>
+                                </React.Fragment>
+                            );
+                            })}
+                          </div>
+
+                          {/* Sweep Droppable Zone */}
+                          <DroppableZone
+                              key={sweepPositionId} // Unique key
+                              id={sweepPositionId} // ID for dnd-kit droppable zone
+                              label="Sweep" // Label
+                              occupiedTileId={columns[sweepPositionId]?.tileIds[0]} // Pass the ID of the tile currently in this single-tile zone
+                              preferenceViolation={getSeatViolation(sweepPositionId)} // Warn if the seated paddler's preference conflicts with the seat
+                              activeDroppableId={activeDroppableId}
+                              isLocked={lockedSeatIds.includes(sweepPositionId)} // Show the locked state and refuse drops
+                              onToggleLock={isReadOnly ? undefined : handleToggleSeatLock} // Lock button (hidden in read-only mode)
+                              isHighlighted={crewPaddler?.positionId === sweepPositionId} // Highlight the seat of the paddler chosen in the crew view
+                              onTap={isTapPlacing ? handleSeatTap : undefined} // Tap-to-assign into this seat
+                          >
+                               {/* Render the tile if it's in the Sweep position */}
+                               {renderSeatTiles(sweepPositionId)}
+                          </DroppableZone>
+                      </div>
+                  </div> {/* End boat container */}
+
+                  {/* Live weight balance of this boat - recalculated from the columns state after every drag */}
+                  <BalancePanel columns={columns} getTileById={getTileById} boatId={boat.id} />
                   </div>
-              </div> {/* End Boat 1 container */}
+                  );
+              })}
           </div>
+          )}
       </div>
 
 
+      {/* Dialog for saving, loading, renaming and deleting named lineups */}
+      <SavedLineupsDialog
+          isOpen={isSavedLineupsOpen}
+          onClose={() => setIsSavedLineupsOpen(false)}
+          savedLineups={savedLineups}
+          onSave={handleSaveLineup}
+          onLoad={handleLoadLineup}
+          onRename={handleRenameLineup}
+          onDelete={handleDeleteLineup}
+      />
+
+      {/* Dialog comparing two lineups side by side */}
+      <LineupCompareDialog
+          isOpen={isCompareOpen}
+          onClose={() => setIsCompareOpen(false)}
+          currentLineup={{ boats, columns, tiles }}
+          savedLineups={savedLineups}
+      />
+
+      {/* Dialog generating a training rotation */}
+      <RotationDialog
+          isOpen={isRotationOpen}
+          onClose={() => setIsRotationOpen(false)}
+          rotation={rotation}
+          onGenerate={handleGenerateRotation}
+          onShowStep={handleShowRotationStep}
+          onEndRotation={() => setRotation(null)}
+      />
+
+      {/* Dialog joining a live collaboration room */}
+      <CollaborationDialog
+          isOpen={isCollaborationOpen}
+          onClose={() => setIsCollaborationOpen(false)}
+          options={collaborationOptions}
+          onOptionChange={handleCollaborationOptionChange}
+          isCollaborating={isCollaborating}
+          status={collaborationStatus}
+          users={collaborators}
+          selfId={selfId}
+          onJoin={() => setIsCollaborating(true)}
+          onLeave={() => setIsCollaborating(false)}
+      />
+
+      {/* Hint shown while a tile is picked up with tap-to-assign */}
+      {isTapPlacing && currentSection === SECTIONS.BOAT_LAYOUT && getTileById(tapSelectedTileId) && (
+          <div className="fixed top-20 left-1/2 -translate-x-1/2 z-10 flex items-center bg-green-50 border border-green-400 rounded-full shadow-md pl-3 pr-1 py-1 text-sm">
+              <span className="material-icons text-green-600 mr-1" style={{ fontSize: '18px' }}>touch_app</span>
+              <span>Tap a seat or the Unassigned column to place {getTileById(tapSelectedTileId).paddlerName}</span>
+              <button onClick={() => setTapSelectedTileId(null)} className="ml-2 p-1 rounded-full hover:bg-green-100 flex items-center" aria-label="Cancel tap-to-assign" title="Cancel">
+                  <span className="material-icons" style={{ fontSize: '18px' }}>close</span>
+              </button>
+          </div>
+      )}
+
+      {/* Stepper for the training rotation, shown on the boat layout while there is one */}
+      {rotation && currentSection === SECTIONS.BOAT_LAYOUT && !isReadOnly && (
+          <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-10 flex items-center bg-white border border-gray-300 rounded-full shadow-md px-2 py-1 text-sm">
+              <button
+                  onClick={() => handleShowRotationStep(rotation.currentStep - 1)}
+                  disabled={rotation.currentStep === 0}
+                  className="p-1 rounded-full hover:bg-gray-200 disabled:opacity-30 flex items-center"
+                  aria-label="Previous rotation"
+              >
+                  <span className="material-icons" style={{ fontSize: '20px' }}>chevron_left</span>
+              </button>
+              <button onClick={() => setIsRotationOpen(true)} className="px-2 hover:underline">
+                  {rotation.currentStep === 0 ? 'Starting lineup' : `Rotation ${rotation.currentStep} of ${rotation.steps.length - 1}`}
+              </button>
+              <button
+                  onClick={() => handleShowRotationStep(rotation.currentStep + 1)}
+                  disabled={rotation.currentStep === rotation.steps.length - 1}
+                  className="p-1 rounded-full hover:bg-gray-200 disabled:opacity-30 flex items-center"
+                  aria-label="Next rotation"
+              >
+                  <span className="material-icons" style={{ fontSize: '20px' }}>chevron_right</span>
+              </button>
+              <button onClick={() => setRotation(null)} className="p-1 rounded-full hover:bg-gray-200 flex items-center" aria-label="End rotation" title="End rotation">
+                  <span className="material-icons" style={{ fontSize: '18px' }}>close</span>
+              </button>
+          </div>
+      )}
+
+      {/* Dialog for the races of a regatta day, each with its own lineup */}
+      <RacePlanDialog
+          isOpen={isRacePlanOpen}
+          onClose={() => setIsRacePlanOpen(false)}
+          racePlan={racePlan}
+          tiles={tiles}
+          onAddRace={handleAddRace}
+          onShowRace={handleShowRace}
+          onStopEditing={handleStopRaceEditing}
+          onUpdateRace={handleUpdateRace}
+          onMoveRace={handleMoveRace}
+          onDeleteRace={handleDeleteRace}
+          onMinRestChange={(minutes) => setRacePlan(prevPlan => ({ ...prevPlan, minRestMinutes: minutes }))}
+      />
+
+      {/* Notices in the bottom right corner, each closed with its own button */}
+      {notices.length > 0 && (
+          <div className="fixed bottom-4 right-4 z-30 flex flex-col space-y-2 max-w-sm" role="status">
+              {notices.map(notice => (
+                  <div key={notice.id} className="flex items-start bg-yellow-100 border border-yellow-300 rounded-md shadow-md px-3 py-2 text-sm text-gray-800">
+                      <span className="material-icons text-yellow-700 mr-2" style={{ fontSize: '18px' }}>info</span>
+                      <span className="flex-grow">{notice.text}</span>
+                      <button
+                          onClick={() => setNotices(prevNotices => prevNotices.filter(n => n.id !== notice.id))}
+                          className="ml-2 text-gray-600 hover:text-gray-800"
+                          aria-label="Dismiss notice"
+                      >
+                          <span className="material-icons" style={{ fontSize: '18px' }}>close</span>
+                      </button>
+                  </div>
+              ))}
+          </div>
+      )}
+
+      {/* Drawer with the full profile of the opened paddler */}
+      <PaddlerProfileDrawer
+          tile={profileTileId ? getTileById(profileTileId) : null}
+          seatText={profileTileId && getTileById(profileTileId)?.positionId && getTileById(profileTileId).positionId !== POSITIONS.UNASSIGNED
+              ? getSeatName(getTileById(profileTileId).positionId)
+              : 'Unassigned'}
+          isReadOnly={isReadOnly}
+          onClose={() => setProfileTileId(null)}
+          onProfileChange={handleProfileChange}
+      />
+
+      {/* Dialog for importing and exporting the roster as CSV */}
+      <RosterCsvDialog
+          isOpen={isRosterCsvOpen}
+          onClose={() => setIsRosterCsvOpen(false)}
+          onExport={handleExportRoster}
+          onImport={handleImportRoster}
+      />
+
       {/* DragOverlay to show a preview of the item being dragged */}
       {/* Renders a visual copy of the dragged item following the cursor */}
       <DragOverlay>
         {/* Conditional rendering: only render if there is an active dragged item and its data is found */}
         {activeId && activeTile ? (
+          // Wrapper for the stacked preview when a group of selected tiles is dragged
+          <div className="relative">
+          {dragGroupSize > 1 && (
+              <>
+                  {/* Cards peeking out behind the dragged tile to show it is a stack */}
+                  <div className="absolute inset-0 rounded-md bg-white border border-gray-400 shadow-md translate-x-2 translate-y-2"></div>
+                  <div className="absolute inset-0 rounded-md bg-white border border-gray-400 shadow-md translate-x-1 translate-y-1"></div>
+              </>
+          )}
           <div
             // Apply similar conditional styling for the overlay based on the tile's *original* position
             // Adjusted width and font size based on original position
-            className={`p-1 rounded-md shadow-md bg-white text-gray-800 select-none cursor-grabbing border border-black ${activeTile.positionId === POSITIONS.UNASSIGNED ? 'w-[120px] text-xs' : 'w-[200px] text-sm'}`}
+            className={`relative p-1 rounded-md shadow-md bg-white text-gray-800 select-none cursor-grabbing border border-black ${activeTile.positionId === POSITIONS.UNASSIGNED ? 'w-[120px] text-xs' : 'w-[200px] text-sm'}`}
           >
             {/* Display position based on the tile's position *before* the drag started */}
              {activeTile.positionId !== POSITIONS.UNASSIGNED && (
                  <div className="font-semibold mb-1 text-gray-700 text-xs"> {/* Smaller font for header */}
-                     {activeTile.positionId === POSITIONS.DRUMMER ? 'Drummer'
-                      : activeTile.positionId === POSITIONS.SWEEP ? 'Sweep'
-                      : activeTile.positionId.startsWith(POSITIONS.BENCH) ? `Bench ${activeTile.positionId.split('-')[1]} - ${activeTile.positionId.split('-')[2].charAt(0).toUpperCase() + activeTile.positionId.split('-')[2].slice(1)}` // Updated display for Bench
-                      : activeTile.positionId} {/* Fallback display if position ID is not recognized */}
+                     {/* Boat name followed by the seat, e.g. "Boat 2 - Bench 3 Left" */}
+                     {boats.find(boat => boat.id === parsePositionId(activeTile.positionId).boatId)?.name} - {getPositionLabel(activeTile.positionId)}
                  </div>
              )}
 
@@ -1221,16 +2587,30 @@ function App() {
                 {/* Display the preference value from the tile data */}
                 <div className="text-xs text-gray-800 w-auto min-w-0">{activeTile.preference}</div> {/* Display the preference, added w-auto min-w-0 */}
              </div>
+             {/* Weight in Overlay (read-only) - only shown when a weight is set */}
+             {activeTile.weight != null && (
+                 <div className="mt-0.5 mb-0.5 flex items-center">
+                    <div className="text-xs text-gray-600 mr-1 shrink-0">Weight:</div>
+                    <div className="text-xs text-gray-800 w-auto min-w-0">{activeTile.weight} kg</div>
+                 </div>
+             )}
 
-             {/* Hide original content and note for unassigned tiles in overlay */}
-             {activeTile.positionId !== POSITIONS.UNASSIGNED && (
-                 <>
-                     <div className="text-gray-800 text-xs">{/*activeTile.content*/}</div> {/* Smaller content font */}
-                     <div className="text-gray-600 text-[8pt]">{/*activeTile.note*/}</div> {/* Even smaller note font */}
-                 </>
+             {/* Profile in Overlay (read-only) - summary (content) and notes (note), the notes are hidden for unassigned tiles */}
+             {getProfileSummary(activeTile.profile) && (
+                 <div className="text-gray-800 text-xs">{getProfileSummary(activeTile.profile)}</div> /* Smaller content font */
+             )}
+             {activeTile.positionId !== POSITIONS.UNASSIGNED && activeTile.profile?.notes && (
+                 <div className="text-gray-600 text-[8pt] truncate">{activeTile.profile.notes}</div> /* Even smaller note font */
              )}
 
           </div>
+          {/* Number of paddlers in the dragged group */}
+          {dragGroupSize > 1 && (
+              <span className="absolute -top-2 -right-2 bg-blue-500 text-white text-xs font-semibold rounded-full w-6 h-6 flex items-center justify-center">
+                  {dragGroupSize}
+              </span>
+          )}
+          </div>
         ) : null} {/* Render nothing if no item is being dragged */}
       </DragOverlay>
     </DndContext>
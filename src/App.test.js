@@ -1,8 +1,256 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the boat layout with the starting lineup', () => {
+  localStorage.clear();
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(screen.getByText('Dragonboaty')).toBeInTheDocument();
+  expect(screen.getByText(/^Unassigned/)).toBeInTheDocument();
+  expect(screen.getByLabelText('Person 3, Bench 1 Left')).toBeInTheDocument();
+  expect(screen.getByLabelText('Lock Bench 1 Left')).toBeInTheDocument();
+});
+
+describe('saved lineups', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('a lineup can be saved, loaded, renamed and deleted', () => {
+    render(<App />);
+    fireEvent.click(screen.getByLabelText('Expand sidebar'));
+    fireEvent.click(screen.getByText('Edit Boats'));
+
+    fireEvent.click(screen.getByText('Saved Lineups'));
+    let dialog = screen.getByRole('dialog', { name: 'Saved lineups' });
+    fireEvent.change(within(dialog).getByLabelText('Lineup name'), { target: { value: 'Race day' } });
+    fireEvent.click(within(dialog).getByText('Save current'));
+    fireEvent.click(within(dialog).getByLabelText('Close'));
+    expect(JSON.parse(localStorage.getItem('dragonboaty.savedLineups'))[0].name).toBe('Race day');
+
+    fireEvent.click(screen.getByText('Unassign All'));
+    expect(screen.getByLabelText('Person 3, Unassigned')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Saved Lineups'));
+    dialog = screen.getByRole('dialog', { name: 'Saved lineups' });
+    fireEvent.click(within(dialog).getByLabelText('Load Race day'));
+    expect(screen.getByLabelText('Person 3, Bench 1 Left')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Saved Lineups'));
+    dialog = screen.getByRole('dialog', { name: 'Saved lineups' });
+    fireEvent.click(within(dialog).getByLabelText('Rename Race day'));
+    fireEvent.change(within(dialog).getByLabelText('New lineup name'), { target: { value: '500m' } });
+    fireEvent.keyDown(within(dialog).getByLabelText('New lineup name'), { key: 'Enter' });
+    expect(within(dialog).getByText('500m')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('dragonboaty.savedLineups'))[0].name).toBe('500m');
+
+    const { confirm } = window;
+    window.confirm = () => true;
+    try {
+      fireEvent.click(within(dialog).getByLabelText('Delete 500m'));
+    } finally {
+      window.confirm = confirm;
+    }
+    expect(within(dialog).getByText('No saved lineups yet.')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('dragonboaty.savedLineups'))).toEqual([]);
+  });
+
+  test('loading a lineup keeps the paddlers of locked seats', () => {
+    localStorage.setItem('dragonboaty.settings', JSON.stringify({ tapToAssign: true }));
+    render(<App />);
+    fireEvent.click(screen.getByLabelText('Expand sidebar'));
+    fireEvent.click(screen.getByText('Edit Boats'));
+    fireEvent.click(screen.getByText('Saved Lineups'));
+    let dialog = screen.getByRole('dialog', { name: 'Saved lineups' });
+    fireEvent.change(within(dialog).getByLabelText('Lineup name'), { target: { value: 'Race day' } });
+    fireEvent.click(within(dialog).getByText('Save current'));
+    fireEvent.click(within(dialog).getByLabelText('Close'));
+
+    // Person 4 moves from Bench 1 Right to the locked Bench 1 Left
+    fireEvent.click(screen.getByText('Unassign All'));
+    fireEvent.click(screen.getByLabelText('Person 4, Unassigned'));
+    fireEvent.click(screen.getByText('Bench 1 Left'));
+    fireEvent.click(screen.getByLabelText('Lock Bench 1 Left'));
+
+    fireEvent.click(screen.getByText('Saved Lineups'));
+    dialog = screen.getByRole('dialog', { name: 'Saved lineups' });
+    fireEvent.click(within(dialog).getByLabelText('Load Race day'));
+
+    expect(screen.getByLabelText('Person 4, Bench 1 Left')).toBeInTheDocument();
+    expect(screen.getByLabelText('Unlock Bench 1 Left')).toBeInTheDocument();
+    expect(screen.getByLabelText('Person 3, Unassigned')).toBeInTheDocument();
+    expect(screen.getByLabelText('Person 5, Bench 2 Left')).toBeInTheDocument(); // The rest of the lineup is loaded
+  });
+});
+
+describe('roster screen', () => {
+  beforeEach(() => localStorage.clear());
+
+  // Runs an action with window.alert or window.confirm replaced, returns the messages shown
+  const withDialog = (name, answer, action) => {
+    const original = window[name];
+    const messages = [];
+    window[name] = (message) => {
+      messages.push(message);
+      return answer;
+    };
+    try {
+      action();
+    } finally {
+      window[name] = original;
+    }
+    return messages;
+  };
+
+  // Opens the roster screen from the sidebar
+  const openRoster = () => {
+    fireEvent.click(screen.getByLabelText('Expand sidebar'));
+    fireEvent.click(screen.getByTitle('Roster'));
+  };
+
+  test('added paddlers get a free name and a unique ID', () => {
+    render(<App />);
+    openRoster();
+
+    fireEvent.click(screen.getByText('Add Paddler'));
+    fireEvent.click(screen.getByText('Add Paddler'));
+
+    const names = screen.getAllByLabelText('Name').map(input => input.value);
+    expect(new Set(names).size).toBe(names.length);
+    const { tiles } = JSON.parse(localStorage.getItem('dragonboaty.currentLineup'));
+    expect(new Set(tiles.map(tile => tile.id)).size).toBe(tiles.length);
+    expect(tiles.slice(-2).map(tile => tile.positionId)).toEqual(['unassigned', 'unassigned']);
+  });
+
+  test('archiving or deleting a paddler takes them out of the lineup and unlocks their seat', () => {
+    render(<App />);
+    fireEvent.click(screen.getByLabelText('Lock Bench 1 Left'));
+    fireEvent.click(screen.getByLabelText('Lock Bench 1 Right'));
+    openRoster();
+
+    fireEvent.click(screen.getByLabelText('Archive Person 3'));
+    expect(screen.getByText('Person 3 was archived. Bench 1 Left is no longer locked.')).toBeInTheDocument();
+    withDialog('confirm', true, () => fireEvent.click(screen.getByLabelText('Delete Person 4')));
+    expect(screen.getByText('Person 4 was deleted. Bench 1 Right is no longer locked.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Boat Layout'));
+    expect(screen.queryByLabelText(/^Person 3,/)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/^Person 4,/)).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Lock Bench 1 Left')).toBeInTheDocument();
+    expect(screen.getByLabelText('Lock Bench 1 Right')).toBeInTheDocument();
+  });
+
+  test('the preference of several paddlers can be set at once', () => {
+    render(<App />);
+    openRoster();
+
+    fireEvent.click(screen.getByLabelText('Select Person 3'));
+    fireEvent.click(screen.getByLabelText('Select Person 4'));
+    fireEvent.change(screen.getByLabelText('Bulk preference'), { target: { value: 'Sweep' } });
+    fireEvent.click(screen.getAllByText('Apply')[0]);
+
+    expect(screen.getByLabelText('Preference of Person 3')).toHaveValue('Sweep');
+    expect(screen.getByLabelText('Preference of Person 4')).toHaveValue('Sweep');
+    expect(screen.getByLabelText('Preference of Person 5')).not.toHaveValue('Sweep');
+  });
+
+  test('a name another paddler has is rejected', () => {
+    render(<App />);
+    openRoster();
+
+    const nameInput = screen.getByDisplayValue('Person 3');
+    const messages = withDialog('alert', undefined, () => fireEvent.change(nameInput, { target: { value: 'Person 4' } }));
+
+    expect(messages).toEqual(['This name is already in use. Please choose a different name.']);
+    expect(nameInput).toHaveValue('Person 3');
+    fireEvent.change(nameInput, { target: { value: 'Kim' } });
+    expect(nameInput).toHaveValue('Kim');
+  });
+});
+
+describe('crew view', () => {
+  beforeEach(() => localStorage.clear());
+
+  // Opens the crew view from the Account menu and finds Person 3 (Bench 1 Left)
+  const openCrewView = () => {
+    fireEvent.click(screen.getByLabelText('Expand sidebar'));
+    fireEvent.click(screen.getByText('Account'));
+    fireEvent.click(screen.getByText('Crew View'));
+    fireEvent.change(screen.getByLabelText('Find a paddler:'), { target: { value: 'tile-2' } });
+  };
+
+  test('the chosen paddler\'s seat is highlighted', () => {
+    render(<App />);
+    openCrewView();
+
+    expect(screen.getByText('Person 3 sits at Bench 1 Left')).toBeInTheDocument();
+    expect(screen.getByLabelText('Person 3, Bench 1 Left, highlighted')).toBeInTheDocument();
+    expect(screen.getByLabelText('Person 4, Bench 1 Right')).toBeInTheDocument(); // Nobody else is highlighted
+  });
+
+  test('nothing can be dragged or edited', () => {
+    render(<App />);
+    openCrewView();
+
+    const tile = screen.getByLabelText('Person 3, Bench 1 Left, highlighted');
+    expect(tile).toHaveAttribute('aria-disabled', 'true'); // Dragging is off
+    expect(within(tile).getByRole('textbox')).toBeDisabled();
+    expect(within(tile).getByRole('combobox')).toBeDisabled();
+    expect(screen.queryByLabelText('Lock Bench 1 Left')).not.toBeInTheDocument();
+  });
+
+  test('going back to coach mode makes the lineup editable again', () => {
+    render(<App />);
+    openCrewView();
+
+    fireEvent.click(screen.getByText('Back to coach mode'));
+
+    expect(screen.getByLabelText('Person 3, Bench 1 Left')).not.toHaveAttribute('aria-disabled', 'true');
+    expect(screen.getByLabelText('Lock Bench 1 Left')).toBeInTheDocument();
+  });
+});
+
+describe('tap to assign', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('dragonboaty.settings', JSON.stringify({ tapToAssign: true }));
+  });
+
+  test('a tapped paddler is placed in the tapped seat or in Unassigned', () => {
+    render(<App />);
+
+    fireEvent.click(screen.getByLabelText('Person 3, Bench 1 Left'));
+    expect(screen.getByLabelText('Person 3, Bench 1 Left, picked up')).toBeInTheDocument();
+    fireEvent.click(screen.getByText(/^Unassigned/));
+    expect(screen.getByLabelText('Person 3, Unassigned')).toBeInTheDocument();
+
+    // Tapping a tile in Unassigned places the picked-up paddler there too
+    fireEvent.click(screen.getByLabelText('Person 4, Bench 1 Right'));
+    fireEvent.click(screen.getByLabelText('Person 3, Unassigned'));
+    expect(screen.getByLabelText('Person 4, Unassigned')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Person 3, Unassigned'));
+    fireEvent.click(screen.getByText('Bench 1 Left'));
+    expect(screen.getByLabelText('Person 3, Bench 1 Left')).toBeInTheDocument();
+  });
+
+  test('tapping the picked-up paddler again puts them down', () => {
+    render(<App />);
+
+    fireEvent.click(screen.getByLabelText('Person 3, Bench 1 Left'));
+    fireEvent.click(screen.getByLabelText('Person 3, Bench 1 Left, picked up'));
+
+    expect(screen.getByLabelText('Person 3, Bench 1 Left')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Cancel tap-to-assign')).not.toBeInTheDocument(); // The hint is gone
+  });
+
+  test('a locked seat refuses the picked-up paddler', () => {
+    render(<App />);
+
+    fireEvent.click(screen.getByLabelText('Lock Bench 2 Left'));
+    fireEvent.click(screen.getByLabelText('Person 3, Bench 1 Left'));
+    fireEvent.click(screen.getByLabelText('Person 5, Bench 2 Left'));
+
+    expect(screen.getByText('Bench 2 Left is locked.')).toBeInTheDocument();
+    expect(screen.getByLabelText('Person 3, Bench 1 Left, picked up')).toBeInTheDocument();
+    expect(screen.getByLabelText('Person 5, Bench 2 Left')).toBeInTheDocument();
+  });
 });
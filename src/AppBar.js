@@ -1,12 +1,19 @@
 import React from 'react';
+import { COLLAB_STATUS } from './collaboration';
 
 // Functional component for a Material Design-inspired App Bar (Header Bar)
 // Styled using Tailwind CSS
 // Props:
 // - appName: String, the name of the application
 // - sectionName: String, the name of the current section or menu (will be hidden on small screens)
-// - onShareClick: Function, handler for the share icon click (feature to be added later)
-const AppBar = ({ appName, sectionName, onShareClick }) => {
+// - onShareClick: Function, handler for the share icon click
+// - onUndoClick / onRedoClick: Functions, handlers for the undo and redo buttons
+// - canUndo / canRedo: Booleans, whether the undo and redo buttons are enabled
+// - isOnline: Boolean, whether there is a network connection (shown as an Online/Offline indicator)
+// - collaborationStatus: String, the live collaboration state (one of COLLAB_STATUS, nothing is shown when off)
+// - editorCount / presenceText: Number of sessions in the collaboration room, and who else is editing
+const AppBar = ({ appName, sectionName, onShareClick, onUndoClick, onRedoClick, canUndo = false, canRedo = false, isOnline = true,
+                  collaborationStatus = COLLAB_STATUS.OFF, editorCount = 0, presenceText = '' }) => {
 
   // Tailwind classes for the main App Bar container
   // fixed top-0 left-0 right-0: Positions the app bar fixed at the top, spanning full width
@@ -47,6 +54,17 @@ const AppBar = ({ appName, sectionName, onShareClick }) => {
   // transition-colors duration-150 ease-in-out: Smooth transition for background color changes
   const shareIconClasses = `p-2 rounded-full hover:bg-gray-200 active:bg-gray-300 cursor-pointer text-gray-700 transition-colors duration-150 ease-in-out`;
 
+  // Tailwind classes for the Online/Offline indicator - green when online, amber when offline
+  const connectionClasses = `flex items-center mr-2 px-2 py-0.5 rounded-full text-xs ${isOnline ? 'bg-green-100 text-green-800' : 'bg-amber-100 text-amber-800'}`;
+
+  // Tailwind classes for the presence indicator - blue while connected, amber while reconnecting
+  const isConnected = collaborationStatus === COLLAB_STATUS.CONNECTED;
+  const presenceClasses = `flex items-center mr-2 px-2 py-0.5 rounded-full text-xs ${isConnected ? 'bg-blue-100 text-blue-800' : 'bg-amber-100 text-amber-800'}`;
+  const presenceLabel = isConnected ? presenceText : collaborationStatus === COLLAB_STATUS.CONNECTING ? 'Connecting...' : 'Reconnecting...';
+
+  // Tailwind classes for the Undo/Redo buttons - same as the Share button, greyed out when disabled
+  const historyButtonClasses = `${shareIconClasses} flex items-center disabled:text-gray-300 disabled:cursor-default disabled:hover:bg-transparent`;
+
   return (
     <header className={appBarClasses}>
       {/* Left Section: App Name and Section Name */}
@@ -61,8 +79,47 @@ const AppBar = ({ appName, sectionName, onShareClick }) => {
         </div>
       </div>
 
-      {/* Right Section: Share Icon */}
+      {/* Right Section: Presence and Online/Offline indicators, Undo/Redo and Share Icons */}
       <div className={rightSectionClasses}>
+        {/* Presence indicator - who else is editing the lineup live (only while collaborating) */}
+        {collaborationStatus !== COLLAB_STATUS.OFF && (
+          <div className={presenceClasses} title={presenceLabel} aria-label={`Live collaboration: ${presenceLabel}`}>
+            <span className="material-icons mr-1" style={{ fontSize: '16px' }}>{isConnected ? 'groups' : 'sync_problem'}</span>
+            {isConnected && <span className="mr-1">{editorCount}</span>}
+            <span className="hidden md:inline">{presenceLabel}</span>
+          </div>
+        )}
+        {/* Online/Offline indicator - the app keeps working offline, changes are stored on this device */}
+        <div
+          className={connectionClasses}
+          role="status"
+          aria-label={isOnline ? 'Online' : 'Offline'}
+          title={isOnline ? 'Online' : 'Offline - changes are saved on this device'}
+        >
+          <span className="material-icons mr-1" style={{ fontSize: '16px' }}>{isOnline ? 'cloud_done' : 'cloud_off'}</span>
+          <span className="hidden sm:inline">{isOnline ? 'Online' : 'Offline'}</span>
+        </div>
+        {/* Undo Button (Ctrl+Z) */}
+        <button
+          onClick={onUndoClick}
+          disabled={!canUndo}
+          className={historyButtonClasses}
+          aria-label="Undo"
+          title="Undo (Ctrl+Z)"
+        >
+          <span className="material-icons">undo</span>
+        </button>
+        {/* Redo Button (Ctrl+Shift+Z) */}
+        <button
+          onClick={onRedoClick}
+          disabled={!canRedo}
+          className={historyButtonClasses}
+          aria-label="Redo"
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <span className="material-icons">redo</span>
+        </button>
+
         {/* Share Icon Button */}
         <button
           onClick={onShareClick} // Attach the click handler
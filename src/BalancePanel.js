@@ -0,0 +1,119 @@
+import React from 'react';
+import { POSITIONS } from './constants';
+import { parsePositionId } from './positions';
+
+// Helper to read a tile's weight as a number (returns 0 for missing/invalid weights)
+const getTileWeight = (tile) => {
+  const weight = Number(tile?.weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : 0;
+};
+
+// Calculates the weight distribution of one boat from the columns state
+// Returns left/right and front/back totals for the benches plus the drummer and sweep weights
+// Front = first half of the benches (closest to the drummer), Back = second half (closest to the sweep)
+export const calculateBoatBalance = (columns, getTileById, boatId) => {
+  const balance = {
+    left: 0,
+    right: 0,
+    front: 0,
+    back: 0,
+    drummer: 0,
+    sweep: 0,
+    seatedCount: 0, // Number of paddlers seated in the boat
+    missingWeightCount: 0, // Number of seated paddlers without a weight
+  };
+
+  // Collect the seats of this boat (e.g., 'boat-1:bench-3-left') and find the number of benches
+  const boatSeats = Object.keys(columns)
+    .map(columnId => ({ columnId, ...parsePositionId(columnId) }))
+    .filter(seat => seat.boatId === boatId);
+  const benchZones = boatSeats.filter(seat => seat.type === POSITIONS.BENCH);
+  const benchCount = benchZones.reduce((max, zone) => Math.max(max, zone.row), 0);
+
+  // Adds the weight of every tile in a column and returns the sum
+  const sumColumn = (columnId) => (columns[columnId]?.tileIds || []).reduce((sum, tileId) => {
+    const tile = getTileById(tileId);
+    if (!tile) return sum;
+    balance.seatedCount++;
+    if (!getTileWeight(tile)) balance.missingWeightCount++;
+    return sum + getTileWeight(tile);
+  }, 0);
+
+  benchZones.forEach(({ columnId, row, side }) => {
+    const weight = sumColumn(columnId);
+    if (side === 'left') balance.left += weight;
+    else balance.right += weight;
+    if (row <= Math.ceil(benchCount / 2)) balance.front += weight;
+    else balance.back += weight;
+  });
+
+  boatSeats.forEach(({ columnId, type }) => {
+    if (type === POSITIONS.DRUMMER) balance.drummer += sumColumn(columnId);
+    if (type === POSITIONS.SWEEP) balance.sweep += sumColumn(columnId);
+  });
+
+  return balance;
+};
+
+// Functional component showing the live weight balance of the boat
+// Props:
+// - columns: Object, the columns state (position ID -> { tileIds })
+// - getTileById: Function, looks up a tile object by its ID
+// - boatId: String, the boat to show the balance for
+const BalancePanel = ({ columns, getTileById, boatId }) => {
+  const balance = calculateBoatBalance(columns, getTileById, boatId);
+  const total = balance.left + balance.right + balance.drummer + balance.sweep;
+
+  // Formats a weight rounded to one decimal place (e.g., "72.5 kg")
+  const formatWeight = (weight) => `${Math.round(weight * 10) / 10} kg`;
+
+  // Formats a difference as "+12 kg Left" style text (or "Even" when balanced)
+  const formatDifference = (a, b, labelA, labelB) => {
+    const difference = Math.round((a - b) * 10) / 10;
+    if (difference === 0) return 'Even';
+    return `+${formatWeight(Math.abs(difference))} ${difference > 0 ? labelA : labelB}`;
+  };
+
+  // Tailwind classes for a single row in the panel
+  const rowClasses = `flex justify-between text-xs text-gray-700`;
+
+  return (
+    <div className="balance-panel border border-gray-300 rounded-md p-4 bg-white w-56 space-y-3">
+      <h3 className="text-lg font-semibold text-black">Balance</h3>
+
+      {/* Left vs Right */}
+      <div>
+        <div className={rowClasses}><span>Left</span><span>{formatWeight(balance.left)}</span></div>
+        <div className={rowClasses}><span>Right</span><span>{formatWeight(balance.right)}</span></div>
+        <div className={`${rowClasses} font-semibold`}>
+          <span>Difference</span><span>{formatDifference(balance.left, balance.right, 'Left', 'Right')}</span>
+        </div>
+      </div>
+
+      {/* Front vs Back */}
+      <div>
+        <div className={rowClasses}><span>Front</span><span>{formatWeight(balance.front)}</span></div>
+        <div className={rowClasses}><span>Back</span><span>{formatWeight(balance.back)}</span></div>
+        <div className={`${rowClasses} font-semibold`}>
+          <span>Difference</span><span>{formatDifference(balance.front, balance.back, 'Front', 'Back')}</span>
+        </div>
+      </div>
+
+      {/* Drummer, Sweep and overall total */}
+      <div>
+        <div className={rowClasses}><span>Drummer</span><span>{formatWeight(balance.drummer)}</span></div>
+        <div className={rowClasses}><span>Sweep</span><span>{formatWeight(balance.sweep)}</span></div>
+        <div className={`${rowClasses} font-semibold`}><span>Total</span><span>{formatWeight(total)}</span></div>
+      </div>
+
+      {/* Warn when some seated paddlers have no weight, as the totals will be incomplete */}
+      {balance.missingWeightCount > 0 && (
+        <div className="text-xs text-orange-600">
+          {balance.missingWeightCount} of {balance.seatedCount} seated paddlers have no weight set
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BalancePanel; // Export the component
@@ -0,0 +1,30 @@
+import { calculateBoatBalance } from './BalancePanel';
+
+test('calculates left/right and front/back totals for the benches', () => {
+  const tiles = [
+    { id: 'a', weight: 80 },
+    { id: 'b', weight: 70 },
+    { id: 'c', weight: 60 },
+    { id: 'd', weight: null },
+    { id: 'e', weight: 55 },
+    { id: 'f', weight: 90 },
+  ];
+  const columns = {
+    'boat-1:drummer': { tileIds: ['e'] },
+    'boat-1:sweep': { tileIds: [] },
+    'boat-1:bench-1-left': { tileIds: ['a'] },
+    'boat-1:bench-1-right': { tileIds: ['b'] },
+    'boat-1:bench-2-left': { tileIds: ['c'] },
+    'boat-1:bench-2-right': { tileIds: ['d'] },
+    'boat-2:bench-1-left': { tileIds: ['f'] }, // Other boats are not counted
+  };
+  const balance = calculateBoatBalance(columns, id => tiles.find(tile => tile.id === id), 'boat-1');
+
+  expect(balance.left).toBe(140);
+  expect(balance.right).toBe(70);
+  expect(balance.front).toBe(150);
+  expect(balance.back).toBe(60);
+  expect(balance.drummer).toBe(55);
+  expect(balance.sweep).toBe(0);
+  expect(balance.missingWeightCount).toBe(1);
+});
@@ -0,0 +1,104 @@
+import React from 'react';
+import { COLLAB_STATUS } from './collaboration';
+
+// Texts describing the connection to the sync server
+const STATUS_TEXTS = {
+  [COLLAB_STATUS.OFF]: 'Not collaborating.',
+  [COLLAB_STATUS.CONNECTING]: 'Connecting to the sync server...',
+  [COLLAB_STATUS.CONNECTED]: 'Connected - changes are shared live.',
+  [COLLAB_STATUS.DISCONNECTED]: 'Connection lost - trying again. Your changes are sent once it is back.',
+};
+
+// Functional component for the "Live Collaboration" dialog
+// Joins a room on a sync server, so everyone in the room edits the same lineup: seat moves, Unassign All and
+// paddler edits of every session show up live in the others
+// Props:
+// - isOpen: Boolean, whether the dialog is visible
+// - onClose: Function, closes the dialog
+// - options: Object, { userName, serverUrl, room } (stored with the settings)
+// - onOptionChange: Function(field, value), changes one of the options
+// - isCollaborating: Boolean, whether this session is in a room
+// - status: String, the connection state (one of COLLAB_STATUS)
+// - users: Array, who is in the room ({ id, name })
+// - selfId: String, the user ID of this session
+// - onJoin / onLeave: Functions, start and stop collaborating
+const CollaborationDialog = ({ isOpen, onClose, options, onOptionChange, isCollaborating, status, users, selfId, onJoin, onLeave }) => {
+  if (!isOpen) return null;
+
+  // Handler for the Join button
+  const handleJoin = (event) => {
+    event.preventDefault();
+    onJoin();
+  };
+
+  // Tailwind classes for the labels and inputs of the options
+  const labelClasses = `block text-xs text-gray-600 mb-1`;
+  const inputClasses = `w-full p-1 border rounded text-sm disabled:bg-gray-100`;
+
+  return (
+    // Backdrop - clicking it closes the dialog
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-20" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-lg p-6 w-full max-w-md max-h-[80vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()} // Keep clicks inside the dialog from closing it
+        role="dialog"
+        aria-label="Live collaboration"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Live Collaboration</h2>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors" aria-label="Close">
+            <span className="material-icons">close</span>
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Edit the same lineup from several devices. Everyone who joins the same room on the same sync server sees each other's changes live.
+          Start a local sync server with <code className="bg-gray-100 px-1 rounded">npm run sync-server</code>.
+        </p>
+
+        {/* Name, server and room - fixed while collaborating */}
+        <form onSubmit={handleJoin} className="space-y-3 mb-4">
+          <div>
+            <label htmlFor="collab-name" className={labelClasses}>Your name (shown to the others)</label>
+            <input id="collab-name" type="text" value={options.userName} onChange={(e) => onOptionChange('userName', e.target.value)} disabled={isCollaborating} className={inputClasses} placeholder="e.g., Coach" />
+          </div>
+          <div>
+            <label htmlFor="collab-server" className={labelClasses}>Sync server</label>
+            <input id="collab-server" type="text" value={options.serverUrl} onChange={(e) => onOptionChange('serverUrl', e.target.value)} disabled={isCollaborating} className={inputClasses} />
+          </div>
+          <div>
+            <label htmlFor="collab-room" className={labelClasses}>Room (share it with the others)</label>
+            <input id="collab-room" type="text" value={options.room} onChange={(e) => onOptionChange('room', e.target.value)} disabled={isCollaborating} className={inputClasses} placeholder="e.g., race-day" />
+          </div>
+          {isCollaborating ? (
+            <button type="button" onClick={onLeave} className="w-full px-3 py-1 rounded-md bg-white border border-gray-300 hover:bg-gray-100 text-sm">
+              Leave room
+            </button>
+          ) : (
+            <button type="submit" disabled={!options.serverUrl.trim() || !options.room.trim()} className="w-full px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white text-sm disabled:opacity-50">
+              Join room
+            </button>
+          )}
+        </form>
+        {!isCollaborating && (
+          <p className="text-xs text-gray-500 mb-4">Joining replaces your lineup with the room's lineup, unless you are the first one in the room.</p>
+        )}
+
+        {/* Connection state and who is in the room */}
+        <p className="text-sm mb-1">{STATUS_TEXTS[status]}</p>
+        {users.length > 0 && (
+          <ul className="text-sm space-y-0.5">
+            {users.map(user => (
+              <li key={user.id} className="flex items-center">
+                <span className="material-icons text-green-600 mr-1" style={{ fontSize: '16px' }}>person</span>
+                {user.name || 'Someone'}{user.id === selfId ? ' (you)' : ''}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollaborationDialog; // Export the component
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { POSITIONS } from './constants';
+import { getPositionLabel, parsePositionId, generateDrummerPositionId, generateSweepPositionId, generateBenchPositionId, getBenchCount } from './positions';
+import { CHANGE_KINDS, buildSavedLineup, compareLineups, hasWeightData, calculateLineupBalance } from './lineupCompare';
+import { readSharedLineupFromLink } from './shareLink';
+
+// Highlight classes and legend labels for each kind of change
+const CHANGE_STYLES = {
+  [CHANGE_KINDS.SEAT]: { classes: 'bg-blue-100 text-blue-900', label: 'Changed seat' },
+  [CHANGE_KINDS.SIDE]: { classes: 'bg-purple-100 text-purple-900', label: 'Changed side' },
+  [CHANGE_KINDS.BOAT_UNASSIGNED]: { classes: 'bg-green-100 text-green-900', label: 'Boat / Unassigned' },
+};
+
+// Value of the source option for a lineup pasted as a share link
+const LINK_SOURCE = 'link';
+
+// Functional component for the "Compare Lineups" dialog
+// Shows two lineups side by side (the current lineup, a saved lineup or one from a share link),
+// highlights the paddlers who changed seat, changed side or moved between a boat and Unassigned,
+// and compares the balance of the boats when there are weights
+// Props:
+// - isOpen: Boolean, whether the dialog is visible
+// - onClose: Function, closes the dialog
+// - currentLineup: Object, the lineup on screen ({ boats, columns, tiles })
+// - savedLineups: Array, the saved lineups ({ id, name, boats, arrangement })
+const LineupCompareDialog = ({ isOpen, onClose, currentLineup, savedLineups }) => {
+  // State for the selected source of each side ('current', a saved lineup ID or 'link') and the pasted share links
+  const [sources, setSources] = useState({ a: 'current', b: savedLineups[0]?.id || 'current' });
+  const [links, setLinks] = useState({ a: '', b: '' });
+
+  if (!isOpen) return null;
+
+  // Returns the lineup of one side (null if a pasted link is empty or invalid)
+  const getLineup = (side) => {
+    if (sources[side] === 'current') return currentLineup;
+    if (sources[side] === LINK_SOURCE) return readSharedLineupFromLink(links[side]);
+    const savedLineup = savedLineups.find(saved => saved.id === sources[side]);
+    return savedLineup ? buildSavedLineup(savedLineup, currentLineup.tiles) : null;
+  };
+  const lineupA = getLineup('a');
+  const lineupB = getLineup('b');
+
+  // Paddlers of a share link have their own IDs, so they are matched by name
+  const matchBy = sources.a === LINK_SOURCE || sources.b === LINK_SOURCE ? 'name' : 'id';
+  const comparison = lineupA && lineupB ? compareLineups(lineupA, lineupB, matchBy) : null;
+  const showBalance = lineupA && lineupB && (hasWeightData(lineupA) || hasWeightData(lineupB));
+
+  // Returns the name of a position in a lineup, with the boat name when the lineup has more than one boat
+  const getPositionName = (lineup, positionId) => {
+    if (!positionId) return 'Not in lineup';
+    const boat = lineup.boats.length > 1 && lineup.boats.find(b => b.id === parsePositionId(positionId).boatId);
+    return boat ? `${boat.name} ${getPositionLabel(positionId)}` : getPositionLabel(positionId);
+  };
+
+  // Formats a weight difference as e.g. "+4 kg Left" (or "Even")
+  const formatDifference = (a, b, labelA, labelB) => {
+    const difference = Math.round((a - b) * 10) / 10;
+    if (difference === 0) return 'Even';
+    return `+${Math.abs(difference)} kg ${difference > 0 ? labelA : labelB}`;
+  };
+
+  // Tailwind classes for a seat cell
+  const seatClasses = `px-1 py-0.5 rounded border border-gray-200 text-xs truncate min-h-[22px]`;
+
+  // Renders one seat with its paddler, highlighted if the paddler changed
+  const renderSeat = (lineup, side, positionId) => {
+    const tileId = lineup.columns[positionId]?.tileIds[0];
+    const tile = tileId && lineup.tiles.find(t => t.id === tileId);
+    const kind = tile && comparison?.changeKindByTileId[side][tile.id];
+    return (
+      <div key={positionId} className={`${seatClasses} ${kind ? CHANGE_STYLES[kind].classes : 'bg-white'}`} title={getPositionLabel(positionId)}>
+        {tile ? tile.paddlerName : <span className="text-gray-300">-</span>}
+      </div>
+    );
+  };
+
+  // Renders one side of the comparison: the source picker and the lineup's boats and Unassigned column
+  const renderSide = (side, lineup) => (
+    <div className="flex-1 min-w-0">
+      <select
+        value={sources[side]}
+        onChange={(e) => setSources(prevSources => ({ ...prevSources, [side]: e.target.value }))}
+        className="w-full p-1 border rounded text-sm mb-2"
+        aria-label={side === 'a' ? 'First lineup' : 'Second lineup'}
+      >
+        <option value="current">Current lineup</option>
+        {savedLineups.map(saved => (
+          <option key={saved.id} value={saved.id}>Saved: {saved.name}</option>
+        ))}
+        <option value={LINK_SOURCE}>From a share link...</option>
+      </select>
+      {sources[side] === LINK_SOURCE && (
+        <input
+          type="text"
+          value={links[side]}
+          onChange={(e) => setLinks(prevLinks => ({ ...prevLinks, [side]: e.target.value }))}
+          placeholder="Paste a share link"
+          className="w-full p-1 border rounded text-sm mb-2"
+          aria-label={side === 'a' ? 'Share link of the first lineup' : 'Share link of the second lineup'}
+        />
+      )}
+
+      {!lineup ? (
+        <p className="text-sm text-gray-500">{sources[side] === LINK_SOURCE && links[side] ? 'This is not a valid share link.' : 'No lineup selected.'}</p>
+      ) : (
+        <div className="space-y-3">
+          {lineup.boats.map(boat => (
+            <div key={boat.id}>
+              <h4 className="text-sm font-semibold mb-1">{boat.name}</h4>
+              {/* Drummer, benches (left and right) and sweep, front to back */}
+              <div className="grid grid-cols-2 gap-0.5">
+                <div className="col-span-2">{renderSeat(lineup, side, generateDrummerPositionId(boat.id))}</div>
+                {Array.from({ length: getBenchCount(boat) }).flatMap((_, rowIndex) => [
+                  renderSeat(lineup, side, generateBenchPositionId(boat.id, rowIndex + 1, 'left')),
+                  renderSeat(lineup, side, generateBenchPositionId(boat.id, rowIndex + 1, 'right')),
+                ])}
+                <div className="col-span-2">{renderSeat(lineup, side, generateSweepPositionId(boat.id))}</div>
+              </div>
+            </div>
+          ))}
+          {/* Unassigned paddlers */}
+          <div>
+            <h4 className="text-sm font-semibold mb-1">Unassigned</h4>
+            <div className="flex flex-wrap gap-0.5">
+              {(lineup.columns[POSITIONS.UNASSIGNED]?.tileIds || []).map(tileId => {
+                const tile = lineup.tiles.find(t => t.id === tileId);
+                const kind = comparison?.changeKindByTileId[side][tileId];
+                return tile ? (
+                  <span key={tileId} className={`px-1 py-0.5 rounded border border-gray-200 text-xs ${kind ? CHANGE_STYLES[kind].classes : 'bg-white'}`}>
+                    {tile.paddlerName}
+                  </span>
+                ) : null;
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  // Renders the balance of both lineups for every boat that is in either of them
+  const renderBalance = () => {
+    const balanceA = calculateLineupBalance(lineupA);
+    const balanceB = calculateLineupBalance(lineupB);
+    const boatIds = [...new Set([...lineupA.boats, ...lineupB.boats].map(boat => boat.id))];
+    const getBoatName = (boatId) => [...lineupA.boats, ...lineupB.boats].find(boat => boat.id === boatId).name;
+    const describe = (balance) => balance
+      ? `${formatDifference(balance.left, balance.right, 'Left', 'Right')}, ${formatDifference(balance.front, balance.back, 'Front', 'Back')}`
+      : 'Not in lineup';
+
+    return (
+      <table className="w-full text-xs text-left mt-1">
+        <thead className="text-gray-600">
+          <tr>
+            <th className="py-1">Boat</th>
+            <th className="py-1">First lineup</th>
+            <th className="py-1">Second lineup</th>
+          </tr>
+        </thead>
+        <tbody>
+          {boatIds.map(boatId => (
+            <tr key={boatId} className="border-t border-gray-100">
+              <td className="py-1">{getBoatName(boatId)}</td>
+              <td className="py-1">{describe(balanceA[boatId])}</td>
+              <td className="py-1">{describe(balanceB[boatId])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  return (
+    // Backdrop - clicking it closes the dialog
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-20" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()} // Keep clicks inside the dialog from closing it
+        role="dialog"
+        aria-label="Compare lineups"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Compare Lineups</h2>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors" aria-label="Close">
+            <span className="material-icons">close</span>
+          </button>
+        </div>
+
+        {/* Legend for the highlights */}
+        <div className="flex flex-wrap gap-2 mb-3 text-xs">
+          {Object.values(CHANGE_STYLES).map(style => (
+            <span key={style.label} className={`px-1 rounded ${style.classes}`}>{style.label}</span>
+          ))}
+        </div>
+
+        {/* The two lineups side by side */}
+        <div className="flex gap-4 mb-4">
+          {renderSide('a', lineupA)}
+          {renderSide('b', lineupB)}
+        </div>
+
+        {/* Who moved */}
+        {comparison && (
+          <>
+            <h3 className="text-sm font-semibold mb-1">Changes ({comparison.changes.length})</h3>
+            {comparison.changes.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">Both lineups seat everyone in the same place.</p>
+            ) : (
+              <ul className="text-xs space-y-0.5 mb-4">
+                {comparison.changes.map(change => (
+                  <li key={change.key}>
+                    <span className={`px-1 rounded ${CHANGE_STYLES[change.kind].classes}`}>{change.paddlerName}</span>
+                    {' '}{getPositionName(lineupA, change.fromPositionId)} → {getPositionName(lineupB, change.toPositionId)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        {/* Balance differences, only when there are weights */}
+        {showBalance && (
+          <>
+            <h3 className="text-sm font-semibold">Balance</h3>
+            {renderBalance()}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LineupCompareDialog; // Export the component
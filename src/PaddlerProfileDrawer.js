@@ -0,0 +1,107 @@
+import React from 'react';
+import { SKILL_LEVELS, MAX_STRENGTH, getProfile } from './paddlerProfile';
+
+// Functional component for the paddler profile drawer
+// Slides in from the right when a tile is opened and shows the full profile of the paddler:
+// skill level, strength rating, years paddling and free-text notes, which can all be edited here
+// Props:
+// - tile: Object, the paddler whose profile is shown (null when the drawer is closed)
+// - seatText: String, where the paddler currently sits (e.g. "Boat 1 - Bench 3 Left")
+// - isReadOnly: Boolean, disables editing (e.g., while viewing a shared lineup)
+// - onClose: Function, closes the drawer
+// - onProfileChange: Function(id, field, value), changes one profile field of the paddler
+const PaddlerProfileDrawer = ({ tile, seatText, isReadOnly = false, onClose, onProfileChange }) => {
+  if (!tile) return null;
+
+  const profile = getProfile(tile);
+
+  // Tailwind classes for the labels and inputs of the profile fields
+  const labelClasses = `block text-xs text-gray-600 mb-1`;
+  const inputClasses = `w-full p-1 border rounded text-sm disabled:bg-gray-100`;
+
+  return (
+    // Backdrop - clicking it closes the drawer
+    <div className="fixed inset-0 bg-black bg-opacity-30 z-20" onClick={onClose}>
+      <aside
+        className="absolute top-0 right-0 h-full w-80 max-w-full bg-white shadow-lg p-6 overflow-y-auto"
+        onClick={(e) => e.stopPropagation()} // Keep clicks inside the drawer from closing it
+        role="dialog"
+        aria-label={`Profile of ${tile.paddlerName}`}
+      >
+        <div className="flex items-center justify-between mb-1">
+          <h2 className="text-lg font-semibold truncate">{tile.paddlerName}</h2>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors" aria-label="Close">
+            <span className="material-icons">close</span>
+          </button>
+        </div>
+
+        {/* Basic attributes, edited on the tile itself */}
+        <p className="text-xs text-gray-500 mb-4">
+          {seatText} · Preference: {tile.preference}{tile.weight != null ? ` · ${tile.weight} kg` : ''}
+        </p>
+
+        {/* Skill level */}
+        <div className="mb-3">
+          <label htmlFor="profile-skill" className={labelClasses}>Skill level</label>
+          <select
+            id="profile-skill"
+            value={profile.skill ?? ''}
+            onChange={(e) => onProfileChange(tile.id, 'skill', e.target.value || null)}
+            disabled={isReadOnly}
+            className={inputClasses}
+          >
+            <option value="">Not set</option>
+            {SKILL_LEVELS.map(level => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Strength rating from 1 to MAX_STRENGTH */}
+        <div className="mb-3">
+          <label htmlFor="profile-strength" className={labelClasses}>Strength (1-{MAX_STRENGTH})</label>
+          <input
+            id="profile-strength"
+            type="number"
+            min="1"
+            max={MAX_STRENGTH}
+            value={profile.strength ?? ''}
+            onChange={(e) => onProfileChange(tile.id, 'strength', e.target.value)}
+            disabled={isReadOnly}
+            className={inputClasses}
+          />
+        </div>
+
+        {/* Years paddling */}
+        <div className="mb-3">
+          <label htmlFor="profile-years" className={labelClasses}>Years paddling</label>
+          <input
+            id="profile-years"
+            type="number"
+            min="0"
+            value={profile.years ?? ''}
+            onChange={(e) => onProfileChange(tile.id, 'years', e.target.value)}
+            disabled={isReadOnly}
+            className={inputClasses}
+          />
+        </div>
+
+        {/* Free-text notes */}
+        <div className="mb-3">
+          <label htmlFor="profile-notes" className={labelClasses}>Notes</label>
+          <textarea
+            id="profile-notes"
+            rows="5"
+            value={profile.notes}
+            onChange={(e) => onProfileChange(tile.id, 'notes', e.target.value)}
+            disabled={isReadOnly}
+            placeholder="e.g., technique, injuries, goals"
+            className={inputClasses}
+          />
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default PaddlerProfileDrawer; // Export the component
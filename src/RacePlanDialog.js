@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { countRacesSeated, findShortRests } from './racePlan';
+
+// Functional component for the "Race Plan" dialog
+// Lets the coach build the ordered list of races of a regatta day (heats, semis, finals), each with its own lineup,
+// and shows how many races each paddler is seated in and who has too little rest between two races in a row
+// Props:
+// - isOpen: Boolean, whether the dialog is visible
+// - onClose: Function, closes the dialog
+// - racePlan: Object, { races, activeRaceId, minRestMinutes }
+// - tiles: Array, all paddlers (for the names in the load overview)
+// - onAddRace: Function(name), adds a race holding a copy of the current lineup and shows it
+// - onShowRace: Function(id), shows a race's lineup on the boats for editing
+// - onStopEditing: Function, keeps the lineup on screen but stops writing changes to the active race
+// - onUpdateRace: Function(id, changes), changes a race's name or start time
+// - onMoveRace: Function(id, offset), moves a race up (-1) or down (+1) in the order
+// - onDeleteRace: Function(id), deletes a race
+// - onMinRestChange: Function(minutes), changes the minimum rest between races
+const RacePlanDialog = ({ isOpen, onClose, racePlan, tiles, onAddRace, onShowRace, onStopEditing, onUpdateRace, onMoveRace, onDeleteRace, onMinRestChange }) => {
+  // State for the name of the race being added
+  const [newRaceName, setNewRaceName] = useState('');
+
+  if (!isOpen) return null;
+
+  const { races, activeRaceId, minRestMinutes } = racePlan;
+
+  // Handler for the Add button
+  const handleAdd = (event) => {
+    event.preventDefault();
+    const name = newRaceName.trim() || `Race ${races.length + 1}`;
+    onAddRace(name);
+    setNewRaceName('');
+  };
+
+  // Paddler load: races seated per paddler and the short rests, for everyone on the roster
+  const raceCounts = countRacesSeated(races);
+  const shortRests = findShortRests(races, minRestMinutes);
+  const getRaceName = (raceId) => races.find(race => race.id === raceId)?.name;
+  const rosterTiles = tiles
+    .filter(tile => !tile.archived)
+    .sort((a, b) => (raceCounts[b.id] || 0) - (raceCounts[a.id] || 0));
+
+  // Tailwind classes for the small action buttons
+  const actionButtonClasses = `p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors disabled:opacity-30`;
+
+  return (
+    // Backdrop - clicking it closes the dialog
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-20" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg max-h-[80vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()} // Keep clicks inside the dialog from closing it
+        role="dialog"
+        aria-label="Race plan"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Race Plan</h2>
+          <button onClick={onClose} className={actionButtonClasses} aria-label="Close">
+            <span className="material-icons">close</span>
+          </button>
+        </div>
+
+        {/* Add a race holding a copy of the lineup on screen */}
+        <form onSubmit={handleAdd} className="flex items-center gap-2 mb-2">
+          <input
+            type="text"
+            value={newRaceName}
+            onChange={(e) => setNewRaceName(e.target.value)}
+            placeholder={`Race name (e.g., Heat ${races.length + 1})`}
+            className="flex-1 p-1 border rounded text-sm"
+            aria-label="Race name"
+          />
+          <button type="submit" className="px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white text-sm">
+            Add race
+          </button>
+        </form>
+        <p className="text-xs text-gray-500 mb-4">A new race starts as a copy of the lineup on screen. The race shown on the boats is updated as you edit it.</p>
+
+        {/* The race currently shown on the boats */}
+        {activeRaceId && (
+          <div className="flex items-center justify-between text-sm bg-blue-50 border border-blue-200 rounded-md px-2 py-1 mb-4">
+            <span>Editing: {races.find(race => race.id === activeRaceId)?.name}</span>
+            <button onClick={onStopEditing} className="px-2 py-0.5 rounded-md bg-white border border-gray-300 hover:bg-gray-100 text-xs">Stop editing</button>
+          </div>
+        )}
+
+        {/* Ordered list of races */}
+        {races.length === 0 ? (
+          <div className="text-sm text-gray-500 mb-4">No races yet.</div>
+        ) : (
+          <ol className="space-y-1 mb-4">
+            {races.map((race, index) => (
+              <li key={race.id} className={`flex items-center gap-2 py-1 px-2 rounded ${race.id === activeRaceId ? 'bg-blue-50 border border-blue-200' : 'hover:bg-gray-50'}`}>
+                <span className="text-xs text-gray-500 w-4">{index + 1}.</span>
+                <input
+                  type="text"
+                  value={race.name}
+                  onChange={(e) => onUpdateRace(race.id, { name: e.target.value })}
+                  className="flex-1 min-w-0 p-1 border rounded text-sm"
+                  aria-label={`Name of race ${index + 1}`}
+                />
+                <input
+                  type="time"
+                  value={race.startTime}
+                  onChange={(e) => onUpdateRace(race.id, { startTime: e.target.value })}
+                  className="p-1 border rounded text-sm"
+                  aria-label={`Start time of ${race.name}`}
+                />
+                <div className="flex items-center shrink-0">
+                  <button onClick={() => onShowRace(race.id)} disabled={race.id === activeRaceId} className={actionButtonClasses} aria-label={`Show ${race.name}`} title="Show on the boats">
+                    <span className="material-icons" style={{ fontSize: '20px' }}>visibility</span>
+                  </button>
+                  <button onClick={() => onMoveRace(race.id, -1)} disabled={index === 0} className={actionButtonClasses} aria-label={`Move ${race.name} up`} title="Move up">
+                    <span className="material-icons" style={{ fontSize: '20px' }}>arrow_upward</span>
+                  </button>
+                  <button onClick={() => onMoveRace(race.id, 1)} disabled={index === races.length - 1} className={actionButtonClasses} aria-label={`Move ${race.name} down`} title="Move down">
+                    <span className="material-icons" style={{ fontSize: '20px' }}>arrow_downward</span>
+                  </button>
+                  <button onClick={() => onDeleteRace(race.id)} className={actionButtonClasses} aria-label={`Delete ${race.name}`} title="Delete">
+                    <span className="material-icons" style={{ fontSize: '20px' }}>delete</span>
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {/* Minimum rest between two races in a row */}
+        <div className="flex items-center gap-2 text-sm mb-4">
+          <label htmlFor="min-rest-minutes">Minimum rest between races:</label>
+          <input
+            id="min-rest-minutes"
+            type="number"
+            min="0"
+            step="5"
+            value={minRestMinutes}
+            onChange={(e) => onMinRestChange(Math.max(0, Number(e.target.value) || 0))}
+            className="w-16 p-1 border rounded text-sm"
+          />
+          <span>min</span>
+        </div>
+
+        {/* Paddler load */}
+        {races.length > 0 && (
+          <>
+            <h3 className="text-sm font-semibold mb-1">Paddler load</h3>
+            <table className="w-full text-xs text-left">
+              <thead className="text-gray-600">
+                <tr>
+                  <th className="py-1">Paddler</th>
+                  <th className="py-1">Races seated</th>
+                  <th className="py-1">Rest</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rosterTiles.map(tile => {
+                  const tileShortRests = shortRests.filter(rest => rest.tileId === tile.id);
+                  return (
+                    <tr key={tile.id} className="border-t border-gray-100">
+                      <td className="py-1">{tile.paddlerName}</td>
+                      <td className="py-1">{raceCounts[tile.id] || 0} of {races.length}</td>
+                      <td className="py-1">
+                        {tileShortRests.map(rest => (
+                          <div key={rest.raceId} className="text-orange-600 flex items-center">
+                            <span className="material-icons mr-1" style={{ fontSize: '14px' }}>warning</span>
+                            Only {rest.restMinutes} min between {getRaceName(rest.raceId)} and {getRaceName(rest.nextRaceId)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RacePlanDialog; // Export the component
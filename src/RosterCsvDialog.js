@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+
+// Functional component for the "Roster CSV" dialog
+// Lets the coach export the roster to a CSV file and import a roster from a CSV file (e.g., from the club spreadsheet)
+// Props:
+// - isOpen: Boolean, whether the dialog is visible
+// - onClose: Function, closes the dialog
+// - onExport: Function, downloads the roster as CSV
+// - onImport: Function(text), imports the CSV text and returns { importedCount, errors, cancelled }
+const RosterCsvDialog = ({ isOpen, onClose, onExport, onImport }) => {
+  // State for the result of the last import, shown as a report
+  const [importResult, setImportResult] = useState(null);
+
+  if (!isOpen) return null;
+
+  // Handler for choosing a CSV file to import
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      setImportResult(onImport(text));
+    } catch (error) {
+      console.error('Could not read the CSV file:', error);
+      setImportResult({ importedCount: 0, errors: [{ line: 0, message: 'The file could not be read.' }] });
+    }
+  };
+
+  // Closes the dialog and clears the report
+  const handleClose = () => {
+    setImportResult(null);
+    onClose();
+  };
+
+  return (
+    // Backdrop - clicking it closes the dialog
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-20" onClick={handleClose}>
+      <div
+        className="bg-white rounded-lg shadow-lg p-6 w-full max-w-md max-h-[80vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()} // Keep clicks inside the dialog from closing it
+        role="dialog"
+        aria-label="Roster CSV"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Roster CSV</h2>
+          <button onClick={handleClose} className="p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors" aria-label="Close">
+            <span className="material-icons">close</span>
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Columns: <code>name</code> (required), <code>preference</code>, <code>weight</code> and any extra columns.
+          Importing replaces the roster - paddlers with the same name keep their seats.
+        </p>
+
+        <div className="flex items-center gap-2 mb-4">
+          <button onClick={onExport} className="px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white text-sm">
+            Export CSV
+          </button>
+          {/* The file input is hidden behind a styled label */}
+          <label className="px-3 py-1 rounded-md bg-white border border-gray-300 hover:bg-gray-100 text-sm cursor-pointer">
+            Import CSV
+            <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" aria-label="Import CSV file" />
+          </label>
+        </div>
+
+        {/* Import report */}
+        {importResult && !importResult.cancelled && (
+          <div className="text-sm">
+            <div className="text-gray-800 mb-1">Imported {importResult.importedCount} paddlers.</div>
+            {importResult.errors.length > 0 && (
+              <>
+                <div className="text-orange-600 mb-1">{importResult.errors.length} rows were skipped:</div>
+                <ul className="list-disc pl-5 text-xs text-gray-700 space-y-0.5">
+                  {importResult.errors.map((error, index) => (
+                    <li key={index}>{error.line > 0 ? `Line ${error.line}: ` : ''}{error.message}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RosterCsvDialog; // Export the component
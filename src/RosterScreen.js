@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import { POSITIONS, AVAILABILITY } from './constants';
+import { getPositionLabel, parsePositionId } from './positions';
+
+// Functional component for the roster management screen (Sidebar "Home")
+// Lists every paddler in a table where all their attributes can be edited, and lets the coach
+// add new paddlers, archive (hide from the lineup but keep) or delete paddlers and set the preference of many paddlers at once.
+// All changes go straight to the tiles state, so the boat layout picks them up immediately.
+// Props:
+// - tiles: Array, all paddlers (archived paddlers have archived: true and no seat)
+// - boats: Array, the boats, used to show each paddler's seat
+// - preferenceOptions: Array, the preferences a paddler can have
+// - isReadOnly: Boolean, disables all editing (e.g., while viewing a shared lineup)
+// - onAddPaddler: Function, adds a new paddler to Unassigned
+// - onPaddlerNameChange / onPreferenceChange / onWeightChange: Function(id, value), edit one paddler
+// - onExtraChange: Function(id, column, value), edits an extra (CSV) column of one paddler
+// - onBulkPreferenceChange: Function(ids, preference), sets the preference of several paddlers
+// - onAvailabilityChange: Function(ids, availability), sets the availability of one or more paddlers for this session
+// - onNewSession: Function, marks everyone as available again
+// - onArchivePaddler / onRestorePaddler / onDeletePaddler: Function(id)
+const RosterScreen = ({
+  tiles, boats, preferenceOptions, isReadOnly = false,
+  onAddPaddler, onPaddlerNameChange, onPreferenceChange, onWeightChange, onExtraChange,
+  onBulkPreferenceChange, onAvailabilityChange, onNewSession, onArchivePaddler, onRestorePaddler, onDeletePaddler,
+}) => {
+  // State for the IDs of the paddlers ticked for a bulk edit
+  const [selectedIds, setSelectedIds] = useState([]);
+  // State for the preference applied by the bulk edit
+  const [bulkPreference, setBulkPreference] = useState(preferenceOptions[0]);
+  // State for the availability applied by the bulk edit
+  const [bulkAvailability, setBulkAvailability] = useState(AVAILABILITY.ABSENT);
+  // State for whether archived paddlers are listed
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Paddlers shown in the table (active ones first, archived ones last)
+  const visibleTiles = [
+    ...tiles.filter(tile => !tile.archived),
+    ...(showArchived ? tiles.filter(tile => tile.archived) : []),
+  ];
+  const archivedCount = tiles.filter(tile => tile.archived).length;
+  // Attendance for this session, counted over the active paddlers
+  const absentCount = tiles.filter(tile => !tile.archived && tile.availability === AVAILABILITY.ABSENT).length;
+  const maybeCount = tiles.filter(tile => !tile.archived && tile.availability === AVAILABILITY.MAYBE).length;
+
+  // Extra columns imported from CSV, in order of first appearance
+  const extraColumns = [];
+  tiles.forEach(tile => {
+    Object.keys(tile.extra || {}).forEach(column => {
+      if (!extraColumns.includes(column)) extraColumns.push(column);
+    });
+  });
+
+  // Only the visible paddlers can be selected
+  const visibleSelectedIds = selectedIds.filter(id => visibleTiles.some(tile => tile.id === id));
+  const isAllSelected = visibleTiles.length > 0 && visibleSelectedIds.length === visibleTiles.length;
+
+  // Ticks or unticks one paddler
+  const toggleSelected = (tileId) => {
+    setSelectedIds(prevIds => prevIds.includes(tileId) ? prevIds.filter(id => id !== tileId) : [...prevIds, tileId]);
+  };
+
+  // Ticks or unticks all visible paddlers
+  const toggleAllSelected = () => {
+    setSelectedIds(isAllSelected ? [] : visibleTiles.map(tile => tile.id));
+  };
+
+  // Applies the bulk preference to the ticked paddlers
+  const handleApplyBulkPreference = () => {
+    onBulkPreferenceChange(visibleSelectedIds, bulkPreference);
+    setSelectedIds([]);
+  };
+
+  // Applies the bulk availability to the ticked paddlers
+  const handleApplyBulkAvailability = () => {
+    onAvailabilityChange(visibleSelectedIds, bulkAvailability);
+    setSelectedIds([]);
+  };
+
+  // Returns where the paddler currently is, e.g. "Boat 1 - Bench 3 Left", "Unassigned" or "Archived"
+  const getSeatText = (tile) => {
+    if (tile.archived) return 'Archived';
+    if (!tile.positionId || tile.positionId === POSITIONS.UNASSIGNED) return 'Unassigned';
+    const boat = boats.find(b => b.id === parsePositionId(tile.positionId).boatId);
+    return `${boat ? boat.name : ''} - ${getPositionLabel(tile.positionId)}`;
+  };
+
+  // Tailwind classes for the table cells, inputs and small action buttons
+  const cellClasses = `px-2 py-1 border-b border-gray-200`;
+  const inputClasses = `p-0.5 rounded border border-gray-300 text-xs text-gray-800 w-full min-w-0 disabled:bg-gray-100`;
+  const availabilityLabels = { [AVAILABILITY.AVAILABLE]: 'Available', [AVAILABILITY.MAYBE]: 'Maybe', [AVAILABILITY.ABSENT]: 'Absent' };
+  const actionButtonClasses = `p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors disabled:opacity-40`;
+
+  return (
+    <div className="flex-grow p-4">
+      {/* Toolbar: add paddler, new session, show archived, bulk preference and availability edit */}
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <button onClick={onAddPaddler} disabled={isReadOnly} className="px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50 flex items-center">
+          <span className="material-icons mr-1" style={{ fontSize: '18px' }}>person_add</span>
+          Add Paddler
+        </button>
+        {/* A new practice session starts with everyone available */}
+        <button onClick={onNewSession} disabled={isReadOnly} className="px-3 py-1 rounded-md bg-white border border-gray-300 hover:bg-gray-100 disabled:opacity-50 flex items-center">
+          <span className="material-icons mr-1" style={{ fontSize: '18px' }}>event_available</span>
+          New Session
+        </button>
+        <span className="text-gray-600">{absentCount} absent, {maybeCount} maybe</span>
+        <label className="flex items-center text-gray-700">
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="mr-1" />
+          Show archived ({archivedCount})
+        </label>
+        {/* Bulk edit - only shown while paddlers are ticked */}
+        {visibleSelectedIds.length > 0 && !isReadOnly && (
+          <div className="flex items-center gap-2 bg-blue-50 border border-blue-200 rounded-md px-2 py-1">
+            <span>{visibleSelectedIds.length} selected - set preference to</span>
+            <select value={bulkPreference} onChange={(e) => setBulkPreference(e.target.value)} className="p-0.5 rounded border border-gray-300 text-xs" aria-label="Bulk preference">
+              {preferenceOptions.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <button onClick={handleApplyBulkPreference} className="px-2 py-0.5 rounded-md bg-blue-500 hover:bg-blue-600 text-white text-xs">Apply</button>
+            <span>or mark as</span>
+            <select value={bulkAvailability} onChange={(e) => setBulkAvailability(e.target.value)} className="p-0.5 rounded border border-gray-300 text-xs" aria-label="Bulk availability">
+              {Object.values(AVAILABILITY).map(option => (
+                <option key={option} value={option}>{availabilityLabels[option]}</option>
+              ))}
+            </select>
+            <button onClick={handleApplyBulkAvailability} className="px-2 py-0.5 rounded-md bg-blue-500 hover:bg-blue-600 text-white text-xs">Apply</button>
+          </div>
+        )}
+      </div>
+
+      {/* Roster table */}
+      <div className="overflow-x-auto bg-white border border-gray-300 rounded-md">
+        <table className="min-w-full text-xs text-left">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              <th className={cellClasses}>
+                <input type="checkbox" checked={isAllSelected} onChange={toggleAllSelected} disabled={isReadOnly} aria-label="Select all paddlers" />
+              </th>
+              <th className={cellClasses}>Name</th>
+              <th className={cellClasses}>Preference</th>
+              <th className={cellClasses}>Weight (kg)</th>
+              <th className={cellClasses}>Availability</th>
+              {extraColumns.map(column => (
+                <th key={column} className={cellClasses}>{column}</th>
+              ))}
+              <th className={cellClasses}>Seat</th>
+              <th className={cellClasses}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleTiles.map(tile => (
+              <tr key={tile.id} className={tile.archived ? 'text-gray-400 bg-gray-50' : ''}>
+                <td className={cellClasses}>
+                  <input
+                    type="checkbox"
+                    checked={visibleSelectedIds.includes(tile.id)}
+                    onChange={() => toggleSelected(tile.id)}
+                    disabled={isReadOnly}
+                    aria-label={`Select ${tile.paddlerName}`}
+                  />
+                </td>
+                <td className={cellClasses}>
+                  <input
+                    type="text"
+                    value={tile.paddlerName}
+                    onChange={(e) => onPaddlerNameChange(tile.id, e.target.value)}
+                    disabled={isReadOnly}
+                    className={inputClasses}
+                    aria-label="Name"
+                  />
+                </td>
+                <td className={cellClasses}>
+                  <select
+                    value={tile.preference}
+                    onChange={(e) => onPreferenceChange(tile.id, e.target.value)}
+                    disabled={isReadOnly}
+                    className={inputClasses}
+                    aria-label={`Preference of ${tile.paddlerName}`}
+                  >
+                    {preferenceOptions.map(option => (
+                      <option key={option} value={option}>{option}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className={cellClasses}>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={tile.weight ?? ''}
+                    onChange={(e) => onWeightChange(tile.id, e.target.value)}
+                    disabled={isReadOnly}
+                    className={`${inputClasses} w-20`}
+                    aria-label={`Weight of ${tile.paddlerName}`}
+                  />
+                </td>
+                <td className={cellClasses}>
+                  <select
+                    value={tile.availability || AVAILABILITY.AVAILABLE}
+                    onChange={(e) => onAvailabilityChange([tile.id], e.target.value)}
+                    disabled={isReadOnly || tile.archived}
+                    className={`${inputClasses} ${tile.availability === AVAILABILITY.ABSENT ? 'text-red-600' : tile.availability === AVAILABILITY.MAYBE ? 'text-yellow-700' : ''}`}
+                    aria-label={`Availability of ${tile.paddlerName}`}
+                  >
+                    {Object.values(AVAILABILITY).map(option => (
+                      <option key={option} value={option}>{availabilityLabels[option]}</option>
+                    ))}
+                  </select>
+                </td>
+                {extraColumns.map(column => (
+                  <td key={column} className={cellClasses}>
+                    <input
+                      type="text"
+                      value={tile.extra?.[column] ?? ''}
+                      onChange={(e) => onExtraChange(tile.id, column, e.target.value)}
+                      disabled={isReadOnly}
+                      className={inputClasses}
+                      aria-label={`${column} of ${tile.paddlerName}`}
+                    />
+                  </td>
+                ))}
+                <td className={`${cellClasses} whitespace-nowrap`}>{getSeatText(tile)}</td>
+                <td className={`${cellClasses} whitespace-nowrap`}>
+                  {/* Archive hides the paddler from the lineup but keeps them on the roster */}
+                  {tile.archived ? (
+                    <button onClick={() => onRestorePaddler(tile.id)} disabled={isReadOnly} className={actionButtonClasses} title="Restore" aria-label={`Restore ${tile.paddlerName}`}>
+                      <span className="material-icons" style={{ fontSize: '18px' }}>unarchive</span>
+                    </button>
+                  ) : (
+                    <button onClick={() => onArchivePaddler(tile.id)} disabled={isReadOnly} className={actionButtonClasses} title="Archive" aria-label={`Archive ${tile.paddlerName}`}>
+                      <span className="material-icons" style={{ fontSize: '18px' }}>archive</span>
+                    </button>
+                  )}
+                  <button onClick={() => onDeletePaddler(tile.id)} disabled={isReadOnly} className={actionButtonClasses} title="Delete" aria-label={`Delete ${tile.paddlerName}`}>
+                    <span className="material-icons" style={{ fontSize: '18px' }}>delete</span>
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {visibleTiles.length === 0 && (
+          <p className="text-sm text-gray-500 p-4">No paddlers yet. Use "Add Paddler" to start the roster.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RosterScreen; // Export the component
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { ROTATION_MODES, DEFAULT_SHIFT_BENCHES } from './rotation';
+
+// Labels of the rotation modes
+const MODE_LABELS = {
+  [ROTATION_MODES.SHIFT_BACK]: 'Shift everyone back',
+  [ROTATION_MODES.SWAP_SIDES]: 'Swap sides for two-sided paddlers (e.g. "Either")',
+  [ROTATION_MODES.SHIFT_AND_SWAP]: 'Shift back and swap sides',
+};
+
+// Functional component for the "Training Rotation" dialog
+// Generates a number of rotated lineups from the lineup on screen and lists them so the coach can step through them during practice
+// Props:
+// - isOpen: Boolean, whether the dialog is visible
+// - onClose: Function, closes the dialog
+// - rotation: Object, the generated rotation ({ steps, currentStep }) or null
+// - onGenerate: Function({ mode, count, shiftBenches }), generates the rotation from the lineup on screen
+// - onShowStep: Function(index), applies a step of the rotation to the boats (0 is the starting lineup)
+// - onEndRotation: Function, forgets the rotation (the lineup on screen stays)
+const RotationDialog = ({ isOpen, onClose, rotation, onGenerate, onShowStep, onEndRotation }) => {
+  // State for the rotation settings
+  const [mode, setMode] = useState(ROTATION_MODES.SHIFT_BACK);
+  const [count, setCount] = useState(4);
+  const [shiftBenches, setShiftBenches] = useState(DEFAULT_SHIFT_BENCHES);
+
+  if (!isOpen) return null;
+
+  // Handler for the Generate button
+  const handleGenerate = (event) => {
+    event.preventDefault();
+    onGenerate({ mode, count, shiftBenches });
+  };
+
+  // Tailwind classes for the labels and inputs of the settings
+  const labelClasses = `text-sm text-gray-700`;
+  const inputClasses = `p-1 border rounded text-sm`;
+
+  return (
+    // Backdrop - clicking it closes the dialog
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-20" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-lg p-6 w-full max-w-md max-h-[80vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()} // Keep clicks inside the dialog from closing it
+        role="dialog"
+        aria-label="Training rotation"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Training Rotation</h2>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors" aria-label="Close">
+            <span className="material-icons">close</span>
+          </button>
+        </div>
+
+        {/* Rotation settings */}
+        <form onSubmit={handleGenerate} className="space-y-2 mb-2">
+          <div className="flex items-center justify-between gap-2">
+            <label htmlFor="rotation-mode" className={labelClasses}>Rotation</label>
+            <select id="rotation-mode" value={mode} onChange={(e) => setMode(e.target.value)} className={inputClasses}>
+              {Object.values(ROTATION_MODES).map(value => (
+                <option key={value} value={value}>{MODE_LABELS[value]}</option>
+              ))}
+            </select>
+          </div>
+          {mode !== ROTATION_MODES.SWAP_SIDES && (
+            <div className="flex items-center justify-between gap-2">
+              <label htmlFor="rotation-shift" className={labelClasses}>Benches to shift back per step</label>
+              <input
+                id="rotation-shift"
+                type="number"
+                min="1"
+                max="11"
+                value={shiftBenches}
+                onChange={(e) => setShiftBenches(Math.max(1, Number(e.target.value) || 1))}
+                className={`${inputClasses} w-16`}
+              />
+            </div>
+          )}
+          <div className="flex items-center justify-between gap-2">
+            <label htmlFor="rotation-count" className={labelClasses}>Number of rotations</label>
+            <input
+              id="rotation-count"
+              type="number"
+              min="1"
+              max="20"
+              value={count}
+              onChange={(e) => setCount(Math.min(20, Math.max(1, Number(e.target.value) || 1)))}
+              className={`${inputClasses} w-16`}
+            />
+          </div>
+          <button type="submit" className="w-full px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white text-sm">
+            Generate from current lineup
+          </button>
+        </form>
+        <p className="text-xs text-gray-500 mb-4">The drummer and sweep keep their seats, and nobody is moved to a side their preference rules out.</p>
+
+        {/* Steps of the generated rotation */}
+        {rotation && (
+          <>
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-sm font-semibold">Steps</h3>
+              <button onClick={onEndRotation} className="px-2 py-0.5 rounded-md bg-white border border-gray-300 hover:bg-gray-100 text-xs">End rotation</button>
+            </div>
+            <ol className="space-y-1">
+              {rotation.steps.map((step, index) => (
+                <li key={index} className={`flex items-center justify-between py-1 px-2 rounded text-sm ${index === rotation.currentStep ? 'bg-blue-50 border border-blue-200' : 'hover:bg-gray-50'}`}>
+                  <span>{index === 0 ? 'Starting lineup' : `Rotation ${index}`}</span>
+                  <button
+                    onClick={() => onShowStep(index)}
+                    disabled={index === rotation.currentStep}
+                    className="p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors disabled:opacity-30"
+                    aria-label={index === 0 ? 'Show starting lineup' : `Show rotation ${index}`}
+                    title="Show on the boats"
+                  >
+                    <span className="material-icons" style={{ fontSize: '20px' }}>visibility</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RotationDialog; // Export the component
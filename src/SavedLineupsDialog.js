@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+
+// Functional component for the "Saved Lineups" dialog
+// Lets the coach save the current lineup under a name and list, load, rename and delete saved lineups
+// Props:
+// - isOpen: Boolean, whether the dialog is visible
+// - onClose: Function, closes the dialog
+// - savedLineups: Array, the saved lineups ({ id, name, savedAt })
+// - onSave: Function(name), saves the current lineup under the given name
+// - onLoad: Function(id), loads a saved lineup
+// - onRename: Function(id, name), renames a saved lineup
+// - onDelete: Function(id), deletes a saved lineup
+const SavedLineupsDialog = ({ isOpen, onClose, savedLineups, onSave, onLoad, onRename, onDelete }) => {
+  // State for the name of the lineup being saved
+  const [newLineupName, setNewLineupName] = useState('');
+  // State for the lineup currently being renamed (ID and draft name)
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameDraft, setRenameDraft] = useState('');
+
+  if (!isOpen) return null;
+
+  // Handler for the Save button
+  const handleSave = (event) => {
+    event.preventDefault();
+    const name = newLineupName.trim();
+    if (!name) return;
+    onSave(name);
+    setNewLineupName('');
+  };
+
+  // Starts renaming a saved lineup
+  const startRename = (lineup) => {
+    setRenamingId(lineup.id);
+    setRenameDraft(lineup.name);
+  };
+
+  // Finishes renaming (ignores empty names)
+  const finishRename = () => {
+    const name = renameDraft.trim();
+    if (name) onRename(renamingId, name);
+    setRenamingId(null);
+  };
+
+  // Tailwind classes for the small action buttons
+  const actionButtonClasses = `p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors`;
+
+  return (
+    // Backdrop - clicking it closes the dialog
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-20" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-lg p-6 w-full max-w-md max-h-[80vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()} // Keep clicks inside the dialog from closing it
+        role="dialog"
+        aria-label="Saved lineups"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Saved Lineups</h2>
+          <button onClick={onClose} className={actionButtonClasses} aria-label="Close">
+            <span className="material-icons">close</span>
+          </button>
+        </div>
+
+        {/* Save the current lineup */}
+        <form onSubmit={handleSave} className="flex items-center gap-2 mb-4">
+          <input
+            type="text"
+            value={newLineupName}
+            onChange={(e) => setNewLineupName(e.target.value)}
+            placeholder="Lineup name (e.g., 500m)"
+            className="flex-1 p-1 border rounded text-sm"
+            aria-label="Lineup name"
+          />
+          <button type="submit" className="px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white text-sm" disabled={!newLineupName.trim()}>
+            Save current
+          </button>
+        </form>
+
+        {/* List of saved lineups */}
+        {savedLineups.length === 0 ? (
+          <div className="text-sm text-gray-500">No saved lineups yet.</div>
+        ) : (
+          <ul className="space-y-1">
+            {savedLineups.map(lineup => (
+              <li key={lineup.id} className="flex items-center justify-between py-1 px-2 rounded hover:bg-gray-50">
+                {renamingId === lineup.id ? (
+                  <input
+                    type="text"
+                    value={renameDraft}
+                    onChange={(e) => setRenameDraft(e.target.value)}
+                    onBlur={finishRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRename();
+                      if (e.key === 'Escape') setRenamingId(null);
+                    }}
+                    className="flex-1 p-1 border rounded text-sm mr-2"
+                    aria-label="New lineup name"
+                    autoFocus
+                  />
+                ) : (
+                  <div className="flex flex-col">
+                    <span className="text-sm text-gray-800">{lineup.name}</span>
+                    <span className="text-xs text-gray-500">{new Date(lineup.savedAt).toLocaleString()}</span>
+                  </div>
+                )}
+                <div className="flex items-center shrink-0">
+                  <button onClick={() => onLoad(lineup.id)} className={actionButtonClasses} aria-label={`Load ${lineup.name}`} title="Load">
+                    <span className="material-icons" style={{ fontSize: '20px' }}>file_open</span>
+                  </button>
+                  <button onClick={() => startRename(lineup)} className={actionButtonClasses} aria-label={`Rename ${lineup.name}`} title="Rename">
+                    <span className="material-icons" style={{ fontSize: '20px' }}>edit</span>
+                  </button>
+                  <button onClick={() => onDelete(lineup.id)} className={actionButtonClasses} aria-label={`Delete ${lineup.name}`} title="Delete">
+                    <span className="material-icons" style={{ fontSize: '20px' }}>delete</span>
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavedLineupsDialog; // Export the component
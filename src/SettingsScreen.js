@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { SEAT_KINDS, NO_PREFERENCE } from './constants';
+
+// Column headers for the seat kinds, in the order they are shown
+const SEAT_KIND_LABELS = [
+  { seat: SEAT_KINDS.DRUMMER, label: 'Drummer' },
+  { seat: SEAT_KINDS.LEFT, label: 'Left bench' },
+  { seat: SEAT_KINDS.RIGHT, label: 'Right bench' },
+  { seat: SEAT_KINDS.SWEEP, label: 'Sweep' },
+];
+
+// Functional component for the Settings screen (Sidebar "Settings")
+// Lets the team configure its preference categories and which seats each category may occupy.
+// The tile dropdowns, the Unassigned filter, the seat warnings, Auto-assign and the CSV import all read this configuration.
+// Props:
+// - categories: Array, the preference categories ({ name, seats })
+// - tiles: Array, all paddlers (to show how many have each preference)
+// - isReadOnly: Boolean, disables all editing (e.g., while viewing a shared lineup)
+// - onAddCategory: Function(name), adds a category that may sit on either side of the benches
+// - onRenameCategory: Function(name, newName), renames a category (and the preference of its paddlers)
+// - onToggleSeat: Function(name, seat), allows or forbids a kind of seat for a category
+// - onDeleteCategory: Function(name), deletes a category (its paddlers get no preference)
+// - onResetCategories: Function, goes back to the default categories
+const SettingsScreen = ({ categories, tiles, isReadOnly = false, onAddCategory, onRenameCategory, onToggleSeat, onDeleteCategory, onResetCategories }) => {
+  // State for the name of the category being added
+  const [newCategoryName, setNewCategoryName] = useState('');
+  // State for the category names being edited (category name -> draft) and the last validation error
+  const [nameDrafts, setNameDrafts] = useState({});
+  const [error, setError] = useState('');
+
+  // Returns an error message if the name can't be used for a category (ignoring the category being renamed)
+  const validateName = (name, currentName = null) => {
+    if (!name) return 'A category needs a name.';
+    if (categories.some(category => category.name.toLowerCase() === name.toLowerCase() && category.name !== currentName)) {
+      return `There already is a category called "${name}".`;
+    }
+    return '';
+  };
+
+  // Handler for the Add button
+  const handleAdd = (event) => {
+    event.preventDefault();
+    const name = newCategoryName.trim();
+    const message = validateName(name);
+    setError(message);
+    if (message) return;
+    onAddCategory(name);
+    setNewCategoryName('');
+  };
+
+  // Finishes renaming a category when its name input loses focus (invalid names are reverted)
+  const finishRename = (category) => {
+    const draft = nameDrafts[category.name];
+    if (draft === undefined) return;
+    const name = draft.trim();
+    const message = name === category.name ? '' : validateName(name, category.name);
+    setError(message);
+    if (!message && name !== category.name) onRenameCategory(category.name, name);
+    setNameDrafts(({ [category.name]: _, ...otherDrafts }) => otherDrafts);
+  };
+
+  // Number of paddlers with each preference
+  const countByPreference = tiles.reduce((acc, tile) => {
+    acc[tile.preference] = (acc[tile.preference] || 0) + 1;
+    return acc;
+  }, {});
+
+  // Tailwind classes for the table cells and small action buttons
+  const cellClasses = `px-2 py-1 border-b border-gray-200`;
+  const actionButtonClasses = `p-1 rounded-full text-gray-600 hover:bg-gray-200 hover:text-gray-800 transition-colors disabled:opacity-40`;
+
+  return (
+    <div className="flex-grow p-4 max-w-3xl">
+      <h2 className="text-lg font-semibold mb-1">Preference Categories</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Choose the preferences paddlers can have and the seats each one may occupy.
+        Paddlers seated elsewhere get a warning, and Auto-assign only uses the allowed seats.
+      </p>
+
+      {/* Table of the categories with a checkbox per kind of seat */}
+      <div className="overflow-x-auto bg-white border border-gray-300 rounded-md mb-3">
+        <table className="min-w-full text-sm text-left">
+          <thead className="bg-gray-100 text-gray-700 text-xs">
+            <tr>
+              <th className={cellClasses}>Category</th>
+              {SEAT_KIND_LABELS.map(({ seat, label }) => (
+                <th key={seat} className={`${cellClasses} text-center`}>{label}</th>
+              ))}
+              <th className={cellClasses}>Paddlers</th>
+              <th className={cellClasses}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map(category => {
+              const isNoPreference = category.name === NO_PREFERENCE; // The "no preference" category can't be renamed or deleted
+              return (
+                <tr key={category.name}>
+                  <td className={cellClasses}>
+                    <input
+                      type="text"
+                      value={nameDrafts[category.name] ?? category.name}
+                      onChange={(e) => setNameDrafts(prevDrafts => ({ ...prevDrafts, [category.name]: e.target.value }))}
+                      onBlur={() => finishRename(category)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                      disabled={isReadOnly || isNoPreference}
+                      className="p-0.5 rounded border border-gray-300 text-sm w-32 disabled:bg-gray-100"
+                      aria-label={`Name of ${category.name}`}
+                      title={isNoPreference ? 'Paddlers without a preference' : undefined}
+                    />
+                  </td>
+                  {SEAT_KIND_LABELS.map(({ seat, label }) => (
+                    <td key={seat} className={`${cellClasses} text-center`}>
+                      <input
+                        type="checkbox"
+                        checked={category.seats.includes(seat)}
+                        onChange={() => onToggleSeat(category.name, seat)}
+                        disabled={isReadOnly}
+                        aria-label={`${category.name} may sit at ${label}`}
+                      />
+                    </td>
+                  ))}
+                  <td className={`${cellClasses} text-gray-600`}>{countByPreference[category.name] || 0}</td>
+                  <td className={cellClasses}>
+                    {!isNoPreference && (
+                      <button onClick={() => onDeleteCategory(category.name)} disabled={isReadOnly} className={actionButtonClasses} title="Delete" aria-label={`Delete ${category.name}`}>
+                        <span className="material-icons" style={{ fontSize: '18px' }}>delete</span>
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2" role="alert">{error}</p>}
+
+      {/* Add a category, or go back to the defaults */}
+      <div className="flex flex-wrap items-center gap-2">
+        <form onSubmit={handleAdd} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newCategoryName}
+            onChange={(e) => setNewCategoryName(e.target.value)}
+            placeholder="New category (e.g., Stroke)"
+            disabled={isReadOnly}
+            className="p-1 border rounded text-sm"
+            aria-label="New category name"
+          />
+          <button type="submit" disabled={isReadOnly} className="px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white text-sm disabled:opacity-50">
+            Add category
+          </button>
+        </form>
+        <button onClick={onResetCategories} disabled={isReadOnly} className="px-3 py-1 rounded-md bg-white border border-gray-300 hover:bg-gray-100 text-sm disabled:opacity-50">
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsScreen; // Export the component
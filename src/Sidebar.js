@@ -1,11 +1,18 @@
 import React, { useState } from 'react'; // Need useState for sub-menu state
+import { SECTIONS, VIEW_MODES } from './constants';
 
 // Functional component for a Material Design-inspired collapsible sidebar
-// Accepts props for expanded state, toggle function, and unassign all handler
-const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
+// Accepts props for expanded state, toggle function, unassign all, auto-assign, saved lineups, roster CSV, race plan, lineup comparison, training rotation and live collaboration handlers,
+// plus the list of boats, the handlers to add and remove boats, and the "Swap on Drop" and "Tap to Assign" settings with their toggles
+// currentSection and onNavigate select the screen shown next to the sidebar (Home opens the roster screen, Settings the settings screen)
+// The editing actions are hidden in read-only mode (isReadOnly)
+// The Account sub-menu switches between the coach edit mode and the read-only crew view (viewMode, onViewModeChange)
+const Sidebar = ({ isExpanded, toggleSidebar, isReadOnly = false, handleUnassignAll, handleAutoAssign, handleOpenSavedLineups, handleOpenRosterCsv, handleOpenRacePlan, handleOpenCompare, handleOpenRotation, handleOpenCollaboration, boats = [], handleAddBoat, handleRemoveBoat, swapOnDrop = true, handleToggleSwapOnDrop, tapToAssign = false, handleToggleTapToAssign, currentSection, onNavigate, viewMode = VIEW_MODES.COACH, onViewModeChange }) => {
 
   // State to manage whether the 'Edit Boats' sub-menu is open
   const [isEditBoatsSubMenuOpen, setIsEditBoatsSubMenuOpen] = useState(false);
+  // State to manage whether the 'Account' sub-menu is open
+  const [isAccountSubMenuOpen, setIsAccountSubMenuOpen] = useState(false);
 
   // Handler to toggle the 'Edit Boats' sub-menu
   const toggleEditBoatsSubMenu = () => {
@@ -15,6 +22,15 @@ const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
     }
   };
 
+  // Handler to toggle the 'Account' sub-menu (expands the sidebar first if it is collapsed)
+  const toggleAccountSubMenu = () => {
+    if (!isExpanded) {
+      toggleSidebar();
+    } else {
+      setIsAccountSubMenuOpen(!isAccountSubMenuOpen);
+    }
+  };
+
   // Handler for clicking a regular menu item
   // If sidebar is collapsed, expand it. Otherwise, perform the item's action.
   const handleMenuItemClick = (action) => {
@@ -23,11 +39,15 @@ const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
       toggleSidebar();
     } else {
       // If expanded, perform the action (e.g., navigate, open modal)
-      // For now, we'll just log the action name
       console.log(`Clicked on: ${action}`);
-      // Add specific logic here for each menu item if needed
-      // e.g., if (action === 'Home') { navigate('/home'); }
-      // e.g., if (action === 'Settings') { openSettingsModal(); }
+      if (action === 'Home') {
+        onNavigate(SECTIONS.ROSTER); // Home opens the roster management screen
+      } else if (action === 'Boat Layout') {
+        onNavigate(SECTIONS.BOAT_LAYOUT);
+      } else if (action === 'Settings') {
+        onNavigate(SECTIONS.SETTINGS); // Settings opens the preference categories screen
+      }
+      // Add specific logic here for the other menu items if needed
     }
   };
 
@@ -54,6 +74,9 @@ const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
   // transition-colors duration-150 ease-in-out: Smooth transition for background color changes
   const menuItemClasses = `flex items-center py-2 px-3 rounded-md text-gray-700 hover:bg-gray-200 active:bg-gray-300 cursor-pointer transition-colors duration-150 ease-in-out`;
 
+  // Returns the menu item classes, highlighted when the item's screen is the one shown
+  const getNavItemClasses = (section) => `${menuItemClasses} ${currentSection === section ? 'bg-gray-200 font-semibold' : ''}`;
+
   // Tailwind classes for sub-menu items
   // pl-4: Adds left padding to indent sub-items
   const subMenuItemClasses = `${menuItemClasses} pl-4`;
@@ -86,7 +109,8 @@ const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
       <nav className="flex flex-col space-y-2 mt-4"> {/* space-y-2: Adds vertical space between menu items */}
         {/* Home Menu Item */}
         {/* Call handleMenuItemClick with the action name */}
-        <div className={menuItemClasses} onClick={() => handleMenuItemClick('Home')}>
+        {/* Opens the roster management screen */}
+        <div className={getNavItemClasses(SECTIONS.ROSTER)} onClick={() => handleMenuItemClick('Home')} title="Roster">
           {/* Icon for Home - always show icon */}
           {/* mr-3: Margin right for spacing between icon and text when expanded */}
           <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>home</span> {/* 'home' icon */}
@@ -94,9 +118,16 @@ const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
           {isExpanded && <span>Home</span>}
         </div>
 
+        {/* Boat Layout Menu Item - back to the boats and the Unassigned column */}
+        <div className={getNavItemClasses(SECTIONS.BOAT_LAYOUT)} onClick={() => handleMenuItemClick('Boat Layout')}>
+          <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>rowing</span> {/* 'rowing' icon */}
+          {isExpanded && <span>Boat Layout</span>}
+        </div>
+
          {/* Edit Boats Menu Item (with sub-menu) */}
          {/* Call handleMenuItemClick with the action name AND toggle the sub-menu */}
          {/* Use a div for the main menu item that toggles the sub-menu */}
+        {!isReadOnly && (
         <div className={menuItemClasses} onClick={toggleEditBoatsSubMenu}>
            {/* Icon for Edit Boats - always show icon */}
            <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>edit</span> {/* 'edit' icon */}
@@ -109,9 +140,10 @@ const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
              </div>
            )}
         </div>
+        )}
 
-        {/* Sub-menu for Edit Boats - only show if sidebar is expanded AND sub-menu is open */}
-        {isExpanded && isEditBoatsSubMenuOpen && (
+        {/* Sub-menu for Edit Boats - only show if sidebar is expanded AND sub-menu is open (never in read-only mode) */}
+        {isExpanded && isEditBoatsSubMenuOpen && !isReadOnly && (
           <div className="flex flex-col space-y-1 ml-4 border-l border-gray-300 pl-4"> {/* Indent and add a visual separator */}
             {/* Sub-menu Item: Unassign All */}
             {/* Call handleUnassignAll directly */}
@@ -120,6 +152,72 @@ const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
               <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>delete</span> {/* Example icon for unassign */}
               <span>Unassign All</span> {/* Text label */}
             </div>
+            {/* Sub-menu Item: Auto-assign */}
+            {/* Fills the empty seats from the Unassigned column based on preferences */}
+            <div className={subMenuItemClasses} onClick={handleAutoAssign}>
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>auto_fix_high</span>
+              <span>Auto-assign</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Saved Lineups */}
+            {/* Opens the dialog to save, load, rename and delete named lineups */}
+            <div className={subMenuItemClasses} onClick={handleOpenSavedLineups}>
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>bookmarks</span>
+              <span>Saved Lineups</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Roster CSV */}
+            {/* Opens the dialog to import and export the roster as CSV */}
+            <div className={subMenuItemClasses} onClick={handleOpenRosterCsv}>
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>import_export</span>
+              <span>Roster CSV</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Race Plan */}
+            {/* Opens the dialog with the races of a regatta day, each with its own lineup */}
+            <div className={subMenuItemClasses} onClick={handleOpenRacePlan}>
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>flag</span>
+              <span>Race Plan</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Compare Lineups */}
+            {/* Opens the side-by-side comparison of two lineups */}
+            <div className={subMenuItemClasses} onClick={handleOpenCompare}>
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>compare_arrows</span>
+              <span>Compare Lineups</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Training Rotation */}
+            {/* Opens the dialog generating rotated lineups to step through during practice */}
+            <div className={subMenuItemClasses} onClick={handleOpenRotation}>
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>autorenew</span>
+              <span>Training Rotation</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Live Collaboration */}
+            {/* Opens the dialog joining a room where several devices edit the same lineup */}
+            <div className={subMenuItemClasses} onClick={handleOpenCollaboration}>
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>groups</span>
+              <span>Live Collaboration</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Swap on Drop toggle */}
+            {/* On: dropping onto an occupied seat swaps the two paddlers. Off: the occupant is moved to Unassigned */}
+            <div className={subMenuItemClasses} onClick={handleToggleSwapOnDrop} title="Hold Alt while dropping to do the opposite">
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>{swapOnDrop ? 'toggle_on' : 'toggle_off'}</span>
+              <span>Swap on Drop</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Tap to Assign toggle */}
+            {/* On: tap a paddler, then tap a seat or the Unassigned column to place them (easier than dragging on phones) */}
+            <div className={subMenuItemClasses} onClick={handleToggleTapToAssign} title="Tap a paddler, then tap a seat or the Unassigned column">
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>{tapToAssign ? 'toggle_on' : 'toggle_off'}</span>
+              <span>Tap to Assign</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Item: Add Boat */}
+            <div className={subMenuItemClasses} onClick={handleAddBoat}>
+              <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>add</span>
+              <span>Add Boat</span> {/* Text label */}
+            </div>
+            {/* Sub-menu Items: Remove each boat (only when there is more than one boat) */}
+            {boats.length > 1 && boats.map(boat => (
+              <div key={boat.id} className={subMenuItemClasses} onClick={() => handleRemoveBoat(boat.id)}>
+                <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>remove</span>
+                <span>Remove {boat.name}</span> {/* Text label */}
+              </div>
+            ))}
             {/* Add other sub-menu items under Edit Boats here */}
           </div>
         )}
@@ -127,22 +225,45 @@ const Sidebar = ({ isExpanded, toggleSidebar, handleUnassignAll }) => {
 
         {/* Settings Menu Item */}
         {/* Call handleMenuItemClick with the action name */}
-        <div className={menuItemClasses} onClick={() => handleMenuItemClick('Settings')}>
+        <div className={getNavItemClasses(SECTIONS.SETTINGS)} onClick={() => handleMenuItemClick('Settings')}>
            {/* Icon for Settings - always show icon */}
            <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>settings</span> {/* 'settings' icon */}
           {/* Conditional display: only show text when expanded */}
           {isExpanded && <span>Settings</span>}
         </div>
 
-         {/* Account Profile Menu Item */}
-         {/* Call handleMenuItemClick with the action name */}
-        <div className={menuItemClasses} onClick={() => handleMenuItemClick('Account')}>
+         {/* Account Profile Menu Item (with sub-menu) */}
+         {/* Toggles the sub-menu that switches between coach mode and crew view */}
+        <div className={menuItemClasses} onClick={toggleAccountSubMenu}>
            {/* Icon for Account Profile - always show icon */}
            <span className={`material-icons ${isExpanded ? 'mr-3' : ''}`}>person</span> {/* 'person' icon */}
           {/* Conditional display: only show text when expanded */}
-          {isExpanded && <span>Account</span>}
+          {isExpanded && (
+            <div className="flex-grow flex justify-between items-center">
+              <span>Account</span>
+              <span className={`material-icons transition-transform duration-200 ${isAccountSubMenuOpen ? 'rotate-90' : ''}`}>chevron_right</span>
+            </div>
+          )}
         </div>
 
+        {/* Sub-menu for Account - the view mode, the selected one is checked */}
+        {isExpanded && isAccountSubMenuOpen && (
+          <div className="flex flex-col space-y-1 ml-4 border-l border-gray-300 pl-4">
+            {/* Sub-menu Item: Coach Mode - drag tiles and edit paddlers */}
+            <div className={subMenuItemClasses} onClick={() => onViewModeChange(VIEW_MODES.COACH)} role="menuitemradio" aria-checked={viewMode === VIEW_MODES.COACH}>
+              <span className="material-icons mr-3">edit_note</span>
+              <span className="flex-grow">Coach Mode</span>
+              {viewMode === VIEW_MODES.COACH && <span className="material-icons text-blue-600" style={{ fontSize: '18px' }}>check</span>}
+            </div>
+            {/* Sub-menu Item: Crew View - read-only, highlights a chosen paddler's seat */}
+            <div className={subMenuItemClasses} onClick={() => onViewModeChange(VIEW_MODES.CREW)} role="menuitemradio" aria-checked={viewMode === VIEW_MODES.CREW}>
+              <span className="material-icons mr-3">visibility</span>
+              <span className="flex-grow">Crew View</span>
+              {viewMode === VIEW_MODES.CREW && <span className="material-icons text-blue-600" style={{ fontSize: '18px' }}>check</span>}
+            </div>
+          </div>
+        )}
+
         {/* Add more menu items as needed */}
       </nav>
     </div>
@@ -0,0 +1,111 @@
+import { POSITIONS, AVAILABILITY, SEAT_KINDS, NO_PREFERENCE, DEFAULT_PREFERENCE_CATEGORIES } from './constants';
+import { parsePositionId, generateDrummerPositionId, generateSweepPositionId } from './positions';
+
+// Automatic lineup generator
+// Fills the empty drummer, sweep and bench seats with paddlers from the Unassigned column,
+// respecting the seats each paddler's preference category may occupy (categories, see DEFAULT_PREFERENCE_CATEGORIES):
+// - Categories without a bench (e.g. 'Drummer', 'Sweep') take the drummer and sweep seats first
+// - One-sided categories (e.g. 'Left', 'Right') take the free benches on their side
+// - Two-sided categories (e.g. 'Either', 'Null') fill the remaining benches
+// Paddlers who find no free bench take a free drummer or sweep seat if their category allows it.
+// Paddlers who are already seated are left where they are, absent paddlers are never seated. Boats are filled in order.
+// Locked seats (lockedSeatIds) are never filled.
+// Returns the next columns state, a map of tile ID -> new position ID for the placed paddlers,
+// and a map of tile ID -> reason for every paddler that could not be placed.
+export const autoAssignLineup = (columns, getTileById, boats, categories = DEFAULT_PREFERENCE_CATEGORIES, lockedSeatIds = []) => {
+  // Copy the columns so the original state is not mutated
+  const nextColumns = Object.keys(columns).reduce((acc, columnId) => {
+    acc[columnId] = { ...columns[columnId], tileIds: [...columns[columnId].tileIds] };
+    return acc;
+  }, {});
+  const assignments = {}; // tile ID -> position ID
+  const reasons = {}; // tile ID -> reason the paddler stayed in Unassigned
+
+  // Returns true if the seat exists, is empty and is not locked
+  const isSeatFree = (columnId) => nextColumns[columnId] && nextColumns[columnId].tileIds.length === 0 && !lockedSeatIds.includes(columnId);
+
+  // Boat order, used to fill the first boat before the next one
+  const boatOrder = boats.map(boat => boat.id);
+
+  // Collect the free bench seats per side, ordered by boat and from the front (bench 1) to the back
+  const freeBenches = { left: [], right: [] };
+  Object.keys(nextColumns)
+    .map(columnId => ({ columnId, ...parsePositionId(columnId) }))
+    .filter(seat => seat.type === POSITIONS.BENCH && boatOrder.includes(seat.boatId) && isSeatFree(seat.columnId))
+    .sort((a, b) => boatOrder.indexOf(a.boatId) - boatOrder.indexOf(b.boatId) || a.row - b.row)
+    .forEach(seat => freeBenches[seat.side]?.push(seat.columnId));
+
+  // Places a tile into a seat and records the assignment
+  const seatTile = (tileId, columnId) => {
+    nextColumns[columnId].tileIds = [tileId];
+    assignments[tileId] = columnId;
+  };
+
+  // The unassigned paddlers, keeping their order in the Unassigned column, with the seats their preference allows
+  const unassignedTiles = (columns[POSITIONS.UNASSIGNED]?.tileIds || [])
+    .map(tileId => getTileById(tileId))
+    .filter(tile => tile && tile.availability !== AVAILABILITY.ABSENT)
+    .map(tile => ({ tile, seats: categories.find(category => category.name === (tile.preference || NO_PREFERENCE))?.seats }));
+  const benchSides = (seats) => seats.filter(seat => seat === SEAT_KINDS.LEFT || seat === SEAT_KINDS.RIGHT);
+  const specialSeats = (seats) => seats.filter(seat => seat === SEAT_KINDS.DRUMMER || seat === SEAT_KINDS.SWEEP);
+
+  // Seats a paddler in the first free drummer or sweep seat their preference allows (returns false if there is none)
+  const seatInSpecialSeat = (tile, seats) => {
+    const freeSeat = boatOrder
+      .flatMap(boatId => specialSeats(seats).map(seat => (seat === SEAT_KINDS.DRUMMER ? generateDrummerPositionId : generateSweepPositionId)(boatId)))
+      .find(isSeatFree);
+    if (freeSeat) seatTile(tile.id, freeSeat);
+    return Boolean(freeSeat);
+  };
+
+  // 1. Drummer and Sweep seats - only paddlers whose preference allows no bench take them
+  unassignedTiles
+    .filter(({ seats }) => seats && benchSides(seats).length === 0 && specialSeats(seats).length > 0)
+    .forEach(({ tile, seats }) => {
+      if (!seatInSpecialSeat(tile, seats)) {
+        reasons[tile.id] = `No free ${specialSeats(seats).join(' or ')} seat`;
+      }
+    });
+
+  // 2. One-sided paddlers take the free benches on their side first
+  unassignedTiles
+    .filter(({ seats }) => seats && benchSides(seats).length === 1)
+    .forEach(({ tile, seats }) => {
+      const side = benchSides(seats)[0];
+      if (freeBenches[side].length > 0) {
+        seatTile(tile.id, freeBenches[side].shift());
+      } else if (!seatInSpecialSeat(tile, seats)) {
+        reasons[tile.id] = `No free ${side} bench`;
+      }
+    });
+
+  // 3. Flexible paddlers fill the remaining benches, taking the side with more free seats in the current boat
+  unassignedTiles
+    .filter(({ seats }) => seats && benchSides(seats).length === 2)
+    .forEach(({ tile, seats }) => {
+      const currentBoatId = [...freeBenches.left, ...freeBenches.right]
+        .map(columnId => parsePositionId(columnId).boatId)
+        .sort((a, b) => boatOrder.indexOf(a) - boatOrder.indexOf(b))[0];
+      const freeInBoat = (side) => freeBenches[side].filter(columnId => parsePositionId(columnId).boatId === currentBoatId).length;
+      const side = freeInBoat('left') >= freeInBoat('right') ? 'left' : 'right';
+      if (freeBenches[side].length > 0) {
+        seatTile(tile.id, freeBenches[side].shift());
+      } else if (!seatInSpecialSeat(tile, seats)) {
+        reasons[tile.id] = 'No free bench';
+      }
+    });
+
+  // Anyone else (e.g., an unknown preference or a category without seats) stays unassigned with a reason
+  unassignedTiles.forEach(({ tile }) => {
+    if (!assignments[tile.id] && !reasons[tile.id]) {
+      reasons[tile.id] = `No seat matches preference '${tile.preference}'`;
+    }
+  });
+
+  // Remove the placed paddlers from the Unassigned column
+  if (nextColumns[POSITIONS.UNASSIGNED]) {
+    nextColumns[POSITIONS.UNASSIGNED].tileIds = nextColumns[POSITIONS.UNASSIGNED].tileIds.filter(tileId => !assignments[tileId]);
+  }
+
+  return { columns: nextColumns, assignments, reasons };
+};
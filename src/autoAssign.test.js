@@ -0,0 +1,103 @@
+import { autoAssignLineup } from './autoAssign';
+
+test('fills seats by preference and reports paddlers it cannot place', () => {
+  const tiles = [
+    { id: 'drummer-1', preference: 'Drummer' },
+    { id: 'drummer-2', preference: 'Drummer' },
+    { id: 'left-1', preference: 'Left' },
+    { id: 'left-2', preference: 'Left' },
+    { id: 'either-1', preference: 'Either' },
+  ];
+  const columns = {
+    unassigned: { tileIds: tiles.map(tile => tile.id) },
+    'boat-1:drummer': { tileIds: [] },
+    'boat-1:sweep': { tileIds: [] },
+    'boat-1:bench-1-left': { tileIds: [] },
+    'boat-1:bench-1-right': { tileIds: [] },
+  };
+  const boats = [{ id: 'boat-1', name: 'Boat 1' }];
+
+  const { columns: nextColumns, assignments, reasons } = autoAssignLineup(columns, id => tiles.find(tile => tile.id === id), boats);
+
+  expect(assignments).toEqual({
+    'drummer-1': 'boat-1:drummer',
+    'left-1': 'boat-1:bench-1-left',
+    'either-1': 'boat-1:bench-1-right',
+  });
+  expect(reasons).toEqual({
+    'drummer-2': 'No free drummer seat',
+    'left-2': 'No free left bench',
+  });
+  expect(nextColumns.unassigned.tileIds).toEqual(['drummer-2', 'left-2']);
+  expect(columns.unassigned.tileIds).toHaveLength(5); // The original columns are not mutated
+});
+
+test('fills the first boat before the next one', () => {
+  const tiles = [{ id: 'a', preference: 'Either' }, { id: 'b', preference: 'Either' }, { id: 'c', preference: 'Either' }];
+  const columns = {
+    unassigned: { tileIds: ['a', 'b', 'c'] },
+    'boat-1:bench-1-left': { tileIds: [] },
+    'boat-1:bench-1-right': { tileIds: [] },
+    'boat-2:bench-1-left': { tileIds: [] },
+    'boat-2:bench-1-right': { tileIds: [] },
+  };
+  const boats = [{ id: 'boat-1', name: 'Boat 1' }, { id: 'boat-2', name: 'Boat 2' }];
+
+  const { assignments } = autoAssignLineup(columns, id => tiles.find(tile => tile.id === id), boats);
+
+  expect(assignments).toEqual({
+    a: 'boat-1:bench-1-left',
+    b: 'boat-1:bench-1-right',
+    c: 'boat-2:bench-1-left',
+  });
+});
+
+test('never seats absent paddlers', () => {
+  const tiles = [{ id: 'a', preference: 'Either', availability: 'absent' }, { id: 'b', preference: 'Either', availability: 'maybe' }];
+  const columns = {
+    unassigned: { tileIds: ['a', 'b'] },
+    'boat-1:bench-1-left': { tileIds: [] },
+    'boat-1:bench-1-right': { tileIds: [] },
+  };
+
+  const { columns: nextColumns, assignments, reasons } = autoAssignLineup(columns, id => tiles.find(tile => tile.id === id), [{ id: 'boat-1', name: 'Boat 1' }]);
+
+  expect(assignments).toEqual({ b: 'boat-1:bench-1-left' });
+  expect(reasons).toEqual({});
+  expect(nextColumns.unassigned.tileIds).toEqual(['a']);
+});
+
+test('seats paddlers by the configured preference categories', () => {
+  const categories = [
+    { name: 'Null', seats: ['left', 'right'] },
+    { name: 'Caller', seats: ['drummer', 'right'] },
+    { name: 'Spare', seats: [] },
+  ];
+  const tiles = [{ id: 'a', preference: 'Caller' }, { id: 'b', preference: 'Caller' }, { id: 'c', preference: 'Spare' }];
+  const columns = {
+    unassigned: { tileIds: ['a', 'b', 'c'] },
+    'boat-1:drummer': { tileIds: [] },
+    'boat-1:bench-1-left': { tileIds: [] },
+    'boat-1:bench-1-right': { tileIds: [] },
+  };
+  const boats = [{ id: 'boat-1', name: 'Boat 1' }];
+
+  const { assignments, reasons } = autoAssignLineup(columns, id => tiles.find(tile => tile.id === id), boats, categories);
+
+  expect(assignments).toEqual({ a: 'boat-1:bench-1-right', b: 'boat-1:drummer' });
+  expect(reasons).toEqual({ c: "No seat matches preference 'Spare'" });
+});
+
+test('never fills locked seats', () => {
+  const tiles = [{ id: 'a', preference: 'Either' }];
+  const columns = {
+    unassigned: { tileIds: ['a'] },
+    'boat-1:bench-1-left': { tileIds: [] },
+    'boat-1:bench-1-right': { tileIds: [] },
+  };
+  const boats = [{ id: 'boat-1', name: 'Boat 1' }];
+
+  const { assignments } = autoAssignLineup(columns, id => tiles.find(tile => tile.id === id), boats, undefined, ['boat-1:bench-1-left']);
+
+  expect(assignments).toEqual({ a: 'boat-1:bench-1-right' });
+});
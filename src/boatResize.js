@@ -0,0 +1,34 @@
+import { POSITIONS } from './constants';
+import { buildEmptyColumns, getBenchCount, getBoatPositionIds } from './positions';
+
+// Changes the number of benches of a boat
+// - New benches get empty seats, existing seats keep their paddlers
+// - Paddlers sitting in removed benches are added to the end of the Unassigned column (nobody is lost)
+// - Locks on removed benches are given back in unlockedSeatIds, so they can be dropped (a regrown bench doesn't come back locked)
+// Returns { boat, columns, tiles, unlockedSeatIds } (copies, the given state is not changed) or null if the bench count doesn't change
+export const resizeBoat = (boat, benchCount, columns, tiles, lockedSeatIds = []) => {
+  if (benchCount === getBenchCount(boat)) return null;
+  const resizedBoat = { ...boat, benchCount };
+
+  // Compare the boat's seats before and after the change
+  const newPositionIds = getBoatPositionIds(resizedBoat);
+  const removedPositionIds = getBoatPositionIds(boat).filter(positionId => !newPositionIds.includes(positionId));
+  const displacedTileIds = removedPositionIds.flatMap(positionId => columns[positionId]?.tileIds || []);
+
+  // Remove the dropped benches and add empty zones for the new ones (existing seats keep their tiles)
+  const nextColumns = { ...buildEmptyColumns([resizedBoat]), ...columns };
+  removedPositionIds.forEach(positionId => delete nextColumns[positionId]);
+  nextColumns[POSITIONS.UNASSIGNED] = {
+    ...columns[POSITIONS.UNASSIGNED],
+    tileIds: [...columns[POSITIONS.UNASSIGNED].tileIds, ...displacedTileIds],
+  };
+
+  const nextTiles = tiles.map(tile => displacedTileIds.includes(tile.id) ? { ...tile, positionId: POSITIONS.UNASSIGNED } : tile);
+
+  return {
+    boat: resizedBoat,
+    columns: nextColumns,
+    tiles: nextTiles,
+    unlockedSeatIds: lockedSeatIds.filter(seatId => removedPositionIds.includes(seatId)),
+  };
+};
@@ -0,0 +1,60 @@
+import { resizeBoat } from './boatResize';
+import { buildEmptyColumns } from './positions';
+
+const boat = { id: 'boat-1', name: 'Boat 1', benchCount: 3 };
+
+const buildState = () => {
+  const columns = buildEmptyColumns([boat]);
+  columns.unassigned.tileIds = ['u'];
+  columns['boat-1:bench-1-left'].tileIds = ['a'];
+  columns['boat-1:bench-3-left'].tileIds = ['b'];
+  columns['boat-1:bench-3-right'].tileIds = ['c'];
+  const tiles = [
+    { id: 'u', positionId: 'unassigned' },
+    { id: 'a', positionId: 'boat-1:bench-1-left' },
+    { id: 'b', positionId: 'boat-1:bench-3-left' },
+    { id: 'c', positionId: 'boat-1:bench-3-right' },
+  ];
+  return { columns, tiles };
+};
+
+test('paddlers in removed benches go back to Unassigned', () => {
+  const { columns, tiles } = buildState();
+
+  const resized = resizeBoat(boat, 2, columns, tiles);
+
+  expect(resized.boat).toEqual({ ...boat, benchCount: 2 });
+  expect(resized.columns['boat-1:bench-3-left']).toBeUndefined();
+  expect(resized.columns['boat-1:bench-3-right']).toBeUndefined();
+  expect(resized.columns['boat-1:bench-1-left'].tileIds).toEqual(['a']);
+  expect(resized.columns['boat-1:sweep']).toBeDefined();
+  expect(resized.columns.unassigned.tileIds).toEqual(['u', 'b', 'c']);
+  expect(resized.tiles.map(tile => tile.positionId)).toEqual(['unassigned', 'boat-1:bench-1-left', 'unassigned', 'unassigned']);
+  expect(columns['boat-1:bench-3-left'].tileIds).toEqual(['b']); // The given state is not changed
+});
+
+test('locks on removed benches are dropped, other locks stay', () => {
+  const { columns, tiles } = buildState();
+
+  const resized = resizeBoat(boat, 1, columns, tiles, ['boat-1:bench-1-left', 'boat-1:bench-3-left', 'boat-1:bench-2-right']);
+
+  expect(resized.unlockedSeatIds).toEqual(['boat-1:bench-3-left', 'boat-1:bench-2-right']);
+});
+
+test('added benches are empty and existing seats keep their paddlers', () => {
+  const { columns, tiles } = buildState();
+
+  const resized = resizeBoat(boat, 5, columns, tiles);
+
+  expect(resized.columns['boat-1:bench-5-right'].tileIds).toEqual([]);
+  expect(resized.columns['boat-1:bench-3-right'].tileIds).toEqual(['c']);
+  expect(resized.columns.unassigned.tileIds).toEqual(['u']);
+  expect(resized.unlockedSeatIds).toEqual([]);
+});
+
+test('nothing changes when the bench count stays the same', () => {
+  const { columns, tiles } = buildState();
+
+  expect(resizeBoat(boat, 3, columns, tiles)).toBeNull();
+  expect(resizeBoat({ id: 'boat-1', name: 'Boat 1' }, 10, columns, tiles)).toBeNull(); // The default bench count
+});
@@ -0,0 +1,69 @@
+import { POSITIONS } from './constants';
+import { parsePositionId, getBoatPositionIds } from './positions';
+
+// Moves a group of selected tiles together (multi-select drag)
+// - Dropped on a seat: the tiles fill the empty seats of that boat in seat order
+//   (drummer, bench 1 left, bench 1 right, ..., sweep), starting at the drop target.
+//   Seats held by the moving tiles count as empty. The drummer and sweep seats are only used when they are the drop target.
+//   Tiles that don't fit stay where they are (or go to Unassigned if their seat was taken by the group).
+//   Locked seats (lockedSeatIds) are skipped.
+// - Dropped on Unassigned: the tiles are added to the end of the Unassigned column, in group order.
+// Returns the next columns state, a map of tile ID -> new position ID for the moved tiles,
+// and the IDs of the tiles that did not get a seat.
+export const bulkMoveTiles = (columns, tileIds, destinationId, boats, lockedSeatIds = []) => {
+  const movingIds = new Set(tileIds);
+  const assignments = {}; // tile ID -> position ID
+
+  // Removes the given tiles from every column (copying only the columns that change)
+  const removeTiles = (idsToRemove) => Object.keys(columns).reduce((acc, columnId) => {
+    const column = columns[columnId];
+    acc[columnId] = column.tileIds.some(id => idsToRemove.includes(id))
+      ? { ...column, tileIds: column.tileIds.filter(id => !idsToRemove.includes(id)) }
+      : column;
+    return acc;
+  }, {});
+
+  // Dropped on Unassigned: everyone goes to the end of the list
+  if (destinationId === POSITIONS.UNASSIGNED) {
+    const nextColumns = removeTiles(tileIds);
+    nextColumns[POSITIONS.UNASSIGNED] = {
+      ...nextColumns[POSITIONS.UNASSIGNED],
+      tileIds: [...nextColumns[POSITIONS.UNASSIGNED].tileIds, ...tileIds],
+    };
+    tileIds.forEach(tileId => { assignments[tileId] = POSITIONS.UNASSIGNED; });
+    return { columns: nextColumns, assignments, unplacedTileIds: [] };
+  }
+
+  // Dropped on a seat: collect the free seats from the drop target onwards
+  const boat = boats.find(b => b.id === parsePositionId(destinationId).boatId);
+  const seatIds = boat ? getBoatPositionIds(boat) : [];
+  const startIndex = seatIds.indexOf(destinationId);
+  if (startIndex === -1) {
+    return { columns, assignments, unplacedTileIds: [...tileIds] };
+  }
+  const freeSeatIds = seatIds
+    .slice(startIndex)
+    .filter((seatId, index) => index === 0 || parsePositionId(seatId).type === POSITIONS.BENCH)
+    .filter(seatId => columns[seatId] && !lockedSeatIds.includes(seatId) && columns[seatId].tileIds.every(id => movingIds.has(id)));
+
+  const placedTileIds = tileIds.slice(0, freeSeatIds.length);
+  const unplacedTileIds = tileIds.slice(freeSeatIds.length);
+
+  const nextColumns = removeTiles(placedTileIds);
+  placedTileIds.forEach((tileId, index) => {
+    const seatId = freeSeatIds[index];
+    // A moving tile that did not fit but sat in this seat makes room and goes to Unassigned
+    const displacedTileIds = nextColumns[seatId].tileIds;
+    if (displacedTileIds.length > 0) {
+      nextColumns[POSITIONS.UNASSIGNED] = {
+        ...nextColumns[POSITIONS.UNASSIGNED],
+        tileIds: [...nextColumns[POSITIONS.UNASSIGNED].tileIds, ...displacedTileIds],
+      };
+      displacedTileIds.forEach(displacedId => { assignments[displacedId] = POSITIONS.UNASSIGNED; });
+    }
+    nextColumns[seatId] = { ...nextColumns[seatId], tileIds: [tileId] };
+    assignments[tileId] = seatId;
+  });
+
+  return { columns: nextColumns, assignments, unplacedTileIds };
+};
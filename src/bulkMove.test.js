@@ -0,0 +1,63 @@
+import { bulkMoveTiles } from './bulkMove';
+
+const boats = [{ id: 'boat-1', name: 'Boat 1', benchCount: 3 }];
+
+const buildColumns = (seats) => ({
+  unassigned: { id: 'unassigned', tileIds: seats.unassigned || [] },
+  'boat-1:drummer': { id: 'boat-1:drummer', tileIds: [] },
+  'boat-1:bench-1-left': { id: 'boat-1:bench-1-left', tileIds: [] },
+  'boat-1:bench-1-right': { id: 'boat-1:bench-1-right', tileIds: [] },
+  'boat-1:bench-2-left': { id: 'boat-1:bench-2-left', tileIds: [] },
+  'boat-1:bench-2-right': { id: 'boat-1:bench-2-right', tileIds: [] },
+  'boat-1:bench-3-left': { id: 'boat-1:bench-3-left', tileIds: [] },
+  'boat-1:bench-3-right': { id: 'boat-1:bench-3-right', tileIds: [] },
+  'boat-1:sweep': { id: 'boat-1:sweep', tileIds: [] },
+  ...Object.keys(seats).filter(id => id !== 'unassigned').reduce((acc, id) => {
+    acc[id] = { id, tileIds: seats[id] };
+    return acc;
+  }, {}),
+});
+
+test('fills consecutive empty benches from the drop target and skips occupied ones', () => {
+  const columns = buildColumns({ unassigned: ['a', 'b', 'c', 'x'], 'boat-1:bench-2-right': ['y'] });
+
+  const { columns: nextColumns, assignments, unplacedTileIds } = bulkMoveTiles(columns, ['a', 'b', 'c'], 'boat-1:bench-2-left', boats);
+
+  expect(assignments).toEqual({
+    a: 'boat-1:bench-2-left',
+    b: 'boat-1:bench-3-left',
+    c: 'boat-1:bench-3-right',
+  });
+  expect(unplacedTileIds).toEqual([]);
+  expect(nextColumns['boat-1:bench-2-right'].tileIds).toEqual(['y']);
+  expect(nextColumns.unassigned.tileIds).toEqual(['x']);
+});
+
+test('leaves the tiles that do not fit where they are and never uses the sweep seat', () => {
+  const columns = buildColumns({ unassigned: ['a', 'b', 'c'] });
+
+  const { columns: nextColumns, assignments, unplacedTileIds } = bulkMoveTiles(columns, ['a', 'b', 'c'], 'boat-1:bench-3-left', boats);
+
+  expect(assignments).toEqual({ a: 'boat-1:bench-3-left', b: 'boat-1:bench-3-right' });
+  expect(unplacedTileIds).toEqual(['c']);
+  expect(nextColumns.unassigned.tileIds).toEqual(['c']);
+  expect(nextColumns['boat-1:sweep'].tileIds).toEqual([]);
+});
+
+test('moves the whole group to the end of Unassigned', () => {
+  const columns = buildColumns({ unassigned: ['x'], 'boat-1:drummer': ['a'], 'boat-1:bench-1-left': ['b'] });
+
+  const { columns: nextColumns, assignments } = bulkMoveTiles(columns, ['b', 'a'], 'unassigned', boats);
+
+  expect(nextColumns.unassigned.tileIds).toEqual(['x', 'b', 'a']);
+  expect(nextColumns['boat-1:drummer'].tileIds).toEqual([]);
+  expect(assignments).toEqual({ a: 'unassigned', b: 'unassigned' });
+});
+
+test('skips locked seats', () => {
+  const columns = buildColumns({ unassigned: ['a', 'b'] });
+
+  const { assignments } = bulkMoveTiles(columns, ['a', 'b'], 'boat-1:bench-1-left', boats, ['boat-1:bench-1-right']);
+
+  expect(assignments).toEqual({ a: 'boat-1:bench-1-left', b: 'boat-1:bench-2-left' });
+});
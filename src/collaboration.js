@@ -0,0 +1,77 @@
+// Messages and helpers for live collaboration: sessions editing the same lineup send every change
+// to a sync server (server/syncServer.js), which passes it on to the other sessions in the same room
+// Every message is a JSON object with a type:
+// - 'join' (session -> server): { room, user: { id, name } } - enter a room (a lineup edited together)
+// - 'welcome' (server -> session): { lineup, revision, users } - the room's latest lineup (null for the first session),
+//   its revision and who is in the room
+// - 'presence' (server -> sessions): { users } - who is in the room, sent whenever someone joins or leaves
+// - 'lineup' (session -> server): { lineup, baseRevision } - the lineup ({ boats, tiles, columns }) after a change,
+//   and the revision of the room's lineup the change was made on
+// - 'lineup' (server -> sessions): { lineup, revision, user } - someone else's change, with the room's new revision
+// - 'ack' (server -> session): { revision } - the session's change was accepted and is the room's lineup at this revision
+// - 'rejected' (server -> session): { lineup, revision, user } - the session's change was not accepted because someone
+//   else (user) changed the lineup first (or it was not a lineup), with the room's current lineup instead
+// A session sends one change at a time and waits for its 'ack' or 'rejected' before sending the next one.
+
+import { POSITIONS } from './constants';
+
+// Types of the messages
+export const COLLAB_MESSAGE_TYPES = {
+  JOIN: 'join',
+  WELCOME: 'welcome',
+  PRESENCE: 'presence',
+  LINEUP: 'lineup',
+  ACK: 'ack',
+  REJECTED: 'rejected',
+};
+
+// State of the connection to the sync server
+export const COLLAB_STATUS = {
+  OFF: 'off', // Not collaborating
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected', // In the room, changes are sent and received
+  DISCONNECTED: 'disconnected', // Connection lost, trying again
+};
+
+// Address of the sync server when it runs on this computer (npm run sync-server)
+export const DEFAULT_SYNC_SERVER_URL = 'ws://localhost:8787';
+
+// Returns a new ID for the user of this session (every open tab is its own user)
+export const createUserId = () => `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Serializes a message for the sync server
+export const createMessage = (type, payload = {}) => JSON.stringify({ type, ...payload });
+
+// Parses a message from the sync server, or returns null if it is not a valid message
+export const parseMessage = (data) => {
+  try {
+    const message = JSON.parse(data);
+    return message && Object.values(COLLAB_MESSAGE_TYPES).includes(message.type) ? message : null;
+  } catch (error) {
+    return null; // Not JSON
+  }
+};
+
+// Returns true if a value is an object (not null or an array)
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Returns true if a lineup received from another session can be applied: every boat has an ID and a name,
+// every tile an ID, a paddler name and a position ID (null for archived paddlers), and every column
+// (Unassigned included) lists tile IDs. A broken lineup would crash the render for everyone in the room.
+export const isValidLineup = (lineup) => isPlainObject(lineup)
+  && Array.isArray(lineup.boats) && lineup.boats.every(boat => isPlainObject(boat) && typeof boat.id === 'string' && typeof boat.name === 'string')
+  && Array.isArray(lineup.tiles) && lineup.tiles.every(tile => isPlainObject(tile) && typeof tile.id === 'string'
+    && typeof tile.paddlerName === 'string' && (typeof tile.positionId === 'string' || tile.positionId === null))
+  && isPlainObject(lineup.columns) && isPlainObject(lineup.columns[POSITIONS.UNASSIGNED])
+  && Object.values(lineup.columns).every(column => isPlainObject(column) && Array.isArray(column.tileIds)
+    && column.tileIds.every(tileId => typeof tileId === 'string'));
+
+// Describes who else is in the room, e.g. "Alex is also editing", "Alex and Sam are also editing",
+// "Alex, Sam and 2 others are also editing" (or "Nobody else is editing")
+export const describePresence = (users, selfId) => {
+  const names = users.filter(user => user.id !== selfId).map(user => user.name || 'Someone');
+  if (names.length === 0) return 'Nobody else is editing';
+  if (names.length === 1) return `${names[0]} is also editing`;
+  if (names.length <= 3) return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are also editing`;
+  return `${names.slice(0, 2).join(', ')} and ${names.length - 2} others are also editing`;
+};
@@ -0,0 +1,47 @@
+import { COLLAB_MESSAGE_TYPES, createMessage, parseMessage, isValidLineup, describePresence } from './collaboration';
+
+test('round-trips a message and rejects unknown or broken ones', () => {
+  const lineup = { boats: [], tiles: [], columns: { unassigned: { id: 'unassigned', tileIds: [] } } };
+  const message = parseMessage(createMessage(COLLAB_MESSAGE_TYPES.LINEUP, { lineup }));
+
+  expect(message).toEqual({ type: 'lineup', lineup });
+  expect(parseMessage(JSON.stringify({ type: 'unknown' }))).toBeNull();
+  expect(parseMessage('not json')).toBeNull();
+});
+
+test('accepts only lineups with boats, tiles and columns', () => {
+  const columns = { unassigned: { id: 'unassigned', tileIds: [] } };
+  expect(isValidLineup({ boats: [], tiles: [], columns })).toBe(true);
+  expect(isValidLineup({ boats: [], tiles: [] })).toBe(false);
+  expect(isValidLineup({ boats: [], tiles: [], columns: {} })).toBe(false); // No Unassigned column
+  expect(isValidLineup(null)).toBe(false);
+});
+
+test('rejects lineups with malformed boats, tiles or columns', () => {
+  const lineup = {
+    boats: [{ id: 'boat-1', name: 'Boat 1' }],
+    tiles: [
+      { id: 'tile-0', paddlerName: 'Alex', positionId: 'boat-1:drummer' },
+      { id: 'tile-1', paddlerName: 'Sam', positionId: null }, // Archived
+    ],
+    columns: { unassigned: { id: 'unassigned', tileIds: [] }, 'boat-1:drummer': { id: 'boat-1:drummer', tileIds: ['tile-0'] } },
+  };
+  expect(isValidLineup(lineup)).toBe(true);
+
+  expect(isValidLineup({ ...lineup, boats: [{ name: 'Boat 1' }] })).toBe(false);
+  expect(isValidLineup({ ...lineup, tiles: [{ paddlerName: 'Alex', positionId: 'unassigned' }] })).toBe(false);
+  expect(isValidLineup({ ...lineup, tiles: [{ id: 'tile-0', paddlerName: 'Alex', positionId: 3 }] })).toBe(false);
+  expect(isValidLineup({ ...lineup, tiles: [{ id: 'tile-0', positionId: 'unassigned' }] })).toBe(false);
+  expect(isValidLineup({ ...lineup, tiles: [null] })).toBe(false);
+  expect(isValidLineup({ ...lineup, columns: { ...lineup.columns, 'boat-1:sweep': { id: 'boat-1:sweep' } } })).toBe(false);
+  expect(isValidLineup({ ...lineup, columns: { ...lineup.columns, unassigned: { id: 'unassigned', tileIds: 'tile-1' } } })).toBe(false);
+});
+
+test('describes who else is editing, leaving out the own session', () => {
+  const users = [{ id: 'me', name: 'Coach' }, { id: 'a', name: 'Alex' }, { id: 'b', name: 'Sam' }, { id: 'c', name: '' }, { id: 'd', name: 'Kim' }];
+
+  expect(describePresence(users.slice(0, 1), 'me')).toBe('Nobody else is editing');
+  expect(describePresence(users.slice(0, 2), 'me')).toBe('Alex is also editing');
+  expect(describePresence(users.slice(0, 4), 'me')).toBe('Alex, Sam and Someone are also editing');
+  expect(describePresence(users, 'me')).toBe('Alex, Sam and 2 others are also editing');
+});
@@ -5,4 +5,44 @@ export const POSITIONS = {
     BENCH: 'bench',
 };
 
-export const PREFERENCE_OPTIONS = ['Null', 'Left', 'Right', 'Either'];
\ No newline at end of file
+// Kinds of seat a preference category may occupy (the two sides of the benches, the drummer and the sweep)
+export const SEAT_KINDS = {
+    DRUMMER: 'drummer',
+    SWEEP: 'sweep',
+    LEFT: 'left',
+    RIGHT: 'right',
+};
+
+// Preference of paddlers who have none set (always a category, it can't be renamed or removed)
+export const NO_PREFERENCE = 'Null';
+
+// Default preference categories and the seats each may occupy, in the order they are listed
+// The team can change them on the Settings screen (stored with the settings)
+export const DEFAULT_PREFERENCE_CATEGORIES = [
+    { name: NO_PREFERENCE, seats: [SEAT_KINDS.LEFT, SEAT_KINDS.RIGHT] },
+    { name: 'Left', seats: [SEAT_KINDS.LEFT] },
+    { name: 'Right', seats: [SEAT_KINDS.RIGHT] },
+    { name: 'Either', seats: [SEAT_KINDS.LEFT, SEAT_KINDS.RIGHT] },
+    { name: 'Sweep', seats: [SEAT_KINDS.SWEEP] },
+    { name: 'Drummer', seats: [SEAT_KINDS.DRUMMER] },
+];
+
+// Screens of the app, selected from the Sidebar (the name is shown in the AppBar)
+export const SECTIONS = {
+    BOAT_LAYOUT: 'Boat Layout',
+    ROSTER: 'Roster',
+    SETTINGS: 'Settings',
+};
+
+// Availability of a paddler for the current practice session (paddlers without one are available)
+export const AVAILABILITY = {
+    AVAILABLE: 'available',
+    MAYBE: 'maybe',
+    ABSENT: 'absent',
+};
+
+// Who is using the app: the coach edits the lineup, the crew view only shows it (and where a chosen paddler sits)
+export const VIEW_MODES = {
+    COACH: 'coach',
+    CREW: 'crew',
+};
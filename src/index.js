@@ -1,15 +1,32 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
-import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { restoreFromBackup } from './storage';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// Restore anything the browser dropped from localStorage before the app reads it
+// (App reads the stored lineup as soon as it is imported, so it is only imported afterwards)
+// The app starts even if the backup can't be read
+restoreFromBackup()
+  .catch(error => console.error('Could not restore from the IndexedDB backup:', error))
+  .then(() => import('./App'))
+  .then(({ default: App }) => {
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  })
+  .catch(error => {
+    console.error('Could not load the app:', error);
+    root.render(<p className="p-4">Dragonboaty could not be loaded. Please reload the page.</p>);
+  });
+
+// Cache the app shell so the app can be installed and opened offline
+serviceWorkerRegistration.register();
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -0,0 +1,98 @@
+import { POSITIONS } from './constants';
+import { parsePositionId, buildEmptyColumns, DEFAULT_BOATS } from './positions';
+import { applyArrangement, migrateArrangement } from './lineupUtils';
+import { calculateBoatBalance } from './BalancePanel';
+
+// Helpers for comparing two lineups side by side
+// A lineup here is the { boats, columns, tiles } state - the current lineup, a saved lineup applied to the roster,
+// or a lineup decoded from a share link.
+
+// Kinds of change of a paddler between the two lineups
+export const CHANGE_KINDS = {
+  SEAT: 'seat', // Seated in both lineups, but in a different seat (same side)
+  SIDE: 'side', // Seated on a bench in both lineups, but on the other side
+  BOAT_UNASSIGNED: 'boat-unassigned', // Seated in one lineup and unassigned (or missing) in the other
+};
+
+// Builds the { boats, columns, tiles } lineup of a saved lineup, using the paddlers of the current roster
+export const buildSavedLineup = (savedLineup, tiles) => {
+  // Lineups saved before multiple boats existed only have the first boat
+  const boats = savedLineup.boats || DEFAULT_BOATS;
+  const arrangement = savedLineup.boats ? savedLineup.arrangement : migrateArrangement(savedLineup.arrangement);
+  return { boats, ...applyArrangement(arrangement, buildEmptyColumns(boats), tiles) };
+};
+
+// Returns the key a paddler is matched by between the lineups
+// Saved lineups share tile IDs with the roster, share links don't - their paddlers are matched by name
+const getPaddlerKey = (tile, matchBy) => (matchBy === 'name' ? (tile.paddlerName || '').trim().toLowerCase() : tile.id);
+
+// Returns a map of paddler key -> { tile, positionId } for the paddlers in a lineup's columns
+const getPlacements = (lineup, matchBy) => {
+  const placements = {};
+  Object.keys(lineup.columns).forEach(columnId => {
+    lineup.columns[columnId].tileIds.forEach(tileId => {
+      const tile = lineup.tiles.find(t => t.id === tileId);
+      if (tile) placements[getPaddlerKey(tile, matchBy)] = { tile, positionId: columnId };
+    });
+  });
+  return placements;
+};
+
+// Returns how a paddler changed between two positions (one of CHANGE_KINDS, or null if unchanged)
+// A missing position counts as unassigned
+export const getChangeKind = (fromPositionId, toPositionId) => {
+  const isFromSeated = Boolean(fromPositionId) && fromPositionId !== POSITIONS.UNASSIGNED;
+  const isToSeated = Boolean(toPositionId) && toPositionId !== POSITIONS.UNASSIGNED;
+  if (!isFromSeated && !isToSeated) return null;
+  if (isFromSeated !== isToSeated) return CHANGE_KINDS.BOAT_UNASSIGNED;
+  if (fromPositionId === toPositionId) return null;
+  const from = parsePositionId(fromPositionId);
+  const to = parsePositionId(toPositionId);
+  if (from.type === POSITIONS.BENCH && to.type === POSITIONS.BENCH && from.side !== to.side) return CHANGE_KINDS.SIDE;
+  return CHANGE_KINDS.SEAT;
+};
+
+// Compares two lineups
+// matchBy: 'id' to match paddlers by tile ID, 'name' to match them by name (when one lineup comes from a share link)
+// Returns { changes, changeKindByTileId }
+// - changes: [{ key, paddlerName, fromPositionId, toPositionId, kind }] for every paddler who changed, in seat order of lineup A (then lineup B)
+// - changeKindByTileId: { a: { tileId -> kind }, b: { tileId -> kind } } for highlighting the paddlers in each lineup
+export const compareLineups = (lineupA, lineupB, matchBy = 'id') => {
+  const placementsA = getPlacements(lineupA, matchBy);
+  const placementsB = getPlacements(lineupB, matchBy);
+  const keys = [...new Set([...Object.keys(placementsA), ...Object.keys(placementsB)])];
+
+  const changes = [];
+  const changeKindByTileId = { a: {}, b: {} };
+  keys.forEach(key => {
+    const placementA = placementsA[key];
+    const placementB = placementsB[key];
+    const kind = getChangeKind(placementA?.positionId, placementB?.positionId);
+    if (!kind) return;
+    changes.push({
+      key,
+      paddlerName: (placementA || placementB).tile.paddlerName,
+      fromPositionId: placementA?.positionId ?? null,
+      toPositionId: placementB?.positionId ?? null,
+      kind,
+    });
+    if (placementA) changeKindByTileId.a[placementA.tile.id] = kind;
+    if (placementB) changeKindByTileId.b[placementB.tile.id] = kind;
+  });
+
+  return { changes, changeKindByTileId };
+};
+
+// Returns whether any seated paddler in the lineup has a weight (balance is only compared when one does)
+export const hasWeightData = (lineup) => lineup.tiles.some(tile =>
+  tile.positionId && tile.positionId !== POSITIONS.UNASSIGNED && Number(tile.weight) > 0
+);
+
+// Calculates the balance of every boat of a lineup ({ boatId -> balance }, see calculateBoatBalance)
+export const calculateLineupBalance = (lineup) => {
+  const getTileById = (id) => lineup.tiles.find(tile => tile.id === id);
+  return lineup.boats.reduce((acc, boat) => {
+    acc[boat.id] = calculateBoatBalance(lineup.columns, getTileById, boat.id);
+    return acc;
+  }, {});
+};
@@ -0,0 +1,56 @@
+import { compareLineups, getChangeKind, CHANGE_KINDS } from './lineupCompare';
+
+const boats = [{ id: 'boat-1', name: 'Boat 1', benchCount: 2 }];
+
+const buildLineup = (arrangement, tiles) => ({
+  boats,
+  tiles: tiles.map(tile => ({
+    ...tile,
+    positionId: Object.keys(arrangement).find(positionId => arrangement[positionId].includes(tile.id)) ?? null,
+  })),
+  columns: Object.keys(arrangement).reduce((acc, positionId) => {
+    acc[positionId] = { id: positionId, tileIds: arrangement[positionId] };
+    return acc;
+  }, {}),
+});
+
+const roster = [
+  { id: 'a', paddlerName: 'Ann' },
+  { id: 'b', paddlerName: 'Ben' },
+  { id: 'c', paddlerName: 'Cat' },
+  { id: 'd', paddlerName: 'Dan' },
+];
+
+test('classifies the change between two positions', () => {
+  expect(getChangeKind('boat-1:bench-1-left', 'boat-1:bench-1-left')).toBeNull();
+  expect(getChangeKind('unassigned', null)).toBeNull();
+  expect(getChangeKind('boat-1:bench-1-left', 'boat-1:bench-2-left')).toBe(CHANGE_KINDS.SEAT);
+  expect(getChangeKind('boat-1:bench-1-left', 'boat-1:drummer')).toBe(CHANGE_KINDS.SEAT);
+  expect(getChangeKind('boat-1:bench-1-left', 'boat-1:bench-1-right')).toBe(CHANGE_KINDS.SIDE);
+  expect(getChangeKind('boat-1:sweep', 'unassigned')).toBe(CHANGE_KINDS.BOAT_UNASSIGNED);
+});
+
+test('lists the paddlers who changed seat, side, or moved between boat and Unassigned', () => {
+  const lineupA = buildLineup({ unassigned: ['d'], 'boat-1:drummer': ['a'], 'boat-1:bench-1-left': ['b'], 'boat-1:bench-2-left': ['c'] }, roster);
+  const lineupB = buildLineup({ unassigned: ['c'], 'boat-1:drummer': ['a'], 'boat-1:bench-1-right': ['b'], 'boat-1:bench-2-left': ['d'] }, roster);
+
+  const { changes, changeKindByTileId } = compareLineups(lineupA, lineupB);
+
+  expect(changes).toEqual([
+    { key: 'd', paddlerName: 'Dan', fromPositionId: 'unassigned', toPositionId: 'boat-1:bench-2-left', kind: CHANGE_KINDS.BOAT_UNASSIGNED },
+    { key: 'b', paddlerName: 'Ben', fromPositionId: 'boat-1:bench-1-left', toPositionId: 'boat-1:bench-1-right', kind: CHANGE_KINDS.SIDE },
+    { key: 'c', paddlerName: 'Cat', fromPositionId: 'boat-1:bench-2-left', toPositionId: 'unassigned', kind: CHANGE_KINDS.BOAT_UNASSIGNED },
+  ]);
+  expect(changeKindByTileId.a).toEqual({ b: 'side', c: 'boat-unassigned', d: 'boat-unassigned' });
+});
+
+test('matches paddlers by name when the tile IDs differ', () => {
+  const lineupA = buildLineup({ unassigned: [], 'boat-1:drummer': ['a'] }, [roster[0]]);
+  const lineupB = buildLineup({ unassigned: [], 'boat-1:sweep': ['tile-0'] }, [{ id: 'tile-0', paddlerName: ' ann ' }]);
+
+  expect(compareLineups(lineupA, lineupB, 'name').changes).toEqual([
+    { key: 'ann', paddlerName: 'Ann', fromPositionId: 'boat-1:drummer', toPositionId: 'boat-1:sweep', kind: CHANGE_KINDS.SEAT },
+  ]);
+  expect(compareLineups(lineupA, lineupB, 'id').changes.map(change => change.kind))
+    .toEqual([CHANGE_KINDS.BOAT_UNASSIGNED, CHANGE_KINDS.BOAT_UNASSIGNED]);
+});
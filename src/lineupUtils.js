@@ -0,0 +1,89 @@
+import { POSITIONS } from './constants';
+import { DEFAULT_BOATS, buildEmptyColumns, migrateLegacyPositionId } from './positions';
+
+// Helpers for converting between the columns state and a plain seat arrangement
+// An arrangement maps every position ID to the tile IDs in it, e.g.
+// { 'boat-1:drummer': ['tile-0'], 'boat-1:bench-1-left': ['tile-2'], unassigned: ['tile-5', 'tile-6'] }
+
+// Extracts the arrangement from the columns state
+export const getArrangement = (columns) =>
+  Object.keys(columns).reduce((acc, columnId) => {
+    acc[columnId] = [...columns[columnId].tileIds];
+    return acc;
+  }, {});
+
+// Applies an arrangement to the current columns and tiles
+// - Tiles that no longer exist in the roster (or are archived) are skipped
+// - Position IDs that no longer exist in the columns are skipped
+// - Single-seat zones keep at most one tile
+// - Any tile not placed by the arrangement ends up in the Unassigned column
+// Returns the next { columns, tiles } state
+export const applyArrangement = (arrangement, columns, tiles) => {
+  const tileIds = new Set(tiles.filter(tile => !tile.archived).map(tile => tile.id));
+  const placedTileIds = new Set();
+  const positionByTileId = {};
+
+  // Start from empty columns
+  const nextColumns = Object.keys(columns).reduce((acc, columnId) => {
+    acc[columnId] = { ...columns[columnId], tileIds: [] };
+    return acc;
+  }, {});
+
+  // Place the seated tiles first, then the unassigned ones in their saved order
+  const columnIds = Object.keys(arrangement).sort((a, b) =>
+    (a === POSITIONS.UNASSIGNED) - (b === POSITIONS.UNASSIGNED)
+  );
+  columnIds.forEach(columnId => {
+    if (!nextColumns[columnId]) return;
+    const capacity = columnId === POSITIONS.UNASSIGNED ? Infinity : 1;
+    (arrangement[columnId] || []).forEach(tileId => {
+      if (!tileIds.has(tileId) || placedTileIds.has(tileId)) return;
+      if (nextColumns[columnId].tileIds.length >= capacity) return;
+      nextColumns[columnId].tileIds.push(tileId);
+      placedTileIds.add(tileId);
+      positionByTileId[tileId] = columnId;
+    });
+  });
+
+  // Everyone left over goes to Unassigned
+  tiles.forEach(tile => {
+    if (!tile.archived && !placedTileIds.has(tile.id)) {
+      nextColumns[POSITIONS.UNASSIGNED].tileIds.push(tile.id);
+      positionByTileId[tile.id] = POSITIONS.UNASSIGNED;
+    }
+  });
+
+  const nextTiles = tiles.map(tile => ({ ...tile, positionId: positionByTileId[tile.id] ?? null }));
+
+  return { columns: nextColumns, tiles: nextTiles };
+};
+
+// Returns a copy of an arrangement in which the locked seats keep the tiles they hold in the current columns
+// (a tile kept in a locked seat is taken out of wherever the arrangement had put it)
+// Locked seats the arrangement doesn't have (e.g., on a boat the arrangement has no seats for) are left out
+export const keepLockedSeats = (arrangement, columns, lockedSeatIds) => {
+  const lockedSeats = lockedSeatIds.filter(seatId => arrangement[seatId] && columns[seatId]);
+  const keptTileIds = new Set(lockedSeats.flatMap(seatId => columns[seatId].tileIds));
+  return Object.keys(arrangement).reduce((acc, columnId) => {
+    acc[columnId] = lockedSeats.includes(columnId)
+      ? [...columns[columnId].tileIds]
+      : arrangement[columnId].filter(tileId => !keptTileIds.has(tileId));
+    return acc;
+  }, {});
+};
+
+// Converts an arrangement saved before boats existed ('drummer', 'bench-1-left') to seats of the first boat
+export const migrateArrangement = (arrangement) =>
+  Object.keys(arrangement).reduce((acc, positionId) => {
+    acc[migrateLegacyPositionId(positionId)] = arrangement[positionId];
+    return acc;
+  }, {});
+
+// Upgrades a stored lineup ({ tiles, columns }) saved before boats existed to a single-boat lineup
+// Returns the { boats, columns, tiles } state (lineups that already have boats are returned unchanged)
+export const migrateLineup = (lineup) => {
+  if (lineup.boats) return lineup;
+  const boats = DEFAULT_BOATS;
+  const arrangement = migrateArrangement(getArrangement(lineup.columns));
+  return { boats, ...applyArrangement(arrangement, buildEmptyColumns(boats), lineup.tiles) };
+};
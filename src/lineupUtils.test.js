@@ -0,0 +1,63 @@
+import { getArrangement, applyArrangement, migrateArrangement, keepLockedSeats } from './lineupUtils';
+import { DEFAULT_BOATS, buildEmptyColumns } from './positions';
+
+const tiles = [
+  { id: 'a', paddlerName: 'A', positionId: 'boat-1:drummer' },
+  { id: 'b', paddlerName: 'B', positionId: 'boat-1:bench-1-left' },
+  { id: 'c', paddlerName: 'C', positionId: 'unassigned' },
+  { id: 'd', paddlerName: 'D', positionId: 'unassigned' },
+];
+
+test('a saved arrangement loads back into the same seats', () => {
+  const columns = buildEmptyColumns(DEFAULT_BOATS);
+  columns['boat-1:drummer'].tileIds = ['a'];
+  columns['boat-1:bench-1-left'].tileIds = ['b'];
+  columns.unassigned.tileIds = ['d', 'c'];
+  const saved = JSON.parse(JSON.stringify(getArrangement(columns))); // Stored as JSON
+
+  const emptied = tiles.map(tile => ({ ...tile, positionId: 'unassigned' }));
+  const { columns: loadedColumns, tiles: loadedTiles } = applyArrangement(saved, buildEmptyColumns(DEFAULT_BOATS), emptied);
+
+  expect(loadedColumns).toEqual(columns);
+  expect(loadedTiles.map(tile => tile.positionId)).toEqual(['boat-1:drummer', 'boat-1:bench-1-left', 'unassigned', 'unassigned']);
+});
+
+test('loading skips paddlers who left the roster and seats that no longer exist, newcomers are unassigned', () => {
+  const saved = { 'boat-1:drummer': ['gone'], 'boat-1:bench-1-left': ['a'], 'boat-1:bench-12-left': ['b'], unassigned: ['c'] };
+  const roster = [...tiles, { id: 'e', paddlerName: 'E', positionId: 'unassigned', archived: true }];
+
+  const { columns, tiles: loadedTiles } = applyArrangement(saved, buildEmptyColumns(DEFAULT_BOATS), roster);
+
+  expect(columns['boat-1:drummer'].tileIds).toEqual([]);
+  expect(columns['boat-1:bench-1-left'].tileIds).toEqual(['a']);
+  expect(columns.unassigned.tileIds).toEqual(['c', 'b', 'd']);
+  expect(loadedTiles.find(tile => tile.id === 'e').positionId).toBeNull(); // Archived paddlers stay off the boat
+});
+
+test('a lineup saved before boats existed loads into the first boat', () => {
+  const legacy = { drummer: ['a'], sweep: ['c'], 'bench-1-left': ['b'], unassigned: ['d'] };
+
+  const arrangement = migrateArrangement(legacy);
+  const { columns } = applyArrangement(arrangement, buildEmptyColumns(DEFAULT_BOATS), tiles);
+
+  expect(arrangement).toEqual({ 'boat-1:drummer': ['a'], 'boat-1:sweep': ['c'], 'boat-1:bench-1-left': ['b'], unassigned: ['d'] });
+  expect(columns['boat-1:drummer'].tileIds).toEqual(['a']);
+  expect(columns['boat-1:sweep'].tileIds).toEqual(['c']);
+  expect(columns['boat-1:bench-1-left'].tileIds).toEqual(['b']);
+  expect(columns.unassigned.tileIds).toEqual(['d']);
+});
+
+test('keeps the current paddlers of locked seats when applying another arrangement', () => {
+  const columns = {
+    unassigned: { id: 'unassigned', tileIds: ['c'] },
+    'boat-1:drummer': { id: 'boat-1:drummer', tileIds: ['a'] },
+    'boat-1:sweep': { id: 'boat-1:sweep', tileIds: ['b'] },
+  };
+  const raceArrangement = { unassigned: ['a'], 'boat-1:drummer': ['c'], 'boat-1:sweep': ['b'] };
+
+  expect(keepLockedSeats(raceArrangement, columns, ['boat-1:drummer', 'boat-2:drummer'])).toEqual({
+    unassigned: [],
+    'boat-1:drummer': ['a'],
+    'boat-1:sweep': ['b'],
+  });
+});
@@ -0,0 +1,60 @@
+// Backup of the stored lineups, roster, race plan and settings in IndexedDB
+// localStorage stays the quick, synchronous store the app reads on load (see storage.js); every write is mirrored here,
+// so nothing is lost when the browser clears localStorage (e.g. an installed app on a phone that is short of space)
+// All functions fail softly (log and resolve) so a missing or blocked IndexedDB never breaks the app
+
+// IndexedDB database and object store (values are stored under their localStorage key)
+const DB_NAME = 'dragonboaty';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyValue';
+
+// Returns true if the browser supports IndexedDB (it doesn't in tests or some private windows)
+const isAvailable = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+// The open database, opened on first use
+let dbPromise = null;
+
+// Opens the database, creating the object store on first use
+// Gives up (rejects) if another tab with an older version of the app blocks the upgrade, so startup never waits on it;
+// a failed open is tried again on the next use
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => db.close(); // Don't block a newer version of the app opened in another tab
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Opening the database is blocked by another tab'));
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Runs a request against the object store and resolves with its result
+const runRequest = (mode, makeRequest) => openDb().then(db => new Promise((resolve, reject) => {
+  const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+}));
+
+// Stores a value (the serialized JSON written to localStorage) under its key
+export const backupValue = (key, value) => {
+  if (!isAvailable()) return Promise.resolve();
+  return runRequest('readwrite', store => store.put(value, key))
+    .catch(error => console.error(`Could not back up '${key}' to IndexedDB:`, error));
+};
+
+// Reads the value stored under a key (undefined if there is none)
+export const readBackup = (key) => {
+  if (!isAvailable()) return Promise.resolve(undefined);
+  return runRequest('readonly', store => store.get(key))
+    .catch(error => {
+      console.error(`Could not read '${key}' from IndexedDB:`, error);
+      return undefined;
+    });
+};
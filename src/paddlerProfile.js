@@ -0,0 +1,37 @@
+// Helpers for the extended paddler profile
+// A tile may carry profile: { skill, strength, years, notes } - every field is optional
+// (skill is one of SKILL_LEVELS, strength is a rating from 1 to MAX_STRENGTH, years is the number of years paddling)
+
+// Skill levels a paddler can have, from least to most experienced
+export const SKILL_LEVELS = ['Novice', 'Intermediate', 'Advanced', 'Elite'];
+
+// Highest strength rating
+export const MAX_STRENGTH = 5;
+
+// Returns the profile of a tile with every field present (empty fields are null, notes are '')
+export const getProfile = (tile) => ({
+  skill: tile?.profile?.skill ?? null,
+  strength: tile?.profile?.strength ?? null,
+  years: tile?.profile?.years ?? null,
+  notes: tile?.profile?.notes ?? '',
+});
+
+// Returns a short one-line summary of a profile for the tile, e.g. "Advanced · Str 4/5 · 3 yrs"
+// Fields that are not set are left out ('' if none is set)
+export const getProfileSummary = (profile) => {
+  const { skill, strength, years } = getProfile({ profile });
+  return [
+    skill,
+    strength != null ? `Str ${strength}/${MAX_STRENGTH}` : null,
+    years != null ? `${years} ${years === 1 ? 'yr' : 'yrs'}` : null,
+  ].filter(Boolean).join(' · ');
+};
+
+// Parses a number typed into a profile field ('' clears it)
+// Returns null for an empty value, the number when it is within [min, max], or undefined when it is invalid
+export const parseProfileNumber = (value, min, max) => {
+  if (value === '' || value == null) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) return undefined;
+  return number;
+};
@@ -0,0 +1,20 @@
+import { getProfile, getProfileSummary, parseProfileNumber } from './paddlerProfile';
+
+test('fills in the missing profile fields', () => {
+  expect(getProfile({ id: 'a' })).toEqual({ skill: null, strength: null, years: null, notes: '' });
+  expect(getProfile({ profile: { skill: 'Elite', notes: 'Strong finisher' } }))
+    .toEqual({ skill: 'Elite', strength: null, years: null, notes: 'Strong finisher' });
+});
+
+test('summarizes only the fields that are set', () => {
+  expect(getProfileSummary({ skill: 'Advanced', strength: 4, years: 3 })).toBe('Advanced · Str 4/5 · 3 yrs');
+  expect(getProfileSummary({ years: 1, notes: 'Left-handed' })).toBe('1 yr');
+  expect(getProfileSummary(undefined)).toBe('');
+});
+
+test('parses profile numbers within their range', () => {
+  expect(parseProfileNumber('', 1, 5)).toBeNull();
+  expect(parseProfileNumber('4', 1, 5)).toBe(4);
+  expect(parseProfileNumber('7', 1, 5)).toBeUndefined();
+  expect(parseProfileNumber('abc', 0, 80)).toBeUndefined();
+});
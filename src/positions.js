@@ -0,0 +1,92 @@
+import { POSITIONS } from './constants';
+
+// Helpers for boats and their seat position IDs
+// Every seat belongs to a boat and its position ID is '<boatId>:<seat>', e.g.
+// 'boat-1:drummer', 'boat-1:sweep', 'boat-2:bench-3-left'
+// The shared Unassigned column keeps the plain 'unassigned' ID.
+
+// Default number of benches per boat (a standard 20-paddler boat)
+export const DEFAULT_BENCH_COUNT = 10;
+
+// Bench counts a boat can be set to (5 benches is a small 10-paddler boat)
+export const BENCH_COUNT_OPTIONS = Array.from({ length: 12 }, (_, index) => index + 1);
+
+// Separator between the boat ID and the seat in a position ID
+const BOAT_SEPARATOR = ':';
+
+// The boat every lineup starts with (also used for lineups saved before boats existed)
+export const DEFAULT_BOATS = [{ id: 'boat-1', name: 'Boat 1', benchCount: DEFAULT_BENCH_COUNT }];
+
+// Returns the number of benches of a boat (boats saved before the setting existed have the default)
+export const getBenchCount = (boat) => boat.benchCount ?? DEFAULT_BENCH_COUNT;
+
+// Position ID generators
+export const generateDrummerPositionId = (boatId) => `${boatId}${BOAT_SEPARATOR}${POSITIONS.DRUMMER}`;
+export const generateSweepPositionId = (boatId) => `${boatId}${BOAT_SEPARATOR}${POSITIONS.SWEEP}`;
+export const generateBenchPositionId = (boatId, row, side) => `${boatId}${BOAT_SEPARATOR}${POSITIONS.BENCH}-${row}-${side}`;
+
+// Parses a position ID into its parts
+// Returns { boatId, type, row, side } where type is one of the POSITIONS values
+// (row and side are only set for benches, boatId is null for Unassigned)
+export const parsePositionId = (positionId) => {
+  if (!positionId || positionId === POSITIONS.UNASSIGNED) {
+    return { boatId: null, type: POSITIONS.UNASSIGNED, row: null, side: null };
+  }
+  const [boatId, seat] = positionId.split(BOAT_SEPARATOR);
+  if (seat && seat.startsWith(`${POSITIONS.BENCH}-`)) {
+    const [, row, side] = seat.split('-');
+    return { boatId, type: POSITIONS.BENCH, row: parseInt(row, 10), side };
+  }
+  return { boatId, type: seat, row: null, side: null };
+};
+
+// Returns a user-friendly label for a seat, e.g. 'Drummer' or 'Bench 3 Left'
+export const getPositionLabel = (positionId) => {
+  const { type, row, side } = parsePositionId(positionId);
+  if (type === POSITIONS.DRUMMER) return 'Drummer';
+  if (type === POSITIONS.SWEEP) return 'Sweep';
+  if (type === POSITIONS.BENCH) return `Bench ${row} ${side.charAt(0).toUpperCase() + side.slice(1)}`;
+  if (type === POSITIONS.UNASSIGNED) return 'Unassigned';
+  return positionId; // Fallback if the position ID is not recognized
+};
+
+// Returns all seat position IDs of a boat, ordered drummer, benches front to back, sweep
+export const getBoatPositionIds = (boat) => [
+  generateDrummerPositionId(boat.id),
+  ...Array.from({ length: getBenchCount(boat) }).flatMap((_, rowIndex) => [
+    generateBenchPositionId(boat.id, rowIndex + 1, 'left'),
+    generateBenchPositionId(boat.id, rowIndex + 1, 'right'),
+  ]),
+  generateSweepPositionId(boat.id),
+];
+
+// Builds the empty columns for the given boats plus the shared Unassigned column
+export const buildEmptyColumns = (boats) => ({
+  [POSITIONS.UNASSIGNED]: { id: POSITIONS.UNASSIGNED, title: 'Unassigned', tileIds: [] },
+  ...boats.reduce((acc, boat) => {
+    getBoatPositionIds(boat).forEach(positionId => {
+      acc[positionId] = { id: positionId, title: `${boat.name} ${getPositionLabel(positionId)}`, tileIds: [] };
+    });
+    return acc;
+  }, {}),
+});
+
+// Creates the next boat (e.g., { id: 'boat-lq3x9k2f7', name: 'Boat 3', benchCount: 10 }), named after the highest numbered boat
+// The ID is never reused (not even after a boat is removed), so saved lineups and races that still hold seats of a removed boat
+// don't seat paddlers in the new one
+export const createNextBoat = (boats) => {
+  const nextNumber = boats.reduce((max, boat) => Math.max(max, parseInt((boat.name.match(/^Boat (\d+)$/) || [])[1], 10) || 0), 0) + 1;
+  return {
+    id: `boat-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`,
+    name: `Boat ${nextNumber}`,
+    benchCount: DEFAULT_BENCH_COUNT,
+  };
+};
+
+// Converts a position ID from before boats existed ('drummer', 'bench-3-left') to a seat of the given boat
+export const migrateLegacyPositionId = (positionId, boatId = DEFAULT_BOATS[0].id) => {
+  if (!positionId || positionId === POSITIONS.UNASSIGNED || positionId.includes(BOAT_SEPARATOR)) {
+    return positionId;
+  }
+  return `${boatId}${BOAT_SEPARATOR}${positionId}`;
+};
@@ -0,0 +1,50 @@
+import { DEFAULT_BOATS, buildEmptyColumns, createNextBoat, getBoatPositionIds, parsePositionId } from './positions';
+import { moveTileToSeat, moveTileToUnassigned } from './seatMove';
+
+test('a new boat gets the next boat number and an ID no boat had before', () => {
+  const secondBoat = createNextBoat(DEFAULT_BOATS);
+  expect(secondBoat).toMatchObject({ name: 'Boat 2', benchCount: 10 });
+
+  const thirdBoat = createNextBoat([...DEFAULT_BOATS, secondBoat]);
+  expect(thirdBoat.name).toBe('Boat 3');
+
+  // Removing Boat 2 and adding a boat again doesn't bring back Boat 2's seats
+  const nextBoat = createNextBoat([DEFAULT_BOATS[0], thirdBoat]);
+  expect(nextBoat.name).toBe('Boat 4');
+  expect(new Set([DEFAULT_BOATS[0].id, secondBoat.id, thirdBoat.id, nextBoat.id]).size).toBe(4);
+  expect(parsePositionId(getBoatPositionIds(nextBoat)[0])).toMatchObject({ boatId: nextBoat.id, type: 'drummer' });
+});
+
+test('builds the seats of every boat plus one shared Unassigned column', () => {
+  const boats = [DEFAULT_BOATS[0], { id: 'boat-x', name: 'Boat 2', benchCount: 5 }];
+
+  const columns = buildEmptyColumns(boats);
+
+  expect(Object.keys(columns)).toHaveLength(1 + 22 + 12); // Unassigned, 10 benches + drummer + sweep, 5 benches + drummer + sweep
+  expect(columns.unassigned).toEqual({ id: 'unassigned', title: 'Unassigned', tileIds: [] });
+  expect(columns['boat-1:bench-10-right'].title).toBe('Boat 1 Bench 10 Right');
+  expect(columns['boat-x:bench-5-left'].title).toBe('Boat 2 Bench 5 Left');
+  expect(columns['boat-x:bench-6-left']).toBeUndefined();
+  expect(columns['boat-x:sweep'].tileIds).toEqual([]);
+});
+
+test('paddlers move between boats and the shared Unassigned column', () => {
+  const boats = [DEFAULT_BOATS[0], { id: 'boat-x', name: 'Boat 2', benchCount: 5 }];
+  const columns = buildEmptyColumns(boats);
+  columns.unassigned.tileIds = ['a'];
+  columns['boat-1:drummer'].tileIds = ['b'];
+  const tiles = [{ id: 'a', positionId: 'unassigned' }, { id: 'b', positionId: 'boat-1:drummer' }];
+
+  const toSecondBoat = moveTileToSeat(columns, tiles, 'a', 'boat-x:bench-1-left');
+  expect(toSecondBoat.columns['boat-x:bench-1-left'].tileIds).toEqual(['a']);
+  expect(toSecondBoat.columns.unassigned.tileIds).toEqual([]);
+
+  const swapped = moveTileToSeat(toSecondBoat.columns, toSecondBoat.tiles, 'b', 'boat-x:bench-1-left');
+  expect(swapped.columns['boat-x:bench-1-left'].tileIds).toEqual(['b']);
+  expect(swapped.columns['boat-1:drummer'].tileIds).toEqual(['a']);
+
+  const unassigned = moveTileToUnassigned(swapped.columns, swapped.tiles, 'b');
+  expect(unassigned.columns['boat-x:bench-1-left'].tileIds).toEqual([]);
+  expect(unassigned.columns.unassigned.tileIds).toEqual(['b']);
+  expect(unassigned.tiles).toEqual([{ id: 'a', positionId: 'boat-1:drummer' }, { id: 'b', positionId: 'unassigned' }]);
+});
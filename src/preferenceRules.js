@@ -0,0 +1,52 @@
+import { POSITIONS, SEAT_KINDS, DEFAULT_PREFERENCE_CATEGORIES } from './constants';
+import { parsePositionId, getBoatPositionIds } from './positions';
+
+// Rules for which seats match a paddler's preference
+// Each preference category lists the kinds of seat it may occupy (see DEFAULT_PREFERENCE_CATEGORIES):
+// - 'Drummer' -> only the drummer seat
+// - 'Sweep'   -> only the sweep seat
+// - 'Left'    -> only left bench seats
+// - 'Right'   -> only right bench seats
+// - 'Either' / 'Null' (no preference set) -> any bench seat
+// A preference that is not one of the categories is treated like no preference (any bench seat).
+// The Unassigned column never conflicts with a preference.
+
+// Seats allowed for a preference that is not one of the categories
+const UNKNOWN_PREFERENCE_SEATS = [SEAT_KINDS.LEFT, SEAT_KINDS.RIGHT];
+
+// Returns the kind of seat of a position (one of SEAT_KINDS, or null for Unassigned)
+export const getSeatKind = (positionId) => {
+  const { type, side } = parsePositionId(positionId);
+  if (type === POSITIONS.DRUMMER) return SEAT_KINDS.DRUMMER;
+  if (type === POSITIONS.SWEEP) return SEAT_KINDS.SWEEP;
+  if (type === POSITIONS.BENCH) return side;
+  return null;
+};
+
+// Returns the kinds of seat a preference may occupy
+export const getAllowedSeatKinds = (preference, categories = DEFAULT_PREFERENCE_CATEGORIES) =>
+  categories.find(category => category.name === preference)?.seats ?? UNKNOWN_PREFERENCE_SEATS;
+
+// Returns a short message describing why the preference conflicts with the seat, or null if it does not
+export const getPreferenceViolation = (preference, positionId, categories = DEFAULT_PREFERENCE_CATEGORIES) => {
+  const seatKind = getSeatKind(positionId);
+  if (!seatKind) return null;
+
+  const allowedSeatKinds = getAllowedSeatKinds(preference, categories);
+  if (allowedSeatKinds.includes(seatKind)) return null;
+
+  if (seatKind === SEAT_KINDS.DRUMMER) return 'Not a drummer';
+  if (seatKind === SEAT_KINDS.SWEEP) return 'Not a sweep';
+  // Bench seats
+  const otherSide = seatKind === SEAT_KINDS.LEFT ? SEAT_KINDS.RIGHT : SEAT_KINDS.LEFT;
+  if (allowedSeatKinds.includes(otherSide)) {
+    return `Prefers ${otherSide.charAt(0).toUpperCase() + otherSide.slice(1)} side`;
+  }
+  return `Prefers ${preference}, not a bench`;
+};
+
+// Counts the seated paddlers of a boat whose preference conflicts with their seat
+export const countPreferenceViolations = (columns, getTileById, boat, categories = DEFAULT_PREFERENCE_CATEGORIES) => getBoatPositionIds(boat).reduce((count, positionId) => {
+  const tile = getTileById(columns[positionId]?.tileIds[0]);
+  return tile && getPreferenceViolation(tile.preference, positionId, categories) ? count + 1 : count;
+}, 0);
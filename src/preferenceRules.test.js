@@ -0,0 +1,46 @@
+import { getPreferenceViolation, countPreferenceViolations } from './preferenceRules';
+
+test('flags seats that conflict with the paddler preference', () => {
+  expect(getPreferenceViolation('Right', 'boat-1:bench-3-left')).toBe('Prefers Right side');
+  expect(getPreferenceViolation('Left', 'boat-1:bench-3-left')).toBeNull();
+  expect(getPreferenceViolation('Either', 'boat-1:bench-3-right')).toBeNull();
+  expect(getPreferenceViolation('Null', 'boat-1:bench-3-right')).toBeNull();
+  expect(getPreferenceViolation('Drummer', 'boat-1:bench-1-left')).toBe('Prefers Drummer, not a bench');
+  expect(getPreferenceViolation('Left', 'boat-1:drummer')).toBe('Not a drummer');
+  expect(getPreferenceViolation('Drummer', 'boat-1:drummer')).toBeNull();
+  expect(getPreferenceViolation('Either', 'boat-2:sweep')).toBe('Not a sweep');
+  expect(getPreferenceViolation('Right', 'unassigned')).toBeNull();
+});
+
+test('reads the seats each category may occupy from the configuration', () => {
+  const categories = [
+    { name: 'Null', seats: ['left', 'right'] },
+    { name: 'Stroke', seats: ['right', 'drummer'] },
+    { name: 'Steerer', seats: ['sweep'] },
+  ];
+  expect(getPreferenceViolation('Stroke', 'boat-1:drummer', categories)).toBeNull();
+  expect(getPreferenceViolation('Stroke', 'boat-1:bench-1-left', categories)).toBe('Prefers Right side');
+  expect(getPreferenceViolation('Steerer', 'boat-1:bench-1-left', categories)).toBe('Prefers Steerer, not a bench');
+  expect(getPreferenceViolation('Drummer', 'boat-1:drummer', categories)).toBe('Not a drummer'); // Not a category - any bench
+  expect(getPreferenceViolation('Drummer', 'boat-1:bench-1-right', categories)).toBeNull();
+});
+
+test('counts the violations of one boat only', () => {
+  const tiles = [
+    { id: 'a', preference: 'Right' },
+    { id: 'b', preference: 'Drummer' },
+    { id: 'c', preference: 'Left' },
+  ];
+  const columns = {
+    unassigned: { tileIds: [] },
+    'boat-1:drummer': { tileIds: ['b'] },
+    'boat-1:bench-1-left': { tileIds: ['a'] },
+    'boat-1:bench-1-right': { tileIds: [] },
+    'boat-1:sweep': { tileIds: [] },
+    'boat-2:bench-1-right': { tileIds: ['c'] },
+  };
+  const getTileById = id => tiles.find(tile => tile.id === id);
+
+  expect(countPreferenceViolations(columns, getTileById, { id: 'boat-1', benchCount: 1 })).toBe(1);
+  expect(countPreferenceViolations(columns, getTileById, { id: 'boat-2', benchCount: 1 })).toBe(1);
+});
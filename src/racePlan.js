@@ -0,0 +1,58 @@
+import { POSITIONS } from './constants';
+import { getArrangement } from './lineupUtils';
+
+// Helpers for the race plan of a regatta day
+// The plan is an ordered list of races (heats, semis, finals), each with its own lineup:
+// { id, name, startTime: 'HH:MM' or '', boats, arrangement } - the same boats/arrangement shape as a saved lineup.
+
+// Default minimum rest between two races a paddler is seated in, in minutes
+export const DEFAULT_MIN_REST_MINUTES = 30;
+
+// The empty race plan
+export const EMPTY_RACE_PLAN = { races: [], activeRaceId: null, minRestMinutes: DEFAULT_MIN_REST_MINUTES };
+
+// Creates a race holding a copy of the given lineup
+export const createRace = (name, boats, columns) => ({
+  id: `race-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`,
+  name,
+  startTime: '',
+  boats,
+  arrangement: getArrangement(columns),
+});
+
+// Converts a 'HH:MM' start time to minutes after midnight (null if not set or invalid)
+export const parseStartTime = (startTime) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(startTime || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+// Returns the IDs of the tiles seated (not in Unassigned) in a race
+export const getSeatedTileIds = (race) => Object.keys(race.arrangement)
+  .filter(positionId => positionId !== POSITIONS.UNASSIGNED)
+  .flatMap(positionId => race.arrangement[positionId]);
+
+// Counts how many races each paddler is seated in (tile ID -> count)
+export const countRacesSeated = (races) => races.reduce((counts, race) => {
+  getSeatedTileIds(race).forEach(tileId => { counts[tileId] = (counts[tileId] || 0) + 1; });
+  return counts;
+}, {});
+
+// Finds the paddlers seated in two races in a row with less rest than minRestMinutes between the start times
+// The races are checked in start time order (the plan may list them in another order), races without a start time are left out
+// Returns [{ tileId, raceId, nextRaceId, restMinutes }]
+export const findShortRests = (races, minRestMinutes) => {
+  const timedRaces = races
+    .map(race => ({ race, start: parseStartTime(race.startTime) }))
+    .filter(({ start }) => start !== null)
+    .sort((a, b) => a.start - b.start);
+  return timedRaces.slice(0, -1).flatMap(({ race, start }, index) => {
+    const { race: nextRace, start: nextStart } = timedRaces[index + 1];
+    const restMinutes = nextStart - start;
+    if (restMinutes >= minRestMinutes) return [];
+    const nextSeatedTileIds = new Set(getSeatedTileIds(nextRace));
+    return getSeatedTileIds(race)
+      .filter(tileId => nextSeatedTileIds.has(tileId))
+      .map(tileId => ({ tileId, raceId: race.id, nextRaceId: nextRace.id, restMinutes }));
+  });
+};
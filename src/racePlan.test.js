@@ -0,0 +1,28 @@
+import { parseStartTime, countRacesSeated, findShortRests } from './racePlan';
+
+const races = [
+  { id: 'heat', name: 'Heat 1', startTime: '09:00', arrangement: { unassigned: ['c'], 'boat-1:drummer': ['a'], 'boat-1:bench-1-left': ['b'] } },
+  { id: 'semi', name: 'Semi 1', startTime: '09:20', arrangement: { unassigned: ['b'], 'boat-1:drummer': ['a'], 'boat-1:bench-1-left': ['c'] } },
+  { id: 'final', name: 'Final', startTime: '', arrangement: { unassigned: [], 'boat-1:drummer': ['a'], 'boat-1:bench-1-left': ['b'] } },
+];
+
+test('parses start times', () => {
+  expect(parseStartTime('09:30')).toBe(570);
+  expect(parseStartTime('')).toBeNull();
+  expect(parseStartTime('later')).toBeNull();
+});
+
+test('counts the races each paddler is seated in', () => {
+  expect(countRacesSeated(races)).toEqual({ a: 3, b: 2, c: 1 });
+});
+
+test('flags paddlers seated in consecutive races with too little rest', () => {
+  expect(findShortRests(races, 30)).toEqual([{ tileId: 'a', raceId: 'heat', nextRaceId: 'semi', restMinutes: 20 }]);
+  expect(findShortRests(races, 20)).toEqual([]);
+});
+
+test('checks the rest in start time order, not in plan order', () => {
+  const outOfOrder = [{ ...races[1] }, { ...races[0] }, { ...races[2], startTime: '10:30' }];
+
+  expect(findShortRests(outOfOrder, 30)).toEqual([{ tileId: 'a', raceId: 'heat', nextRaceId: 'semi', restMinutes: 20 }]);
+});
@@ -0,0 +1,158 @@
+import { NO_PREFERENCE } from './constants';
+
+// Helpers for importing and exporting the roster as CSV
+// Columns: name (required), preference, weight (optional) and any number of extra columns,
+// which are kept on the paddler (tile.extra) and written back on export.
+
+// Columns with a dedicated tile field - every other column is an extra column
+const NAME_COLUMN = 'name';
+const PREFERENCE_COLUMN = 'preference';
+const WEIGHT_COLUMN = 'weight';
+
+// Parses CSV text into an array of rows: { cells, line } with the fields (strings) and the 1-based line
+// of the file the row starts on (rows can span several lines, blank lines are skipped)
+// Supports quoted fields with commas, line breaks and escaped quotes ("")
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1; // Line of the file at the current character
+  let rowLine = 1; // Line the current row started on
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'; // Escaped quote
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++; // Line break inside a quoted field
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++; // Treat CRLF as one line break
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  // Add the last row if the text doesn't end with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  // Skip completely empty lines
+  return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+};
+
+// Quotes a CSV field if it contains a comma, quote or line break
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Builds the roster CSV text from the tiles
+export const exportRosterCsv = (tiles) => {
+  // Extra columns are the union of all paddlers' extra fields, in order of first appearance
+  const extraColumns = [];
+  tiles.forEach(tile => {
+    Object.keys(tile.extra || {}).forEach(column => {
+      if (!extraColumns.includes(column)) extraColumns.push(column);
+    });
+  });
+
+  const header = [NAME_COLUMN, PREFERENCE_COLUMN, WEIGHT_COLUMN, ...extraColumns];
+  const lines = tiles.map(tile => [
+    tile.paddlerName,
+    tile.preference,
+    tile.weight ?? '',
+    ...extraColumns.map(column => tile.extra?.[column] ?? ''),
+  ]);
+
+  return [header, ...lines].map(cells => cells.map(escapeCsvField).join(',')).join('\r\n');
+};
+
+// Reads roster CSV text and validates every row
+// - preferenceOptions: Array, the allowed preference values (matched case-insensitively)
+// Returns { paddlers, errors }:
+// - paddlers: [{ paddlerName, preference, weight, extra }] for every valid row
+// - errors: [{ line, message }] for every row that was skipped (line is the line number in the file)
+export const importRosterCsv = (text, preferenceOptions) => {
+  const rows = parseCsv(text);
+  const errors = [];
+  const paddlers = [];
+
+  if (rows.length === 0) {
+    return { paddlers, errors: [{ line: 1, message: 'The file is empty.' }] };
+  }
+
+  // Map the header to column indexes (column names are case-insensitive)
+  const header = rows[0].cells.map(column => column.trim());
+  const columnIndex = (name) => header.findIndex(column => column.toLowerCase() === name);
+  const nameIndex = columnIndex(NAME_COLUMN);
+  const preferenceIndex = columnIndex(PREFERENCE_COLUMN);
+  const weightIndex = columnIndex(WEIGHT_COLUMN);
+  if (nameIndex === -1) {
+    return { paddlers, errors: [{ line: rows[0].line, message: `Missing required '${NAME_COLUMN}' column.` }] };
+  }
+  const extraColumns = header
+    .map((column, index) => ({ column, index }))
+    .filter(({ column, index }) => column && ![nameIndex, preferenceIndex, weightIndex].includes(index));
+
+  rows.slice(1).forEach(({ cells, line }) => {
+    const paddlerName = (cells[nameIndex] || '').trim();
+
+    // Validate the name - required and unique, like editing a name on a tile
+    if (!paddlerName) {
+      errors.push({ line, message: 'Name is empty.' });
+      return;
+    }
+    if (paddlers.some(paddler => paddler.paddlerName === paddlerName)) {
+      errors.push({ line, message: `The name '${paddlerName}' is already in use.` });
+      return;
+    }
+
+    // Validate the preference (empty means no preference)
+    const rawPreference = preferenceIndex === -1 ? '' : (cells[preferenceIndex] || '').trim();
+    const preference = rawPreference === ''
+      ? NO_PREFERENCE
+      : preferenceOptions.find(option => option.toLowerCase() === rawPreference.toLowerCase());
+    if (!preference) {
+      errors.push({ line, message: `Unknown preference '${rawPreference}' (expected one of ${preferenceOptions.join(', ')}).` });
+      return;
+    }
+
+    // Validate the weight (empty means no weight)
+    const rawWeight = weightIndex === -1 ? '' : (cells[weightIndex] || '').trim();
+    const weight = rawWeight === '' ? null : Number(rawWeight);
+    if (weight !== null && (!Number.isFinite(weight) || weight < 0)) {
+      errors.push({ line, message: `Invalid weight '${rawWeight}'.` });
+      return;
+    }
+
+    // Keep all other columns as extra fields
+    const extra = extraColumns.reduce((acc, { column, index }) => {
+      acc[column] = (cells[index] || '').trim();
+      return acc;
+    }, {});
+
+    paddlers.push({ paddlerName, preference, weight, extra });
+  });
+
+  return { paddlers, errors };
+};
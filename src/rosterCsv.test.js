@@ -0,0 +1,54 @@
+import { importRosterCsv, exportRosterCsv } from './rosterCsv';
+
+const PREFERENCES = ['Null', 'Left', 'Right', 'Either', 'Sweep', 'Drummer'];
+
+test('imports valid rows and reports bad rows', () => {
+  const csv = [
+    'Name,Preference,Weight,Phone',
+    'Ann,left,62,555-1234',
+    '"Smith, Ben",Either,,',
+    'Ann,Right,70,',
+    ',Left,60,',
+    'Cat,Port,55,',
+    'Dan,Right,heavy,',
+  ].join('\n');
+
+  const { paddlers, errors } = importRosterCsv(csv, PREFERENCES);
+
+  expect(paddlers).toEqual([
+    { paddlerName: 'Ann', preference: 'Left', weight: 62, extra: { Phone: '555-1234' } },
+    { paddlerName: 'Smith, Ben', preference: 'Either', weight: null, extra: { Phone: '' } },
+  ]);
+  expect(errors.map(error => error.line)).toEqual([4, 5, 6, 7]);
+});
+
+test('exports a roster that imports back unchanged', () => {
+  const tiles = [
+    { paddlerName: 'Ann "Rocket"', preference: 'Left', weight: 62, extra: { Phone: '555' } },
+    { paddlerName: 'Ben', preference: 'Null', weight: null },
+  ];
+
+  const { paddlers, errors } = importRosterCsv(exportRosterCsv(tiles), PREFERENCES);
+
+  expect(errors).toEqual([]);
+  expect(paddlers).toEqual([
+    { paddlerName: 'Ann "Rocket"', preference: 'Left', weight: 62, extra: { Phone: '555' } },
+    { paddlerName: 'Ben', preference: 'Null', weight: null, extra: { Phone: '' } },
+  ]);
+});
+
+test('reports the line in the file, counting blank lines and line breaks in quoted fields', () => {
+  const csv = [
+    'Name,Preference,Notes',
+    '',
+    'Ann,Left,"Two',
+    'lines"',
+    '',
+    'Ben,Port,',
+  ].join('\r\n');
+
+  const { paddlers, errors } = importRosterCsv(csv, PREFERENCES);
+
+  expect(paddlers.map(paddler => paddler.paddlerName)).toEqual(['Ann']);
+  expect(errors).toEqual([{ line: 6, message: expect.stringContaining("Unknown preference 'Port'") }]);
+});
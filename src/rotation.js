@@ -0,0 +1,93 @@
+import { generateBenchPositionId, getBenchCount } from './positions';
+import { SEAT_KINDS, NO_PREFERENCE, DEFAULT_PREFERENCE_CATEGORIES } from './constants';
+import { getPreferenceViolation, getAllowedSeatKinds } from './preferenceRules';
+
+// Training rotations: a series of lineups generated from the current one, stepped through during practice
+// so everyone gets to paddle on different benches and both sides.
+// The drummer and sweep stay in their seats, and no paddler is moved into a seat that conflicts with their preference.
+// Locked seats (lockedSeatIds) keep their paddler - the others rotate around them.
+
+// Ways of rotating the lineup from one step to the next
+export const ROTATION_MODES = {
+  SHIFT_BACK: 'shift-back', // Everyone on a bench moves back the given number of benches (the back benches wrap around to the front)
+  SWAP_SIDES: 'swap-sides', // Two-sided paddlers (e.g. 'Either') swap sides with their bench partner (if the partner is two-sided too or the seat is empty)
+  SHIFT_AND_SWAP: 'shift-and-swap', // Both of the above
+};
+
+// Default number of benches everyone moves back per step
+export const DEFAULT_SHIFT_BENCHES = 2;
+
+// Returns the tile ID in a seat (undefined if the seat is empty)
+const getSeatTileId = (columns, positionId) => columns[positionId]?.tileIds[0];
+
+// Returns a copy of the columns with the tile IDs of the given seats replaced (seat ID -> tile ID or undefined)
+const setSeats = (columns, seatTileIds) => {
+  const nextColumns = { ...columns };
+  Object.keys(seatTileIds).forEach(positionId => {
+    nextColumns[positionId] = { ...columns[positionId], tileIds: seatTileIds[positionId] ? [seatTileIds[positionId]] : [] };
+  });
+  return nextColumns;
+};
+
+// Moves every bench paddler of a boat back by shiftBenches benches, keeping their side
+// (keeping the side means every paddler's preference still matches)
+// Locked benches are skipped: the paddlers move back through the unlocked benches of their side
+export const shiftBenchesBack = (columns, boat, shiftBenches = DEFAULT_SHIFT_BENCHES, lockedSeatIds = []) => {
+  const seatTileIds = {};
+  ['left', 'right'].forEach(side => {
+    const seatIds = Array.from({ length: getBenchCount(boat) }, (_, rowIndex) => generateBenchPositionId(boat.id, rowIndex + 1, side))
+      .filter(seatId => !lockedSeatIds.includes(seatId));
+    seatIds.forEach((seatId, index) => {
+      const targetIndex = ((index + shiftBenches) % seatIds.length + seatIds.length) % seatIds.length;
+      seatTileIds[seatIds[targetIndex]] = getSeatTileId(columns, seatId);
+    });
+  });
+  return setSeats(columns, seatTileIds);
+};
+
+// Swaps the sides of the two-sided paddlers of a boat (preference categories allowing both sides, e.g. 'Either') with their bench partner
+// Paddlers without a preference set are left where they are
+// A bench is only swapped when both paddlers (or the paddler and the empty seat) still match their preference afterwards,
+// and neither of its seats is locked
+export const swapEitherSides = (columns, boat, getTileById, categories = DEFAULT_PREFERENCE_CATEGORIES, lockedSeatIds = []) => {
+  const isTwoSided = (tile) => Boolean(tile?.preference) && tile.preference !== NO_PREFERENCE
+    && categories.some(category => category.name === tile.preference)
+    && [SEAT_KINDS.LEFT, SEAT_KINDS.RIGHT].every(side => getAllowedSeatKinds(tile.preference, categories).includes(side));
+
+  const seatTileIds = {};
+  for (let row = 1; row <= getBenchCount(boat); row++) {
+    const leftId = generateBenchPositionId(boat.id, row, 'left');
+    const rightId = generateBenchPositionId(boat.id, row, 'right');
+    const leftTile = getTileById(getSeatTileId(columns, leftId));
+    const rightTile = getTileById(getSeatTileId(columns, rightId));
+
+    const hasEitherPaddler = [leftTile, rightTile].some(isTwoSided);
+    const isPartnerFlexible = [leftTile, rightTile].every(tile => !tile || isTwoSided(tile));
+    const keepsPreferences = (!leftTile || !getPreferenceViolation(leftTile.preference, rightId, categories))
+      && (!rightTile || !getPreferenceViolation(rightTile.preference, leftId, categories));
+    const isUnlocked = !lockedSeatIds.includes(leftId) && !lockedSeatIds.includes(rightId);
+    if (hasEitherPaddler && isPartnerFlexible && keepsPreferences && isUnlocked) {
+      seatTileIds[leftId] = rightTile?.id;
+      seatTileIds[rightId] = leftTile?.id;
+    }
+  }
+  return setSeats(columns, seatTileIds);
+};
+
+// Generates count rotated lineups from the columns state, each one rotated from the one before
+// Returns an array of columns states (the Unassigned column and the drummer and sweep seats are left as they are)
+// categories: the preference categories (see DEFAULT_PREFERENCE_CATEGORIES), lockedSeatIds: the seats that keep their paddler
+export const generateRotations = (columns, boats, getTileById, { mode = ROTATION_MODES.SHIFT_BACK, count = 1, shiftBenches = DEFAULT_SHIFT_BENCHES, categories = DEFAULT_PREFERENCE_CATEGORIES, lockedSeatIds = [] } = {}) => {
+  const rotations = [];
+  let previousColumns = columns;
+  for (let step = 0; step < count; step++) {
+    let nextColumns = previousColumns;
+    boats.forEach(boat => {
+      if (mode !== ROTATION_MODES.SWAP_SIDES) nextColumns = shiftBenchesBack(nextColumns, boat, shiftBenches, lockedSeatIds);
+      if (mode !== ROTATION_MODES.SHIFT_BACK) nextColumns = swapEitherSides(nextColumns, boat, getTileById, categories, lockedSeatIds);
+    });
+    rotations.push(nextColumns);
+    previousColumns = nextColumns;
+  }
+  return rotations;
+};
@@ -0,0 +1,74 @@
+import { shiftBenchesBack, swapEitherSides, generateRotations, ROTATION_MODES } from './rotation';
+
+const boat = { id: 'boat-1', name: 'Boat 1', benchCount: 3 };
+
+const buildColumns = (seats) => ['unassigned', 'boat-1:drummer', 'boat-1:sweep',
+  'boat-1:bench-1-left', 'boat-1:bench-1-right', 'boat-1:bench-2-left', 'boat-1:bench-2-right', 'boat-1:bench-3-left', 'boat-1:bench-3-right',
+].reduce((acc, id) => {
+  acc[id] = { id, tileIds: seats[id] || [] };
+  return acc;
+}, {});
+
+const tiles = {
+  d: { id: 'd', preference: 'Drummer' },
+  a: { id: 'a', preference: 'Either' },
+  b: { id: 'b', preference: 'Left' },
+  c: { id: 'c', preference: 'Either' },
+  e: { id: 'e', preference: 'Either' },
+};
+const getTileById = (id) => tiles[id];
+
+test('shifts the bench paddlers back, wrapping around to the front and keeping their side', () => {
+  const columns = buildColumns({ 'boat-1:drummer': ['d'], 'boat-1:bench-1-left': ['a'], 'boat-1:bench-2-right': ['c'], 'boat-1:bench-3-left': ['b'] });
+
+  const nextColumns = shiftBenchesBack(columns, boat, 2);
+
+  expect(nextColumns['boat-1:drummer'].tileIds).toEqual(['d']);
+  expect(nextColumns['boat-1:bench-3-left'].tileIds).toEqual(['a']);
+  expect(nextColumns['boat-1:bench-1-right'].tileIds).toEqual(['c']);
+  expect(nextColumns['boat-1:bench-2-left'].tileIds).toEqual(['b']);
+  expect(nextColumns['boat-1:bench-1-left'].tileIds).toEqual([]);
+  expect(columns['boat-1:bench-1-left'].tileIds).toEqual(['a']); // The previous columns are not changed
+});
+
+test('swaps Either paddlers across the bench only when the partner can switch sides too', () => {
+  const columns = buildColumns({
+    'boat-1:bench-1-left': ['a'], 'boat-1:bench-1-right': ['c'], // Both Either - swapped
+    'boat-1:bench-2-left': ['b'], 'boat-1:bench-2-right': ['e'], // Partner prefers Left - kept
+    'boat-1:bench-3-left': [], 'boat-1:bench-3-right': [],
+  });
+
+  const nextColumns = swapEitherSides(columns, boat, getTileById);
+
+  expect(nextColumns['boat-1:bench-1-left'].tileIds).toEqual(['c']);
+  expect(nextColumns['boat-1:bench-1-right'].tileIds).toEqual(['a']);
+  expect(nextColumns['boat-1:bench-2-left'].tileIds).toEqual(['b']);
+  expect(nextColumns['boat-1:bench-2-right'].tileIds).toEqual(['e']);
+});
+
+test('generates the requested number of rotations, each from the one before', () => {
+  const columns = buildColumns({ 'boat-1:bench-1-left': ['a'] });
+
+  const rotations = generateRotations(columns, [boat], getTileById, { mode: ROTATION_MODES.SHIFT_AND_SWAP, count: 3, shiftBenches: 1 });
+
+  expect(rotations).toHaveLength(3);
+  expect(rotations[0]['boat-1:bench-2-right'].tileIds).toEqual(['a']);
+  expect(rotations[1]['boat-1:bench-3-left'].tileIds).toEqual(['a']);
+  expect(rotations[2]['boat-1:bench-1-right'].tileIds).toEqual(['a']);
+});
+
+test('keeps the paddlers of locked seats in place and rotates the others around them', () => {
+  const columns = buildColumns({ 'boat-1:bench-1-left': ['a'], 'boat-1:bench-1-right': ['c'], 'boat-1:bench-2-left': ['b'], 'boat-1:bench-3-left': ['e'] });
+  const lockedSeatIds = ['boat-1:bench-1-left'];
+
+  const [shiftedColumns] = generateRotations(columns, [boat], getTileById, { mode: ROTATION_MODES.SHIFT_BACK, shiftBenches: 1, lockedSeatIds });
+  expect(shiftedColumns['boat-1:bench-1-left'].tileIds).toEqual(['a']);
+  expect(shiftedColumns['boat-1:bench-2-left'].tileIds).toEqual(['e']);
+  expect(shiftedColumns['boat-1:bench-3-left'].tileIds).toEqual(['b']);
+  expect(shiftedColumns['boat-1:bench-2-right'].tileIds).toEqual(['c']);
+
+  const [swappedColumns] = generateRotations(columns, [boat], getTileById, { mode: ROTATION_MODES.SWAP_SIDES, lockedSeatIds });
+  expect(swappedColumns['boat-1:bench-1-left'].tileIds).toEqual(['a']); // Bench 1 has a locked seat, so it is not swapped
+  expect(swappedColumns['boat-1:bench-1-right'].tileIds).toEqual(['c']);
+  expect(swappedColumns['boat-1:bench-3-right'].tileIds).toEqual(['e']);
+});
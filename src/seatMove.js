@@ -0,0 +1,69 @@
+import { POSITIONS } from './constants';
+
+// Moving a single tile into a seat (dropping it on a seat or on the tile sitting there)
+// Seats hold one tile at a time, so an occupied seat is either swapped or its occupant is bumped to Unassigned.
+
+// Returns true if dropping onto an occupied seat swaps the two tiles
+// The "Swap on Drop" setting decides, holding the bump modifier (Alt) while dropping does the opposite
+export const shouldSwapOnDrop = (swapOnDrop = true, isBumpModifierPressed = false) => swapOnDrop !== isBumpModifierPressed;
+
+// Moves a tile into a seat
+// - Empty seat: the tile moves in and leaves its old seat (or its place in the Unassigned list)
+// - Occupied seat with swap: the occupant takes the tile's old seat (or its place in the Unassigned list)
+// - Occupied seat without swap: the occupant is bumped to the end of the Unassigned list
+// Locked seats (lockedSeatIds) keep their paddler: moving into or out of one is refused, as is a move onto the tile's own seat.
+// Returns the next { columns, tiles } (copies, the given state is not changed) or null if nothing moves.
+export const moveTileToSeat = (columns, tiles, tileId, destinationId, { swap = true, lockedSeatIds = [] } = {}) => {
+  const tile = tiles.find(t => t.id === tileId);
+  if (!tile || destinationId === POSITIONS.UNASSIGNED || !columns[destinationId] || !columns[tile.positionId]) return null;
+  const sourceId = tile.positionId;
+  if (sourceId === destinationId || lockedSeatIds.includes(destinationId) || lockedSeatIds.includes(sourceId)) return null;
+
+  const occupantId = columns[destinationId].tileIds[0] ?? null;
+  const nextColumns = { ...columns };
+  const positionChanges = { [tileId]: destinationId }; // tile ID -> new position ID
+
+  if (occupantId && swap) {
+    // The occupant takes the moving tile's place (its seat, or its place in the Unassigned list)
+    nextColumns[sourceId] = {
+      ...columns[sourceId],
+      tileIds: columns[sourceId].tileIds.map(id => id === tileId ? occupantId : id),
+    };
+    positionChanges[occupantId] = sourceId;
+  } else {
+    nextColumns[sourceId] = {
+      ...columns[sourceId],
+      tileIds: columns[sourceId].tileIds.filter(id => id !== tileId),
+    };
+    if (occupantId) {
+      // The occupant is bumped to the end of the Unassigned list
+      nextColumns[POSITIONS.UNASSIGNED] = {
+        ...nextColumns[POSITIONS.UNASSIGNED],
+        tileIds: [...nextColumns[POSITIONS.UNASSIGNED].tileIds, occupantId],
+      };
+      positionChanges[occupantId] = POSITIONS.UNASSIGNED;
+    }
+  }
+
+  nextColumns[destinationId] = { ...columns[destinationId], tileIds: [tileId] };
+  const nextTiles = tiles.map(t => positionChanges[t.id] ? { ...t, positionId: positionChanges[t.id] } : t);
+
+  return { columns: nextColumns, tiles: nextTiles };
+};
+
+// Moves a seated tile to the end of the Unassigned list
+// A tile in a locked seat stays there, a tile that is already unassigned is not moved.
+// Returns the next { columns, tiles } (copies, the given state is not changed) or null if nothing moves.
+export const moveTileToUnassigned = (columns, tiles, tileId, { lockedSeatIds = [] } = {}) => {
+  const tile = tiles.find(t => t.id === tileId);
+  if (!tile || tile.positionId === POSITIONS.UNASSIGNED || !columns[tile.positionId] || lockedSeatIds.includes(tile.positionId)) return null;
+
+  const nextColumns = {
+    ...columns,
+    [tile.positionId]: { ...columns[tile.positionId], tileIds: columns[tile.positionId].tileIds.filter(id => id !== tileId) },
+    [POSITIONS.UNASSIGNED]: { ...columns[POSITIONS.UNASSIGNED], tileIds: [...columns[POSITIONS.UNASSIGNED].tileIds, tileId] },
+  };
+  const nextTiles = tiles.map(t => t.id === tileId ? { ...t, positionId: POSITIONS.UNASSIGNED } : t);
+
+  return { columns: nextColumns, tiles: nextTiles };
+};
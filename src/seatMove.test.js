@@ -0,0 +1,82 @@
+import { shouldSwapOnDrop, moveTileToSeat, moveTileToUnassigned } from './seatMove';
+
+const buildState = () => ({
+  columns: {
+    unassigned: { id: 'unassigned', tileIds: ['a', 'u'] },
+    'boat-1:bench-1-left': { id: 'boat-1:bench-1-left', tileIds: ['b'] },
+    'boat-1:bench-1-right': { id: 'boat-1:bench-1-right', tileIds: ['c'] },
+    'boat-1:bench-2-left': { id: 'boat-1:bench-2-left', tileIds: [] },
+  },
+  tiles: [
+    { id: 'a', positionId: 'unassigned' },
+    { id: 'u', positionId: 'unassigned' },
+    { id: 'b', positionId: 'boat-1:bench-1-left' },
+    { id: 'c', positionId: 'boat-1:bench-1-right' },
+  ],
+});
+
+// Returns tile ID -> position ID
+const positionsOf = (tiles) => Object.fromEntries(tiles.map(tile => [tile.id, tile.positionId]));
+
+test('holding the bump modifier inverts the Swap on Drop setting', () => {
+  expect(shouldSwapOnDrop(true, false)).toBe(true);
+  expect(shouldSwapOnDrop(true, true)).toBe(false);
+  expect(shouldSwapOnDrop(false, false)).toBe(false);
+  expect(shouldSwapOnDrop(false, true)).toBe(true);
+  expect(shouldSwapOnDrop(undefined, false)).toBe(true); // Swapping is the default
+});
+
+test('moves a tile into an empty seat', () => {
+  const { columns, tiles } = buildState();
+
+  const moved = moveTileToSeat(columns, tiles, 'b', 'boat-1:bench-2-left');
+
+  expect(moved.columns['boat-1:bench-1-left'].tileIds).toEqual([]);
+  expect(moved.columns['boat-1:bench-2-left'].tileIds).toEqual(['b']);
+  expect(positionsOf(moved.tiles).b).toBe('boat-1:bench-2-left');
+  expect(columns['boat-1:bench-2-left'].tileIds).toEqual([]); // The given state is not changed
+});
+
+test('swaps with the occupant, who takes the moving tile\'s seat or its place in Unassigned', () => {
+  const { columns, tiles } = buildState();
+
+  const seatSwap = moveTileToSeat(columns, tiles, 'b', 'boat-1:bench-1-right', { swap: true });
+  expect(positionsOf(seatSwap.tiles)).toMatchObject({ b: 'boat-1:bench-1-right', c: 'boat-1:bench-1-left' });
+  expect(seatSwap.columns['boat-1:bench-1-left'].tileIds).toEqual(['c']);
+
+  const unassignedSwap = moveTileToSeat(columns, tiles, 'a', 'boat-1:bench-1-left', { swap: true });
+  expect(unassignedSwap.columns.unassigned.tileIds).toEqual(['b', 'u']);
+  expect(positionsOf(unassignedSwap.tiles)).toMatchObject({ a: 'boat-1:bench-1-left', b: 'unassigned' });
+});
+
+test('bumps the occupant to the end of Unassigned', () => {
+  const { columns, tiles } = buildState();
+
+  const moved = moveTileToSeat(columns, tiles, 'b', 'boat-1:bench-1-right', { swap: false });
+
+  expect(moved.columns['boat-1:bench-1-left'].tileIds).toEqual([]);
+  expect(moved.columns['boat-1:bench-1-right'].tileIds).toEqual(['b']);
+  expect(moved.columns.unassigned.tileIds).toEqual(['a', 'u', 'c']);
+  expect(positionsOf(moved.tiles).c).toBe('unassigned');
+});
+
+test('refuses moves into or out of a locked seat and onto the own seat', () => {
+  const { columns, tiles } = buildState();
+  const lockedSeatIds = ['boat-1:bench-1-right'];
+
+  expect(moveTileToSeat(columns, tiles, 'a', 'boat-1:bench-1-right', { lockedSeatIds })).toBeNull();
+  expect(moveTileToSeat(columns, tiles, 'c', 'boat-1:bench-2-left', { lockedSeatIds })).toBeNull();
+  expect(moveTileToSeat(columns, tiles, 'b', 'boat-1:bench-1-left')).toBeNull();
+});
+
+test('moves a seated tile to the end of Unassigned, unless its seat is locked', () => {
+  const { columns, tiles } = buildState();
+
+  const moved = moveTileToUnassigned(columns, tiles, 'b');
+
+  expect(moved.columns['boat-1:bench-1-left'].tileIds).toEqual([]);
+  expect(moved.columns.unassigned.tileIds).toEqual(['a', 'u', 'b']);
+  expect(positionsOf(moved.tiles).b).toBe('unassigned');
+  expect(moveTileToUnassigned(columns, tiles, 'b', { lockedSeatIds: ['boat-1:bench-1-left'] })).toBeNull();
+  expect(moveTileToUnassigned(columns, tiles, 'a')).toBeNull();
+});
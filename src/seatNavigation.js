@@ -0,0 +1,120 @@
+import { POSITIONS } from './constants';
+import {
+  getBenchCount,
+  getPositionLabel,
+  parsePositionId,
+  generateDrummerPositionId,
+  generateSweepPositionId,
+  generateBenchPositionId,
+} from './positions';
+
+// Keyboard navigation between seats
+// The arrow keys move a picked-up tile through the seats as they are laid out on screen:
+// the Unassigned column on the left, then each boat with the drummer at the top,
+// the left and right benches from front to back and the sweep at the bottom.
+
+// Arrow key codes and the direction they move in
+const KEY_DIRECTIONS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+
+// Returns the position ID next to a position in the given direction ('up', 'down', 'left' or 'right'),
+// or null if there is nothing in that direction
+// Up and down inside the Unassigned column are not handled here, as they move between the tiles of the list
+export const getNeighborPositionId = (positionId, direction, boats) => {
+  const { boatId, type, row, side } = parsePositionId(positionId);
+
+  // From Unassigned, right leads to the first bench of the first boat
+  if (type === POSITIONS.UNASSIGNED) {
+    return direction === 'right' && boats.length > 0 ? generateBenchPositionId(boats[0].id, 1, 'left') : null;
+  }
+
+  const boatIndex = boats.findIndex(boat => boat.id === boatId);
+  if (boatIndex === -1) return null;
+  const boat = boats[boatIndex];
+  const benchCount = getBenchCount(boat);
+  const previousBoat = boats[boatIndex - 1]; // The boat on the left (Unassigned for the first boat)
+  const nextBoat = boats[boatIndex + 1]; // The boat on the right
+
+  if (type === POSITIONS.DRUMMER || type === POSITIONS.SWEEP) {
+    const generatePositionId = type === POSITIONS.DRUMMER ? generateDrummerPositionId : generateSweepPositionId;
+    if (direction === 'down' && type === POSITIONS.DRUMMER) return generateBenchPositionId(boat.id, 1, 'left');
+    if (direction === 'up' && type === POSITIONS.SWEEP) return generateBenchPositionId(boat.id, benchCount, 'left');
+    if (direction === 'left') return previousBoat ? generatePositionId(previousBoat.id) : POSITIONS.UNASSIGNED;
+    if (direction === 'right') return nextBoat ? generatePositionId(nextBoat.id) : null;
+    return null;
+  }
+
+  // Benches
+  if (direction === 'up') return row > 1 ? generateBenchPositionId(boat.id, row - 1, side) : generateDrummerPositionId(boat.id);
+  if (direction === 'down') return row < benchCount ? generateBenchPositionId(boat.id, row + 1, side) : generateSweepPositionId(boat.id);
+  if (direction === 'left') {
+    if (side === 'right') return generateBenchPositionId(boat.id, row, 'left');
+    // From a left bench to the same bench (or the last one) on the right side of the previous boat
+    return previousBoat
+      ? generateBenchPositionId(previousBoat.id, Math.min(row, getBenchCount(previousBoat)), 'right')
+      : POSITIONS.UNASSIGNED;
+  }
+  if (direction === 'right') {
+    if (side === 'left') return generateBenchPositionId(boat.id, row, 'right');
+    return nextBoat ? generateBenchPositionId(nextBoat.id, Math.min(row, getBenchCount(nextBoat)), 'left') : null;
+  }
+  return null;
+};
+
+// Creates the coordinate getter for dnd-kit's KeyboardSensor
+// Each arrow key press moves the dragged tile onto the center of the neighboring seat (or the next tile in Unassigned)
+export const createSeatKeyboardCoordinates = (boats) => (event, { context: { active, over, collisionRect, droppableRects, droppableContainers } }) => {
+  const direction = KEY_DIRECTIONS[event.code];
+  if (!direction) return undefined;
+  event.preventDefault(); // Keep the arrow keys from scrolling the page
+
+  if (!active || !collisionRect) return undefined;
+
+  // Tiles are droppables too - a tile stands for the zone it sits in
+  const getZoneId = (droppableId) => {
+    const data = droppableContainers.get(droppableId)?.data.current;
+    return data?.type === 'tile' ? data.currentPositionId : droppableId;
+  };
+  // The zone the dragged tile is over, or the one it was picked up from
+  const currentZoneId = over ? getZoneId(over.id) : active.data.current?.currentPositionId;
+
+  let targetId;
+  if (currentZoneId === POSITIONS.UNASSIGNED && (direction === 'up' || direction === 'down')) {
+    // Step through the tiles of the Unassigned list, from top to bottom
+    const listTileIds = droppableContainers.getEnabled()
+      .filter(container => container.data.current?.type === 'tile'
+        && container.data.current.currentPositionId === POSITIONS.UNASSIGNED
+        && droppableRects.has(container.id))
+      .map(container => container.id)
+      .sort((a, b) => droppableRects.get(a).top - droppableRects.get(b).top);
+    const currentIndex = listTileIds.indexOf(over?.id);
+    targetId = currentIndex === -1
+      ? listTileIds[direction === 'down' ? 0 : listTileIds.length - 1]
+      : listTileIds[currentIndex + (direction === 'down' ? 1 : -1)];
+  } else {
+    targetId = getNeighborPositionId(currentZoneId, direction, boats);
+  }
+
+  const targetRect = targetId && droppableRects.get(targetId);
+  if (!targetRect) return undefined; // Nothing in that direction - stay put
+
+  // Center the dragged tile on the target
+  return {
+    x: targetRect.left + (targetRect.width - collisionRect.width) / 2,
+    y: targetRect.top + (targetRect.height - collisionRect.height) / 2,
+  };
+};
+
+// Describes the seat changes between two tile lists for screen readers,
+// e.g. "Person 4 moved to Bench 3 Left, Person 9 moved to Unassigned"
+// With several boats the boat name is included ("Person 4 moved to Boat 2 Bench 3 Left")
+export const describeTileMoves = (previousTiles, nextTiles, boats) => {
+  const previousPositionById = new Map(previousTiles.map(tile => [tile.id, tile.positionId]));
+  return nextTiles
+    .filter(tile => previousPositionById.has(tile.id) && previousPositionById.get(tile.id) !== tile.positionId)
+    .map(tile => {
+      const boat = boats.length > 1 && boats.find(b => b.id === parsePositionId(tile.positionId).boatId);
+      const label = getPositionLabel(tile.positionId);
+      return `${tile.paddlerName} moved to ${boat ? `${boat.name} ${label}` : label}`;
+    })
+    .join(', ');
+};
@@ -0,0 +1,40 @@
+import { getNeighborPositionId, describeTileMoves } from './seatNavigation';
+
+const boats = [{ id: 'boat-1', name: 'Boat 1', benchCount: 3 }, { id: 'boat-2', name: 'Boat 2', benchCount: 2 }];
+
+test('moves between the drummer, benches and sweep of a boat', () => {
+  expect(getNeighborPositionId('boat-1:drummer', 'down', boats)).toBe('boat-1:bench-1-left');
+  expect(getNeighborPositionId('boat-1:bench-1-left', 'up', boats)).toBe('boat-1:drummer');
+  expect(getNeighborPositionId('boat-1:bench-1-left', 'right', boats)).toBe('boat-1:bench-1-right');
+  expect(getNeighborPositionId('boat-1:bench-2-right', 'down', boats)).toBe('boat-1:bench-3-right');
+  expect(getNeighborPositionId('boat-1:bench-3-right', 'down', boats)).toBe('boat-1:sweep');
+  expect(getNeighborPositionId('boat-1:sweep', 'up', boats)).toBe('boat-1:bench-3-left');
+  expect(getNeighborPositionId('boat-1:sweep', 'down', boats)).toBeNull();
+});
+
+test('moves between Unassigned and the boats', () => {
+  expect(getNeighborPositionId('unassigned', 'right', boats)).toBe('boat-1:bench-1-left');
+  expect(getNeighborPositionId('unassigned', 'left', boats)).toBeNull();
+  expect(getNeighborPositionId('boat-1:bench-2-left', 'left', boats)).toBe('unassigned');
+  expect(getNeighborPositionId('boat-1:drummer', 'left', boats)).toBe('unassigned');
+  expect(getNeighborPositionId('boat-1:bench-3-right', 'right', boats)).toBe('boat-2:bench-2-left');
+  expect(getNeighborPositionId('boat-2:bench-1-left', 'left', boats)).toBe('boat-1:bench-1-right');
+  expect(getNeighborPositionId('boat-1:sweep', 'right', boats)).toBe('boat-2:sweep');
+  expect(getNeighborPositionId('boat-2:bench-1-right', 'right', boats)).toBeNull();
+});
+
+test('describes the seat changes for screen readers', () => {
+  const previousTiles = [
+    { id: 'a', paddlerName: 'Person 4', positionId: 'unassigned' },
+    { id: 'b', paddlerName: 'Person 9', positionId: 'boat-1:bench-3-left' },
+    { id: 'c', paddlerName: 'Person 1', positionId: 'boat-1:drummer' },
+  ];
+  const nextTiles = [
+    { ...previousTiles[0], positionId: 'boat-1:bench-3-left' },
+    { ...previousTiles[1], positionId: 'unassigned' },
+    previousTiles[2],
+  ];
+
+  expect(describeTileMoves(previousTiles, nextTiles, [boats[0]])).toBe('Person 4 moved to Bench 3 Left, Person 9 moved to Unassigned');
+  expect(describeTileMoves(previousTiles, nextTiles, boats)).toBe('Person 4 moved to Boat 1 Bench 3 Left, Person 9 moved to Unassigned');
+});
@@ -0,0 +1,53 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker of the installable offline app (built by react-scripts with Workbox, registered in serviceWorkerRegistration.js)
+// - Precaches the app shell (the built HTML, JS and CSS), so the app opens at race sites without signal
+// - Answers page navigations with the cached index.html
+// - Caches the icons and manifest from public/, the Tailwind script and the Material Icons font (loaded from CDNs, see public/index.html)
+// A new version is installed in the background and takes over once every tab of the old version is closed.
+
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+
+// Files of the build (filled in by react-scripts)
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page navigations get the app shell, except for requests of a file (e.g. /logo192.png) or internal URLs starting with /_
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Responses from the CDNs are opaque (status 0), so those are cached too
+const cacheableResponsePlugin = new CacheableResponsePlugin({ statuses: [0, 200] });
+
+// Icons and the manifest from public/ - shown from the cache, refreshed in the background
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({ cacheName: 'public-files' })
+);
+
+// Tailwind script - the app has no styles without it
+registerRoute(
+  ({ url }) => url.origin === 'https://cdn.tailwindcss.com',
+  new StaleWhileRevalidate({ cacheName: 'tailwind', plugins: [cacheableResponsePlugin] })
+);
+
+// Material Icons stylesheet
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: 'google-fonts-stylesheets', plugins: [cacheableResponsePlugin] })
+);
+
+// Material Icons font files (they never change, so the cached copy is used for a year)
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'google-fonts-webfonts',
+    plugins: [cacheableResponsePlugin, new ExpirationPlugin({ maxEntries: 10, maxAgeSeconds: 60 * 60 * 24 * 365 })],
+  })
+);
@@ -0,0 +1,17 @@
+// Registers the service worker (src/service-worker.js) that caches the app shell,
+// so the app can be installed and keeps working without signal
+// Only in production builds - in development a cached app shell would hide code changes
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // Register after the page has loaded, so caching the app shell doesn't slow down the first visit
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(registration => console.log('Service worker registered for', registration.scope))
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+
+  // Ask the browser not to evict the stored lineups and the cached app shell when it runs short of space
+  navigator.storage?.persist?.().then(isPersisted => console.log(`Persistent storage ${isPersisted ? 'granted' : 'not granted'}`));
+};
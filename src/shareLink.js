@@ -0,0 +1,84 @@
+import { compressToEncodedURIComponent, decompressFromEncodedURIComponent } from 'lz-string';
+import { POSITIONS } from './constants';
+import { DEFAULT_BENCH_COUNT, buildEmptyColumns, getBenchCount } from './positions';
+import { applyArrangement } from './lineupUtils';
+
+// Helpers for sharing a lineup as a link
+// The lineup is stored compressed in the URL hash ('#lineup=...'), so no backend is needed
+// and the lineup is never sent to a server when the link is opened.
+
+// Name of the URL hash parameter holding the shared lineup
+const SHARE_HASH_KEY = 'lineup';
+
+// Version of the encoded format, bumped when the format changes
+const SHARE_FORMAT_VERSION = 1;
+
+// Encodes the lineup ({ boats, tiles, columns }) into a compact, URL-safe string
+// Only the boats, seat assignments, names, preferences and weights are included (archived paddlers are left out)
+export const encodeLineup = ({ boats, tiles, columns }) => {
+  // Find each tile's position from the columns (Unassigned keeps its order by listing it last)
+  const positionByTileId = {};
+  Object.keys(columns).forEach(columnId => {
+    columns[columnId].tileIds.forEach(tileId => { positionByTileId[tileId] = columnId; });
+  });
+  const unassignedOrder = columns[POSITIONS.UNASSIGNED]?.tileIds || [];
+  const orderedTiles = [
+    ...tiles.filter(tile => !tile.archived && positionByTileId[tile.id] !== POSITIONS.UNASSIGNED),
+    ...unassignedOrder.map(tileId => tiles.find(tile => tile.id === tileId)).filter(Boolean),
+  ];
+
+  const payload = {
+    v: SHARE_FORMAT_VERSION,
+    b: boats.map(boat => [boat.id, boat.name, getBenchCount(boat)]),
+    // Each paddler is [name, preference, position ID, weight]
+    p: orderedTiles.map(tile => [tile.paddlerName, tile.preference, positionByTileId[tile.id] || POSITIONS.UNASSIGNED, tile.weight ?? null]),
+  };
+  return compressToEncodedURIComponent(JSON.stringify(payload));
+};
+
+// Decodes a string created by encodeLineup back into the { boats, tiles, columns } state
+// Returns null if the string is not a valid shared lineup
+export const decodeLineup = (encoded) => {
+  try {
+    const payload = JSON.parse(decompressFromEncodedURIComponent(encoded));
+    if (!payload || payload.v !== SHARE_FORMAT_VERSION || !Array.isArray(payload.b) || !Array.isArray(payload.p)) {
+      return null;
+    }
+
+    const boats = payload.b.map(([id, name, benchCount]) => ({ id, name, benchCount: benchCount ?? DEFAULT_BENCH_COUNT }));
+    const arrangement = {};
+    const tiles = payload.p.map(([paddlerName, preference, positionId, weight], index) => {
+      const tileId = `tile-${index}`;
+      arrangement[positionId] = [...(arrangement[positionId] || []), tileId];
+      return { id: tileId, paddlerName, preference, positionId, weight };
+    });
+
+    return { boats, ...applyArrangement(arrangement, buildEmptyColumns(boats), tiles) };
+  } catch (error) {
+    console.error('Could not decode shared lineup:', error);
+    return null;
+  }
+};
+
+// Builds the full link for sharing the lineup
+export const buildShareUrl = (lineup) => {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}#${SHARE_HASH_KEY}=${encodeLineup(lineup)}`;
+};
+
+// Reads the shared lineup from a pasted share link (returns null if the link has none)
+export const readSharedLineupFromLink = (link) => {
+  // Parsed by hand because URLSearchParams would turn the '+' characters of the encoding into spaces
+  const prefix = `#${SHARE_HASH_KEY}=`;
+  const hashIndex = (link || '').indexOf(prefix);
+  return hashIndex === -1 ? null : decodeLineup(link.slice(hashIndex + prefix.length).trim());
+};
+
+// Reads the shared lineup from the current URL (returns null if the URL has none)
+export const readSharedLineupFromUrl = () => readSharedLineupFromLink(window.location.hash);
+
+// Removes the shared lineup from the URL without reloading the page
+export const clearSharedLineupFromUrl = () => {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, '', `${pathname}${search}`);
+};
@@ -0,0 +1,27 @@
+import { encodeLineup, decodeLineup } from './shareLink';
+
+test('round-trips a lineup through the encoded link format', () => {
+  const boats = [{ id: 'boat-1', name: 'Boat 1', benchCount: 5 }];
+  const tiles = [
+    { id: 'tile-a', paddlerName: 'Ann', preference: 'Left', weight: 62, positionId: 'boat-1:bench-1-left' },
+    { id: 'tile-b', paddlerName: 'Ben', preference: 'Either', weight: null, positionId: 'unassigned' },
+    { id: 'tile-c', paddlerName: 'Cat', preference: 'Drummer', weight: 50, positionId: 'unassigned' },
+  ];
+  const columns = {
+    unassigned: { id: 'unassigned', tileIds: ['tile-c', 'tile-b'] },
+    'boat-1:drummer': { id: 'boat-1:drummer', tileIds: [] },
+    'boat-1:bench-1-left': { id: 'boat-1:bench-1-left', tileIds: ['tile-a'] },
+  };
+
+  const decoded = decodeLineup(encodeLineup({ boats, tiles, columns }));
+
+  expect(decoded.boats).toEqual(boats);
+  const nameById = Object.fromEntries(decoded.tiles.map(tile => [tile.id, tile.paddlerName]));
+  expect(decoded.columns['boat-1:bench-1-left'].tileIds.map(id => nameById[id])).toEqual(['Ann']);
+  expect(decoded.columns.unassigned.tileIds.map(id => nameById[id])).toEqual(['Cat', 'Ben']);
+  expect(decoded.tiles.find(tile => tile.paddlerName === 'Ann')).toMatchObject({ preference: 'Left', weight: 62 });
+});
+
+test('returns null for an invalid link', () => {
+  expect(decodeLineup('not-a-lineup')).toBeNull();
+});
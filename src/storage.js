@@ -0,0 +1,93 @@
+// Helpers for persisting lineups in the browser's localStorage
+// Every write is also backed up in IndexedDB (see offlineStore.js) and restored from there if localStorage was cleared
+// All functions fail softly (log and fall back) so a full or disabled storage never breaks the app
+
+import { backupValue, readBackup } from './offlineStore';
+
+// localStorage keys
+const CURRENT_LINEUP_KEY = 'dragonboaty.currentLineup'; // The lineup currently on screen (autosaved)
+const SAVED_LINEUPS_KEY = 'dragonboaty.savedLineups'; // The list of named lineups
+const SETTINGS_KEY = 'dragonboaty.settings'; // The app settings
+const RACE_PLAN_KEY = 'dragonboaty.racePlan'; // The races of a regatta day, each with its own lineup
+const STORED_KEYS = [CURRENT_LINEUP_KEY, SAVED_LINEUPS_KEY, SETTINGS_KEY, RACE_PLAN_KEY];
+
+// Reads and parses a JSON value from localStorage (returns the fallback if missing or invalid)
+const readJson = (key, fallback) => {
+  try {
+    const value = window.localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Could not read '${key}' from localStorage:`, error);
+    return fallback;
+  }
+};
+
+// Serializes and writes a JSON value to localStorage (and its IndexedDB backup)
+const writeJson = (key, value) => {
+  const json = JSON.stringify(value);
+  try {
+    window.localStorage.setItem(key, json);
+  } catch (error) {
+    console.error(`Could not write '${key}' to localStorage:`, error);
+  }
+  backupValue(key, json);
+};
+
+// Copies the IndexedDB backup back into localStorage for every value localStorage lost
+// Must finish before the app reads the stored values (see index.js)
+export const restoreFromBackup = () => Promise.all(STORED_KEYS.map(key => {
+  try {
+    if (window.localStorage.getItem(key) !== null) return Promise.resolve();
+  } catch (error) {
+    return Promise.resolve(); // localStorage is disabled, so there is nothing to restore into
+  }
+  return readBackup(key).then(json => {
+    if (typeof json !== 'string') return;
+    console.log(`Restoring '${key}' from the IndexedDB backup`);
+    try {
+      window.localStorage.setItem(key, json);
+    } catch (error) {
+      console.error(`Could not restore '${key}' to localStorage:`, error);
+    }
+  });
+}));
+
+// Loads the autosaved lineup ({ tiles, columns }) or null if there is none
+export const loadCurrentLineup = () => {
+  const lineup = readJson(CURRENT_LINEUP_KEY, null);
+  // Only accept a lineup that has both tiles and columns
+  if (!lineup || !Array.isArray(lineup.tiles) || !lineup.columns) {
+    return null;
+  }
+  return lineup;
+};
+
+// Autosaves the lineup currently on screen
+export const saveCurrentLineup = (lineup) => writeJson(CURRENT_LINEUP_KEY, lineup);
+
+// Loads the list of named lineups ([{ id, name, savedAt, arrangement }])
+export const loadSavedLineups = () => {
+  const savedLineups = readJson(SAVED_LINEUPS_KEY, []);
+  return Array.isArray(savedLineups) ? savedLineups : [];
+};
+
+// Stores the list of named lineups
+export const storeSavedLineups = (savedLineups) => writeJson(SAVED_LINEUPS_KEY, savedLineups);
+
+// Loads the stored app settings (an empty object if there are none)
+export const loadSettings = () => {
+  const settings = readJson(SETTINGS_KEY, {});
+  return settings && typeof settings === 'object' ? settings : {};
+};
+
+// Stores the app settings
+export const storeSettings = (settings) => writeJson(SETTINGS_KEY, settings);
+
+// Loads the stored race plan ({ races, activeRaceId, minRestMinutes }), or an empty object if there is none
+export const loadRacePlan = () => {
+  const racePlan = readJson(RACE_PLAN_KEY, {});
+  return racePlan && Array.isArray(racePlan.races) ? racePlan : {};
+};
+
+// Stores the race plan
+export const storeRacePlan = (racePlan) => writeJson(RACE_PLAN_KEY, racePlan);
@@ -0,0 +1,51 @@
+import 'fake-indexeddb/auto';
+import { storeSettings, loadSettings, storeSavedLineups, loadSavedLineups, loadCurrentLineup, saveCurrentLineup, restoreFromBackup } from './storage';
+import { readBackup } from './offlineStore';
+
+test('restores values localStorage lost from the IndexedDB backup', async () => {
+  storeSettings({ swapOnDrop: false });
+  storeSavedLineups([{ id: 'lineup-1', name: 'Race day' }]);
+  await readBackup('dragonboaty.settings'); // Wait for the backup writes
+
+  window.localStorage.clear();
+  await restoreFromBackup();
+
+  expect(loadSettings()).toEqual({ swapOnDrop: false });
+  expect(loadSavedLineups()).toEqual([{ id: 'lineup-1', name: 'Race day' }]);
+});
+
+test('keeps values localStorage still has', async () => {
+  storeSettings({ swapOnDrop: true });
+  await readBackup('dragonboaty.settings');
+  window.localStorage.setItem('dragonboaty.settings', JSON.stringify({ swapOnDrop: false }));
+
+  await restoreFromBackup();
+
+  expect(loadSettings()).toEqual({ swapOnDrop: false });
+});
+
+test('falls back when a stored value is missing or broken', () => {
+  window.localStorage.clear();
+  expect(loadSettings()).toEqual({});
+  expect(loadSavedLineups()).toEqual([]);
+  expect(loadCurrentLineup()).toBeNull();
+
+  window.localStorage.setItem('dragonboaty.settings', '{not json');
+  window.localStorage.setItem('dragonboaty.savedLineups', JSON.stringify({ name: 'not a list' }));
+  window.localStorage.setItem('dragonboaty.currentLineup', JSON.stringify({ tiles: [] })); // No columns
+  expect(loadSettings()).toEqual({});
+  expect(loadSavedLineups()).toEqual([]);
+  expect(loadCurrentLineup()).toBeNull();
+});
+
+test('a full localStorage does not break saving, the value still reaches the backup', async () => {
+  const { setItem } = Storage.prototype;
+  Storage.prototype.setItem = () => { throw new Error('QuotaExceededError'); };
+  try {
+    saveCurrentLineup({ tiles: [], columns: {} });
+  } finally {
+    Storage.prototype.setItem = setItem;
+  }
+
+  expect(await readBackup('dragonboaty.currentLineup')).toBe(JSON.stringify({ tiles: [], columns: {} }));
+});
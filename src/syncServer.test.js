@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+import { WebSocket } from 'ws';
+import { createSyncServer } from '../server/syncServer';
+
+const lineup = {
+  boats: [{ id: 'boat-1', name: 'Boat 1' }],
+  tiles: [{ id: 'tile-0', paddlerName: 'Alex', positionId: 'unassigned' }],
+  columns: { unassigned: { id: 'unassigned', tileIds: ['tile-0'] } },
+};
+
+let server;
+let clients = [];
+
+beforeEach(() => new Promise(resolve => {
+  server = createSyncServer({ port: 0 });
+  server.on('listening', resolve);
+}));
+
+// Closes the clients first, so the server is done with them before it is closed
+afterEach(async () => {
+  await Promise.all(clients.map(client => new Promise(resolve => {
+    client.on('close', resolve);
+    client.close();
+  })));
+  clients = [];
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Connects a client that queues the messages it receives
+const connect = () => new Promise(resolve => {
+  const client = new WebSocket(`ws://localhost:${server.address().port}`);
+  const messages = [];
+  const waiting = [];
+  client.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    if (waiting.length > 0) waiting.shift()(message);
+    else messages.push(message);
+  });
+  // Resolves with the next message received
+  client.nextMessage = () => (messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(next => waiting.push(next)));
+  client.sendMessage = (message) => client.send(JSON.stringify(message));
+  clients.push(client);
+  client.on('open', () => resolve(client));
+});
+
+// Connects a client and joins a room as the given user
+const join = async (room, id) => {
+  const client = await connect();
+  client.sendMessage({ type: 'join', room, user: { id, name: id } });
+  return client;
+};
+
+test('welcomes sessions and relays a lineup to the others, but not back to its sender', async () => {
+  const alex = await join('race-day', 'alex');
+  expect(await alex.nextMessage()).toEqual({ type: 'welcome', lineup: null, revision: 0, users: [{ id: 'alex', name: 'alex' }] });
+
+  const sam = await join('race-day', 'sam');
+  expect(await sam.nextMessage()).toMatchObject({ type: 'welcome', lineup: null, revision: 0 });
+  expect(await alex.nextMessage()).toMatchObject({ type: 'presence', users: [{ id: 'alex' }, { id: 'sam' }] });
+
+  alex.sendMessage({ type: 'lineup', lineup, baseRevision: 0 });
+  expect(await alex.nextMessage()).toEqual({ type: 'ack', revision: 1 });
+  expect(await sam.nextMessage()).toEqual({ type: 'lineup', lineup, revision: 1, user: { id: 'alex', name: 'alex' } });
+
+  // A session joining later gets the room's latest lineup
+  const kim = await join('race-day', 'kim');
+  expect(await kim.nextMessage()).toMatchObject({ type: 'welcome', lineup, revision: 1 });
+  // The next message to the sender is about kim joining - its own lineup was not sent back
+  expect(await alex.nextMessage()).toMatchObject({ type: 'presence', users: [{ id: 'alex' }, { id: 'sam' }, { id: 'kim' }] });
+});
+
+test('rejects a change based on an older revision instead of overwriting the newer lineup', async () => {
+  const alex = await join('race-day', 'alex');
+  const sam = await join('race-day', 'sam');
+  await alex.nextMessage(); // welcome
+  await alex.nextMessage(); // presence
+  await sam.nextMessage(); // welcome
+
+  alex.sendMessage({ type: 'lineup', lineup, baseRevision: 0 });
+  await alex.nextMessage(); // ack
+  sam.sendMessage({ type: 'lineup', lineup: { ...lineup, boats: [] }, baseRevision: 0 });
+
+  expect(await sam.nextMessage()).toMatchObject({ type: 'lineup', revision: 1 });
+  expect(await sam.nextMessage()).toEqual({ type: 'rejected', lineup, revision: 1, user: { id: 'alex', name: 'alex' } });
+});
+
+test('rejects a malformed lineup and keeps the room\'s lineup', async () => {
+  const alex = await join('race-day', 'alex');
+  await alex.nextMessage(); // welcome
+
+  alex.sendMessage({ type: 'lineup', lineup: 'x', baseRevision: 0 });
+  expect(await alex.nextMessage()).toMatchObject({ type: 'rejected', lineup: null, revision: 0 });
+  alex.sendMessage({ type: 'lineup', lineup: {}, baseRevision: 0 });
+  expect(await alex.nextMessage()).toMatchObject({ type: 'rejected', lineup: null, revision: 0 });
+  // Broken tiles or columns would crash the render for everyone in the room
+  alex.sendMessage({ type: 'lineup', lineup: { ...lineup, tiles: [{ paddlerName: 'Alex' }] }, baseRevision: 0 });
+  expect(await alex.nextMessage()).toMatchObject({ type: 'rejected', lineup: null, revision: 0 });
+  alex.sendMessage({ type: 'lineup', lineup: { ...lineup, columns: { unassigned: { id: 'unassigned', tileIds: 'tile-0' } } }, baseRevision: 0 });
+  expect(await alex.nextMessage()).toMatchObject({ type: 'rejected', lineup: null, revision: 0 });
+
+  const sam = await join('race-day', 'sam');
+  expect(await sam.nextMessage()).toMatchObject({ type: 'welcome', lineup: null, revision: 0 });
+});
@@ -0,0 +1,74 @@
+// Helpers for searching and sorting the tiles shown in the Unassigned column
+// Only the order shown on screen changes - the Unassigned column keeps its own order in the columns state.
+
+// Sort options of the Unassigned column (value -> label)
+// 'manual' keeps the column order, the numeric options put paddlers without a value last
+export const UNASSIGNED_SORT_OPTIONS = [
+  { value: 'manual', label: 'Manual' },
+  { value: 'name', label: 'Name' },
+  { value: 'preference', label: 'Preference' },
+  { value: 'weight', label: 'Weight' },
+  { value: 'strength', label: 'Strength' },
+  { value: 'years', label: 'Years paddling' },
+];
+
+// Returns the numeric value a tile is sorted by (null when not set)
+const getNumericValue = (tile, sortBy) => {
+  const value = sortBy === 'weight' ? tile.weight : tile.profile?.[sortBy];
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+// Returns whether the paddler name contains the search text (ignoring case and surrounding spaces)
+export const matchesSearch = (tile, searchText) => {
+  const query = (searchText || '').trim().toLowerCase();
+  return !query || (tile.paddlerName || '').toLowerCase().includes(query);
+};
+
+// Sorts tile IDs for display
+// sortBy: one of the UNASSIGNED_SORT_OPTIONS values, direction: 'asc' or 'desc'
+// preferenceOptions: the preferences in the order they are sorted by (unknown preferences go last)
+// Ties keep the column order
+export const sortTileIds = (tileIds, getTileById, sortBy, direction = 'asc', preferenceOptions = []) => {
+  if (sortBy === 'manual') return tileIds;
+  const sign = direction === 'desc' ? -1 : 1;
+  const preferenceRank = (tile) => {
+    const index = preferenceOptions.indexOf(tile.preference);
+    return index === -1 ? preferenceOptions.length : index;
+  };
+
+  return tileIds
+    .map((tileId, index) => ({ tileId, index, tile: getTileById(tileId) || {} }))
+    .sort((a, b) => {
+      let result = 0;
+      if (sortBy === 'name') {
+        result = sign * (a.tile.paddlerName || '').localeCompare(b.tile.paddlerName || '', undefined, { numeric: true, sensitivity: 'base' });
+      } else if (sortBy === 'preference') {
+        result = sign * (preferenceRank(a.tile) - preferenceRank(b.tile));
+      } else {
+        const valueA = getNumericValue(a.tile, sortBy);
+        const valueB = getNumericValue(b.tile, sortBy);
+        if (valueA === null || valueB === null) {
+          result = (valueA === null) - (valueB === null); // Missing values last in both directions
+        } else {
+          result = sign * (valueA - valueB);
+        }
+      }
+      return result || a.index - b.index;
+    })
+    .map(({ tileId }) => tileId);
+};
+
+// Returns the index in the Unassigned column's own order at which a dragged tile is dropped
+// overTileId is the Unassigned tile it was dropped on (null when dropped on the column itself).
+// While the column is shown sorted (sortBy other than 'manual') the order on screen is not the column order,
+// so drops go to the end and a tile that is already unassigned stays where it is (returns null).
+export const getUnassignedDropIndex = (unassignedTileIds, activeTileId, overTileId, sortBy = 'manual') => {
+  const oldIndex = unassignedTileIds.indexOf(activeTileId);
+  if (sortBy !== 'manual') return oldIndex === -1 ? unassignedTileIds.length : null;
+  if (!overTileId) return unassignedTileIds.length;
+
+  const overIndex = unassignedTileIds.indexOf(overTileId);
+  if (overIndex === -1) return unassignedTileIds.length;
+  // Moving down within the column: the tile's own place is freed above the drop target
+  return oldIndex !== -1 && overIndex > oldIndex ? overIndex - 1 : overIndex;
+};
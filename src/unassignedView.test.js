@@ -0,0 +1,44 @@
+import { matchesSearch, sortTileIds, getUnassignedDropIndex } from './unassignedView';
+
+const tiles = {
+  a: { id: 'a', paddlerName: 'Person 10', preference: 'Right', weight: 80, profile: { strength: 3 } },
+  b: { id: 'b', paddlerName: 'anna', preference: 'Drummer', weight: null },
+  c: { id: 'c', paddlerName: 'Person 2', preference: 'Left', weight: 65, profile: { strength: 5 } },
+};
+const getTileById = (id) => tiles[id];
+
+test('matches the search text anywhere in the name, ignoring case', () => {
+  expect(matchesSearch(tiles.a, 'son 1')).toBe(true);
+  expect(matchesSearch(tiles.b, ' ANN ')).toBe(true);
+  expect(matchesSearch(tiles.b, 'person')).toBe(false);
+  expect(matchesSearch(tiles.b, '')).toBe(true);
+});
+
+test('sorts by name and preference, or keeps the manual order', () => {
+  expect(sortTileIds(['a', 'b', 'c'], getTileById, 'manual')).toEqual(['a', 'b', 'c']);
+  expect(sortTileIds(['a', 'b', 'c'], getTileById, 'name')).toEqual(['b', 'c', 'a']);
+  expect(sortTileIds(['a', 'b', 'c'], getTileById, 'name', 'desc')).toEqual(['a', 'c', 'b']);
+  expect(sortTileIds(['a', 'b', 'c'], getTileById, 'preference', 'asc', ['Null', 'Left', 'Right', 'Either', 'Sweep', 'Drummer']))
+    .toEqual(['c', 'a', 'b']);
+});
+
+test('sorts by numeric attributes with missing values last', () => {
+  expect(sortTileIds(['a', 'b', 'c'], getTileById, 'weight')).toEqual(['c', 'a', 'b']);
+  expect(sortTileIds(['a', 'b', 'c'], getTileById, 'weight', 'desc')).toEqual(['a', 'c', 'b']);
+  expect(sortTileIds(['b', 'a', 'c'], getTileById, 'strength', 'desc')).toEqual(['c', 'a', 'b']);
+});
+
+test('drops in the manual order go before the tile dropped on', () => {
+  expect(getUnassignedDropIndex(['a', 'b', 'c'], 'x', 'b')).toBe(1); // From a seat
+  expect(getUnassignedDropIndex(['a', 'b', 'c'], 'x', null)).toBe(3); // On the column itself
+  expect(getUnassignedDropIndex(['a', 'b', 'c'], 'c', 'a')).toBe(0); // Moving up
+  expect(getUnassignedDropIndex(['a', 'b', 'c'], 'a', 'c')).toBe(1); // Moving down
+});
+
+test('while sorted, drops go to the end and a drag within the column changes nothing', () => {
+  // Sorted by name the column shows b, c, a - dropping before 'a' on screen is not index 0 of the column order
+  expect(getUnassignedDropIndex(['a', 'b', 'c'], 'x', 'a', 'name')).toBe(3);
+  expect(getUnassignedDropIndex(['a', 'b', 'c'], 'x', null, 'weight')).toBe(3);
+  expect(getUnassignedDropIndex(['a', 'b', 'c'], 'b', 'a', 'name')).toBeNull();
+  expect(getUnassignedDropIndex(['a', 'b', 'c'], 'b', null, 'name')).toBeNull();
+});
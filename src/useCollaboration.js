@@ -0,0 +1,179 @@
+import { useState, useEffect, useRef } from 'react';
+import { COLLAB_MESSAGE_TYPES, COLLAB_STATUS, createUserId, createMessage, parseMessage, isValidLineup } from './collaboration';
+
+// Wait before trying to reach the sync server again after the connection is lost
+const RECONNECT_DELAY_MS = 3000;
+
+// Custom hook for live collaboration: while enabled, every change of the lineup is sent to the sync server
+// and the changes of the other sessions in the room are applied as they come in
+// Changes are sent one at a time with the room revision they were made on. If someone else changed the lineup first,
+// the server rejects the change and the room's lineup is applied instead (onChangeRejected tells the user).
+// When joining, the session takes over the room's lineup - unless it changed its own lineup while the connection was lost
+// and nobody changed the room's lineup in the meantime, then its lineup is sent to the room instead
+// Parameters:
+// - options: Object, { isEnabled, serverUrl, room, userName }
+// - lineup: Object, the current { boats, tiles, columns } state
+// - applyRemoteLineup: Function(lineup), sets the boats, tiles and columns state to a lineup from another session
+// - onChangeRejected: Function(userName), called when a change of this session was replaced by the room's lineup
+//   (userName is who changed it first, if known)
+// Returns { status, users, selfId } - the connection state (one of COLLAB_STATUS), who is in the room and the ID of this session
+const useCollaboration = ({ isEnabled, serverUrl, room, userName }, { boats, tiles, columns }, applyRemoteLineup, onChangeRejected) => {
+  const [status, setStatus] = useState(COLLAB_STATUS.OFF);
+  const [users, setUsers] = useState([]);
+  const [selfId] = useState(createUserId);
+
+  // The open socket once the room has been joined (null otherwise)
+  const joinedSocketRef = useRef(null);
+  // The last lineup received from another session, so applying it is not sent back
+  const remoteLineupRef = useRef(null);
+  // Whether the lineup changed since the last change sent to the room
+  const hasUnsentChangeRef = useRef(false);
+  // Whether a change was sent and its 'ack' or 'rejected' has not come back yet
+  const isAwaitingReplyRef = useRef(false);
+  // The revision of the room's lineup this session's lineup is based on (null before the first join)
+  const revisionRef = useRef(null);
+  // The latest values, for the socket handlers and the send effect
+  const isEnabledRef = useRef(isEnabled);
+  isEnabledRef.current = isEnabled;
+  const lineupRef = useRef({ boats, tiles, columns });
+  lineupRef.current = { boats, tiles, columns };
+  // The lineup the send effect saw last, so only real changes are sent (not the first render)
+  const sentCheckLineupRef = useRef({ boats, tiles, columns });
+  const applyRemoteLineupRef = useRef(applyRemoteLineup);
+  applyRemoteLineupRef.current = applyRemoteLineup;
+  const onChangeRejectedRef = useRef(onChangeRejected);
+  onChangeRejectedRef.current = onChangeRejected;
+
+  // Sends the current lineup to the room, unless a change is on its way already (it is sent once the reply is in)
+  const sendLineupRef = useRef(() => {});
+  sendLineupRef.current = () => {
+    const socket = joinedSocketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN || isAwaitingReplyRef.current) {
+      hasUnsentChangeRef.current = true; // Sent after the reply, or when the room is joined again
+      return;
+    }
+    socket.send(createMessage(COLLAB_MESSAGE_TYPES.LINEUP, { lineup: lineupRef.current, baseRevision: revisionRef.current }));
+    isAwaitingReplyRef.current = true;
+    hasUnsentChangeRef.current = false;
+  };
+
+  // Connect to the sync server while collaborating (and reconnect when the connection is lost)
+  useEffect(() => {
+    if (!isEnabled) {
+      setStatus(COLLAB_STATUS.OFF);
+      setUsers([]);
+      hasUnsentChangeRef.current = false;
+      revisionRef.current = null;
+      return;
+    }
+
+    let socket = null;
+    let retryTimer = null;
+    let isLeaving = false; // The cleanup closed the socket, so don't reconnect
+
+    const applyLineup = (lineup, revision) => {
+      revisionRef.current = revision;
+      remoteLineupRef.current = lineup;
+      applyRemoteLineupRef.current(lineup);
+    };
+
+    const connect = () => {
+      setStatus(COLLAB_STATUS.CONNECTING);
+      try {
+        socket = new WebSocket(serverUrl);
+      } catch (error) {
+        console.error(`Could not connect to the sync server at '${serverUrl}':`, error);
+        setStatus(COLLAB_STATUS.DISCONNECTED);
+        retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        return;
+      }
+
+      socket.onopen = () => {
+        socket.send(createMessage(COLLAB_MESSAGE_TYPES.JOIN, { room, user: { id: selfId, name: userName } }));
+      };
+
+      socket.onmessage = (event) => {
+        const message = parseMessage(event.data);
+        if (!message) return;
+        if (message.type === COLLAB_MESSAGE_TYPES.WELCOME) {
+          console.log(`Joined the collaboration room '${room}'`);
+          joinedSocketRef.current = socket;
+          isAwaitingReplyRef.current = false;
+          setStatus(COLLAB_STATUS.CONNECTED);
+          setUsers(message.users || []);
+          if (!isValidLineup(message.lineup)) {
+            // The first session in the room shares its lineup
+            revisionRef.current = message.revision;
+            sendLineupRef.current();
+          } else if (hasUnsentChangeRef.current && message.revision === revisionRef.current) {
+            // Changed while the connection was lost, and nobody changed the room's lineup since - send the change
+            sendLineupRef.current();
+          } else {
+            // Take over the room's lineup (changes made while the connection was lost are replaced by newer ones)
+            if (hasUnsentChangeRef.current) onChangeRejectedRef.current?.(null);
+            hasUnsentChangeRef.current = false;
+            applyLineup(message.lineup, message.revision);
+          }
+        } else if (message.type === COLLAB_MESSAGE_TYPES.PRESENCE) {
+          setUsers(message.users || []);
+        } else if (message.type === COLLAB_MESSAGE_TYPES.LINEUP && isValidLineup(message.lineup)) {
+          console.log(`Applying a lineup change from ${message.user?.name || 'another session'}`);
+          applyLineup(message.lineup, message.revision);
+        } else if (message.type === COLLAB_MESSAGE_TYPES.ACK) {
+          revisionRef.current = message.revision;
+          isAwaitingReplyRef.current = false;
+          if (hasUnsentChangeRef.current) sendLineupRef.current(); // Changes made while waiting
+        } else if (message.type === COLLAB_MESSAGE_TYPES.REJECTED) {
+          console.log(`The room rejected a change, ${message.user?.name || 'someone else'} changed the lineup first`);
+          isAwaitingReplyRef.current = false;
+          hasUnsentChangeRef.current = false;
+          if (isValidLineup(message.lineup)) {
+            applyLineup(message.lineup, message.revision);
+          } else {
+            revisionRef.current = message.revision;
+          }
+          onChangeRejectedRef.current?.(message.user?.name ?? null);
+        }
+      };
+
+      socket.onclose = () => {
+        joinedSocketRef.current = null;
+        // A change still waiting for its reply may not have reached the room - send it again after rejoining
+        if (isAwaitingReplyRef.current) hasUnsentChangeRef.current = true;
+        isAwaitingReplyRef.current = false;
+        setUsers([]);
+        if (isLeaving) return;
+        console.log(`Lost the connection to the sync server, trying again in ${RECONNECT_DELAY_MS / 1000} s`);
+        setStatus(COLLAB_STATUS.DISCONNECTED);
+        retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      };
+    };
+
+    connect();
+
+    return () => {
+      isLeaving = true;
+      clearTimeout(retryTimer);
+      joinedSocketRef.current = null;
+      isAwaitingReplyRef.current = false;
+      if (socket) socket.close();
+    };
+  }, [isEnabled, serverUrl, room, userName, selfId]);
+
+  // Send every change of the lineup made in this session to the room
+  useEffect(() => {
+    const previousLineup = sentCheckLineupRef.current;
+    sentCheckLineupRef.current = { boats, tiles, columns };
+    if (previousLineup.boats === boats && previousLineup.tiles === tiles && previousLineup.columns === columns) return; // Nothing changed (first render)
+    if (!isEnabledRef.current) return;
+    const remoteLineup = remoteLineupRef.current;
+    if (remoteLineup && remoteLineup.boats === boats && remoteLineup.tiles === tiles && remoteLineup.columns === columns) {
+      return; // The change came from another session
+    }
+    sendLineupRef.current();
+  }, [boats, tiles, columns]);
+
+  return { status, users, selfId };
+};
+
+export default useCollaboration;
@@ -0,0 +1,96 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Maximum number of lineup changes that can be undone
+const HISTORY_LIMIT = 100;
+
+// Consecutive changes with the same group key within this time are merged into one undo step
+// (e.g., typing a paddler name letter by letter)
+const GROUP_WINDOW_MS = 1000;
+
+// Custom hook providing undo/redo over the lineup ({ boats, tiles, columns })
+// Every change to the lineup is recorded automatically, so drags, Unassign All, Auto-assign,
+// name/preference edits etc. can all be undone without each handler having to record itself.
+// Parameters:
+// - lineup: Object, the current { boats, tiles, columns } state
+// - restoreLineup: Function(lineup), sets the boats, tiles and columns state to a recorded lineup
+// Returns { undo, redo, canUndo, canRedo, groupNextChange, resetHistory }
+const useLineupHistory = ({ boats, tiles, columns }, restoreLineup) => {
+  // Past and future lineups (past[past.length - 1] is the lineup before the current one)
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+
+  // The lineup currently on screen, as last seen by the history
+  const presentRef = useRef({ boats, tiles, columns });
+  // Set while restoring a lineup, so the restore itself is not recorded as a change
+  const isRestoringRef = useRef(false);
+  // Group key and time of the last recorded change, and the key for the next change
+  const lastGroupRef = useRef({ key: null, time: 0 });
+  const nextGroupKeyRef = useRef(null);
+
+  // Record every change of the lineup
+  useEffect(() => {
+    const present = presentRef.current;
+    if (present.boats === boats && present.tiles === tiles && present.columns === columns) {
+      return; // Nothing changed
+    }
+    presentRef.current = { boats, tiles, columns };
+
+    if (isRestoringRef.current) {
+      isRestoringRef.current = false;
+      return;
+    }
+
+    // Merge into the previous undo step if it belongs to the same group (e.g., the same name being typed)
+    const groupKey = nextGroupKeyRef.current;
+    const now = Date.now();
+    const isSameGroup = groupKey !== null && groupKey === lastGroupRef.current.key && now - lastGroupRef.current.time < GROUP_WINDOW_MS;
+    nextGroupKeyRef.current = null;
+    lastGroupRef.current = { key: groupKey, time: now };
+
+    if (!isSameGroup) {
+      setPast(prevPast => [...prevPast, present].slice(-HISTORY_LIMIT));
+    }
+    setFuture([]); // A new change makes the undone changes unreachable
+  }, [boats, tiles, columns]);
+
+  // Restores the previous lineup
+  const undo = useCallback(() => {
+    if (past.length === 0) return;
+    const previous = past[past.length - 1];
+    setPast(past.slice(0, -1));
+    setFuture(prevFuture => [presentRef.current, ...prevFuture]);
+    isRestoringRef.current = true;
+    lastGroupRef.current = { key: null, time: 0 };
+    restoreLineup(previous);
+  }, [past, restoreLineup]);
+
+  // Restores the next lineup after an undo
+  const redo = useCallback(() => {
+    if (future.length === 0) return;
+    const next = future[0];
+    setFuture(future.slice(1));
+    setPast(prevPast => [...prevPast, presentRef.current].slice(-HISTORY_LIMIT));
+    isRestoringRef.current = true;
+    lastGroupRef.current = { key: null, time: 0 };
+    restoreLineup(next);
+  }, [future, restoreLineup]);
+
+  // Marks the next change as part of a group, so quick successive changes with the same key become one undo step
+  const groupNextChange = useCallback((key) => {
+    nextGroupKeyRef.current = key;
+  }, []);
+
+  // Clears the history and starts over from the given lineup
+  // Call it with the lineup that is about to be set when replacing the whole lineup (e.g., leaving a shared lineup),
+  // so the replacement itself can't be undone
+  const resetHistory = useCallback((nextLineup) => {
+    presentRef.current = nextLineup;
+    lastGroupRef.current = { key: null, time: 0 };
+    setPast([]);
+    setFuture([]);
+  }, []);
+
+  return { undo, redo, canUndo: past.length > 0, canRedo: future.length > 0, groupNextChange, resetHistory };
+};
+
+export default useLineupHistory;
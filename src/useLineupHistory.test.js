@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import useLineupHistory from './useLineupHistory';
+
+// Lineup state with its history, like App.js uses it
+const useHistoryWithLineup = () => {
+  const [lineup, setLineup] = useState({ boats: [], tiles: [], columns: {} });
+  return { lineup, setLineup, ...useLineupHistory(lineup, setLineup) };
+};
+
+// Adds a tile to the lineup (a lineup change)
+const addTile = (result, id) => act(() => {
+  result.current.setLineup(prevLineup => ({ ...prevLineup, tiles: [...prevLineup.tiles, id] }));
+});
+
+test('records changes and undoes and redoes them', () => {
+  const { result } = renderHook(useHistoryWithLineup);
+  expect(result.current.canUndo).toBe(false);
+
+  addTile(result, 'a');
+  addTile(result, 'b');
+  act(() => result.current.undo());
+  expect(result.current.lineup.tiles).toEqual(['a']);
+  expect(result.current.canRedo).toBe(true);
+
+  act(() => result.current.redo());
+  expect(result.current.lineup.tiles).toEqual(['a', 'b']);
+  expect(result.current.canRedo).toBe(false);
+
+  // A new change after an undo drops the undone change
+  act(() => result.current.undo());
+  addTile(result, 'c');
+  expect(result.current.lineup.tiles).toEqual(['a', 'c']);
+  expect(result.current.canRedo).toBe(false);
+});
+
+test('keeps at most 100 undo steps, also after redoing', () => {
+  const { result } = renderHook(useHistoryWithLineup);
+  for (let i = 0; i < 105; i++) addTile(result, i);
+
+  const undoAll = () => {
+    let steps = 0;
+    while (result.current.canUndo) {
+      act(() => result.current.undo());
+      steps++;
+    }
+    return steps;
+  };
+
+  expect(undoAll()).toBe(100);
+  expect(result.current.lineup.tiles).toHaveLength(5);
+  while (result.current.canRedo) act(() => result.current.redo());
+  expect(result.current.lineup.tiles).toHaveLength(105);
+  expect(undoAll()).toBe(100);
+});
+
+test('merges quick changes of the same group into one undo step', () => {
+  const { result } = renderHook(useHistoryWithLineup);
+
+  act(() => result.current.groupNextChange('name'));
+  addTile(result, 'a');
+  act(() => result.current.groupNextChange('name'));
+  addTile(result, 'b');
+  act(() => result.current.groupNextChange('weight'));
+  addTile(result, 'c');
+
+  act(() => result.current.undo());
+  expect(result.current.lineup.tiles).toEqual(['a', 'b']);
+  act(() => result.current.undo());
+  expect(result.current.lineup.tiles).toEqual([]);
+  expect(result.current.canUndo).toBe(false);
+});